@@ -1,299 +1,641 @@
-import React, { useState, useCallback, useRef, useEffect } from 'react';
-
-class MemoryManager {
-    constructor() {
-        this.memoryThreshold = 50 * 1024 * 1024; // 50MB threshold
-        this.cleanupCallbacks = [];
-        this.isMonitoring = false;
-    }
-
-    checkMemoryUsage() {
-        if (performance.memory) {
-            const used = performance.memory.usedJSHeapSize;
-            const limit = performance.memory.jsHeapSizeLimit;
-            return {
-                used,
-                limit,
-                percentage: (used / limit) * 100,
-                usedMB: Math.round(used / 1024 / 1024),
-                limitMB: Math.round(limit / 1024 / 1024)
-            };
-        }
-        return null;
-    }
-
-    registerCleanup(callback) {
-        this.cleanupCallbacks.push(callback);
-    }
+import React, { useState, useCallback, useRef, useEffect, useMemo, useSyncExternalStore } from 'react';
+import {
+    CIPHERS,
+    DEFAULT_CIPHER,
+    FIELD_ACTIONS,
+    COMPRESSION_FORMATS,
+    isCompressionSupported,
+    ERROR_TYPES,
+    ValidationError,
+    EncryptionError,
+    BrowserSupportError,
+    StorageError,
+    CancelledError,
+    createError,
+    getErrorDetails,
+    DEFAULT_PRESSURE_POLICY,
+    estimateBytes,
+    MemoryManager,
+    StreamProcessor,
+    AdaptiveChunkSizer,
+    KDF_HASHES,
+    createEncryptionProcessor,
+    verifyRecord,
+    EncryptionWorkerPool,
+    DEFAULT_LEAK_CHECK,
+    runLeakCheck
+} from './core/index.js';
+import { useStreamEncryption } from './core/useStreamEncryption.js';
+import { DATA_PRESETS, DEFAULT_DATA_PRESET, MAX_GENERATED_SIZE, compileTemplate, createSyntheticDataset, estimateRecordBytes, randomSeed } from './dataGenerator.js';
+import { RunHistoryStore, RunRecorder, compareRuns } from './runHistory.js';
+import { FILE_FORMATS, detectFileFormat, readFileRecords, skipRecords, tapRecords } from './fileParsers.js';
+import { CONTAINER_FILENAME, ContainerWriter, readContainerEntries, recordFromEntry } from './container.js';
+import { MANIFEST_FILENAME, RunManifestBuilder, RunManifestVerifier } from './runManifest.js';
+import { EncryptedResultStore, RESULT_SAMPLE_SIZE, estimateStorage } from './resultStore.js';
+import { FilteredLogView, LOG_LEVELS, LOG_SOURCES, ProcessingLog, toNDJSON } from './processingLog.js';
+
+const MEMORY_BACKEND_LABELS = {
+    'ua-specific': 'User-agent measurement (cross-origin isolated)',
+    'performance-memory': 'performance.memory (Chromium)',
+    estimate: 'Processor estimate (any browser)'
+};
 
-    async forceCleanup() {
-        for (const callback of this.cleanupCallbacks) {
-            try {
-                await callback();
-            } catch (error) {
-                console.warn('Cleanup callback failed:', error);
-            }
-        }
+const KDF_ITERATION_OPTIONS = [100000, 310000, 600000, 1000000];
+const MIN_PASSPHRASE_LENGTH = 8;
 
-        if (global.gc) {
-            global.gc();
-        }
-    }
+// Paths are relative to each source record; fields not listed stay plain
+const DEFAULT_FIELD_SCHEMA = [
+    { path: 'id', action: 'plain' },
+    { path: 'email', action: 'encrypt' },
+    { path: 'userData', action: 'encrypt' },
+    { path: 'metadata.created', action: 'plain' },
+    { path: 'metadata.tags', action: 'hash' }
+];
 
-    async processWithMemoryCheck(items, processor, onProgress) {
-        const results = [];
+// Schema rows carry an id for the editor to key them by; runs only see path and action
+let nextFieldRuleId = 0;
 
-        for (let i = 0; i < items.length; i++) {
-            const memInfo = this.checkMemoryUsage();
+function createFieldRule(path, action) {
+    return { id: nextFieldRuleId++, path, action };
+}
 
-            if (memInfo && memInfo.percentage > 70) {
-                console.warn('High memory usage detected, forcing cleanup');
-                await this.forceCleanup();
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
+function createDefaultFieldSchema() {
+    return DEFAULT_FIELD_SCHEMA.map(({ path, action }) => createFieldRule(path, action));
+}
+const FIELD_PATH_PATTERN = /^[^.\s]+(\.[^.\s]+)*$/;
 
-            try {
-                const result = await processor(items[i], i);
-                results.push(result);
-
-                if (onProgress && i % 100 === 0) {
-                    onProgress({
-                        processed: i + 1,
-                        total: items.length,
-                        percentage: ((i + 1) / items.length) * 100
-                    });
-                }
-            } catch (error) {
-                console.error(`Processing item ${i} failed:`, error);
-            }
+// A field inside an encrypted or hashed one would already be gone by the time it was reached
+function validateFieldSchema(schema) {
+    const rules = schema.filter(rule => rule.action !== 'plain');
+    if (rules.length === 0) {
+        throw new ValidationError('The field schema does not encrypt or hash any field');
+    }
 
-            if (i % 50 === 0) {
-                await new Promise(resolve => setTimeout(resolve, 0));
-            }
+    const seen = new Set();
+    for (const { path, action } of schema) {
+        if (!FIELD_PATH_PATTERN.test(path)) {
+            throw new ValidationError(`Invalid field path: "${path}"`, {
+                suggestion: 'Use dot-separated field names such as metadata.created.'
+            });
+        }
+        if (!FIELD_ACTIONS[action]) {
+            throw new ValidationError(`Unknown field action: ${action}`);
         }
+        if (seen.has(path)) {
+            throw new ValidationError(`Field path ${path} is listed more than once`);
+        }
+        seen.add(path);
 
-        return results;
+        const parent = rules.find(rule => rule.path !== path && path.startsWith(`${rule.path}.`));
+        if (parent) {
+            throw new ValidationError(`Field path ${path} is inside ${parent.path}, which is already ${parent.action === 'encrypt' ? 'encrypted' : 'hashed'}`, {
+                suggestion: 'Remove the nested path or select its parent as plain.'
+            });
+        }
     }
 }
 
-class StreamProcessor {
-    constructor(chunkSize = 500) {
-        this.chunkSize = chunkSize;
-        this.memoryManager = new MemoryManager();
+// Custom templates arrive as JSON text; compileTemplate() names the path of the first problem
+function parseDataTemplate(text) {
+    let template;
+    try {
+        template = JSON.parse(text);
+    } catch (err) {
+        throw new ValidationError(`The custom template is not valid JSON: ${err.message}`);
+    }
+    try {
+        compileTemplate(template);
+    } catch (err) {
+        throw new ValidationError(`Invalid custom template: ${err.message}`, {
+            suggestion: 'Switch to a preset and back to Custom to start from a working template.'
+        });
     }
+    return template;
+}
 
-    async processStream(data, processor, onChunk, onProgress) {
-        const results = [];
-        const totalChunks = Math.ceil(data.length / this.chunkSize);
+function generatorTemplate(generator) {
+    return generator.preset === 'custom' ? generator.template : DATA_PRESETS[generator.preset].template;
+}
 
-        for (let i = 0; i < data.length; i += this.chunkSize) {
-            const chunk = data.slice(i, i + this.chunkSize);
-            const chunkIndex = Math.floor(i / this.chunkSize);
+function generatorLabel(generator) {
+    const label = generator.preset === 'custom' ? 'Custom template' : DATA_PRESETS[generator.preset].label;
+    return `${label} (seed ${generator.seed})`;
+}
 
-            const chunkResults = await this.memoryManager.processWithMemoryCheck(
-                chunk,
-                processor,
-                onProgress
-            );
+// Rough entropy estimate from length and character classes
+function estimatePassphraseStrength(passphrase) {
+    if (!passphrase) {
+        return { score: 0, bits: 0, label: 'None' };
+    }
 
-            if (onChunk) {
-                await onChunk(chunkResults, chunkIndex, totalChunks);
-            }
+    let poolSize = 0;
+    if (/[a-z]/.test(passphrase)) poolSize += 26;
+    if (/[A-Z]/.test(passphrase)) poolSize += 26;
+    if (/[0-9]/.test(passphrase)) poolSize += 10;
+    if (/[^a-zA-Z0-9]/.test(passphrase)) poolSize += 33;
+
+    // Repeated characters add little, so only count distinct ones in full
+    const uniqueChars = new Set(passphrase).size;
+    const effectiveLength = uniqueChars + (passphrase.length - uniqueChars) * 0.25;
+    const bits = Math.round(effectiveLength * Math.log2(poolSize));
+
+    if (bits < 28) return { score: 0, bits, label: 'Very weak' };
+    if (bits < 36) return { score: 1, bits, label: 'Weak' };
+    if (bits < 60) return { score: 2, bits, label: 'Fair' };
+    if (bits < 100) return { score: 3, bits, label: 'Strong' };
+    return { score: 4, bits, label: 'Very strong' };
+}
 
-            results.push(...chunkResults);
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-            // Clear chunk data explicitly
-            chunk.length = 0;
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+    return `${bytes}B`;
+}
 
-            const memInfo = this.memoryManager.checkMemoryUsage();
-            if (memInfo && memInfo.percentage > 75) {
-                await this.memoryManager.forceCleanup();
-            }
+// For differences, which can be negative
+function formatSignedBytes(bytes) {
+    return `${bytes < 0 ? '−' : '+'}${formatBytes(Math.round(Math.abs(bytes)))}`;
+}
 
-            // Progress for overall stream
-            if (onProgress) {
-                onProgress({
-                    processed: Math.min(i + this.chunkSize, data.length),
-                    total: data.length,
-                    percentage: (Math.min(i + this.chunkSize, data.length) / data.length) * 100,
-                    currentChunk: chunkIndex + 1,
-                    totalChunks
-                });
+// Writes straight to disk where the File System Access API exists, otherwise
+// collects Blob parts (which the browser may page out) and downloads them on close
+async function createDownloadSink(filename) {
+    if (window.showSaveFilePicker) {
+        try {
+            const handle = await window.showSaveFilePicker({ suggestedName: filename });
+            const writable = await handle.createWritable();
+            return {
+                streaming: true,
+                write: (bytes) => writable.write(bytes),
+                close: () => writable.close(),
+                abort: () => writable.abort()
+            };
+        } catch (error) {
+            // The user dismissed the dialog; anything else falls back to a Blob download
+            if (error.name === 'AbortError') {
+                throw error;
             }
         }
-
-        return results;
     }
+
+    const parts = [];
+    return {
+        streaming: false,
+        write: async (bytes) => {
+            parts.push(bytes);
+        },
+        close: async () => {
+            downloadBlob(new Blob(parts, { type: 'application/octet-stream' }), filename);
+            parts.length = 0;
+        },
+        abort: async () => {
+            parts.length = 0;
+        }
+    };
 }
 
-// Real AES-256-GCM encryption implementation
-class ZeroKnowledgeEncryption {
-    constructor() {
-        this.algorithm = 'AES-GCM';
-        this.keyLength = 256;
-        this.ivLength = 12;
-    }
+const LOG_FILENAME = 'processing-log.ndjson';
+
+const MAX_WORKER_POOL_SIZE = Math.max(1, Math.min(8, navigator.hardwareConcurrency || 4));
+// Records of a chunk encrypted at once on the main thread
+const CONCURRENCY_OPTIONS = [1, 2, 4, 8, 16, 32];
+const DEFAULT_CONCURRENCY = 4;
+
+const BENCHMARK_SAMPLE_INTERVAL_MS = 100;
+const BENCHMARK_SETTLE_MS = 250;
+
+const LEAK_CHECK_CYCLE_OPTIONS = [3, 5, 10, 20];
+
+const BENCHMARK_COLUMNS = [
+    { key: 'cipher', label: 'Cipher', format: value => CIPHERS[value].label },
+    { key: 'size', label: 'Dataset' },
+    { key: 'chunkSize', label: 'Chunk' },
+    { key: 'concurrency', label: 'In flight', format: value => value ?? '—' },
+    { key: 'repeats', label: 'Runs' },
+    { key: 'throughput', label: 'Items/sec', format: value => value.toFixed(0) },
+    { key: 'recordBytes', label: 'Bytes/record', format: value => value.toFixed(0) },
+    { key: 'elapsedMs', label: 'Time (ms)', format: value => value.toFixed(0) },
+    { key: 'peakMB', label: 'Peak MB', format: value => value.toFixed(1) },
+    { key: 'avgMB', label: 'Avg MB', format: value => value.toFixed(1) },
+    { key: 'cleanups', label: 'Cleanups', format: value => value.toFixed(1) }
+];
+
+function parseSizeList(text) {
+    return [...new Set(text
+        .split(/[\s,]+/)
+        .map(Number)
+        .filter(value => Number.isInteger(value) && value > 0))];
+}
 
-    async deriveKey(password, salt) {
-        const encoder = new TextEncoder();
-        const keyMaterial = await crypto.subtle.importKey(
-            'raw',
-            encoder.encode(password),
-            { name: 'PBKDF2' },
-            false,
-            ['deriveBits', 'deriveKey']
-        );
+// Decoded size of a base64 string without decoding it
+function base64ByteLength(base64) {
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    return (base64.length * 3) / 4 - padding;
+}
 
-        return crypto.subtle.deriveKey(
-            {
-                name: 'PBKDF2',
-                salt: salt,
-                iterations: 100000,
-                hash: 'SHA-256'
-            },
-            keyMaterial,
-            { name: 'AES-GCM', length: 256 },
-            false,
-            ['encrypt', 'decrypt']
-        );
-    }
+// Runs one encryption job and measures it; encrypted output is counted, not kept
+async function runBenchmarkJob({ dataset, chunkSize, concurrency, processorFn, memoryManager, signal, onStart }) {
+    const processor = new StreamProcessor(chunkSize, memoryManager);
+    const samples = [];
+    let cleanups = 0;
+    let encrypted = 0;
+    let payloadBytes = 0;
+
+    const sample = () => {
+        const usage = memoryManager.checkMemoryUsage();
+        if (usage) {
+            samples.push(usage.used);
+        }
+    };
+    const unsubscribe = memoryManager.subscribe(event => {
+        if (event.type === 'cleanup') {
+            cleanups++;
+        }
+    });
+    const interval = setInterval(sample, BENCHMARK_SAMPLE_INTERVAL_MS);
 
-    generateSalt() {
-        return crypto.getRandomValues(new Uint8Array(16));
+    if (onStart) {
+        onStart(processor);
     }
+    sample();
+    const startTime = performance.now();
 
-    generateIV() {
-        return crypto.getRandomValues(new Uint8Array(this.ivLength));
+    try {
+        for await (const { results } of processor.processChunks(dataset, processorFn, { signal, concurrency: concurrency ?? 1 })) {
+            encrypted += results.length;
+            for (const result of results) {
+                payloadBytes += base64ByteLength(result.encrypted);
+            }
+            results.length = 0;
+            sample();
+        }
+    } finally {
+        clearInterval(interval);
+        unsubscribe();
     }
 
-    async encrypt(data, key) {
-        const encoder = new TextEncoder();
-        const iv = this.generateIV();
-
-        const encrypted = await crypto.subtle.encrypt(
-            {
-                name: 'AES-GCM',
-                iv: iv
-            },
-            key,
-            encoder.encode(JSON.stringify(data))
-        );
+    const elapsedMs = performance.now() - startTime;
+    const toMB = bytes => bytes / 1024 / 1024;
+
+    return {
+        size: dataset.length,
+        chunkSize,
+        concurrency,
+        encrypted,
+        elapsedMs,
+        throughput: encrypted / (elapsedMs / 1000),
+        recordBytes: encrypted > 0 ? payloadBytes / encrypted : 0,
+        peakMB: samples.length > 0 ? toMB(Math.max(...samples)) : 0,
+        avgMB: samples.length > 0 ? toMB(samples.reduce((sum, used) => sum + used, 0) / samples.length) : 0,
+        cleanups
+    };
+}
 
-        const combined = new Uint8Array(iv.length + encrypted.byteLength);
-        combined.set(iv);
-        combined.set(new Uint8Array(encrypted), iv.length);
+// Averages repeated runs of the same cipher/dataset/chunk size combination into one table row
+function summarizeBenchmark(runs) {
+    const groups = new Map();
+    for (const run of runs) {
+        const key = `${run.cipher}:${run.size}x${run.chunkSize}:${run.concurrency}`;
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(run);
+    }
 
+    return [...groups.values()].map(group => {
+        const mean = field => group.reduce((sum, run) => sum + run[field], 0) / group.length;
         return {
-            data: combined,
-            iv: Array.from(iv)
+            cipher: group[0].cipher,
+            size: group[0].size,
+            chunkSize: group[0].chunkSize,
+            concurrency: group[0].concurrency,
+            repeats: group.length,
+            throughput: mean('throughput'),
+            recordBytes: mean('recordBytes'),
+            elapsedMs: mean('elapsedMs'),
+            peakMB: Math.max(...group.map(run => run.peakMB)),
+            avgMB: mean('avgMB'),
+            cleanups: mean('cleanups')
         };
-    }
-
-    bufferToBase64(buffer) {
-        return btoa(String.fromCharCode(...new Uint8Array(buffer)));
-    }
+    });
 }
 
-// Enhanced Error Handling
-const ERROR_TYPES = {
-    VALIDATION: 'validation',
-    ENCRYPTION: 'encryption',
-    MEMORY: 'memory',
-    BROWSER_SUPPORT: 'browser_support'
-};
+function toCsv(rows, columns) {
+    const escape = value => {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
 
-function createError(type, message, suggestion = null) {
-    return { type, message, suggestion };
+    return [
+        columns.map(column => escape(column.label)).join(','),
+        ...rows.map(row => columns.map(column => escape(row[column.key])).join(','))
+    ].join('\n');
 }
 
-function getErrorDetails(error) {
-    const errorMessage = error.message || error.toString();
+const TIMELINE_WINDOW_MS = 120000;
+const TIMELINE_IDLE_INTERVAL_MS = 1000;
+const TIMELINE_ACTIVE_INTERVAL_MS = 200;
+
+const PRESSURE_POLICY_FIELDS = [
+    { key: 'warn', label: 'Warn at', min: 10, max: 99, step: 1, unit: '%' },
+    { key: 'throttle', label: 'Throttle at', min: 10, max: 99, step: 1, unit: '%' },
+    { key: 'pause', label: 'Pause at', min: 10, max: 99, step: 1, unit: '%' },
+    { key: 'abort', label: 'Abort at', min: 10, max: 100, step: 1, unit: '%' },
+    { key: 'hysteresis', label: 'Hysteresis', min: 0, max: 20, step: 1, unit: ' points' },
+    { key: 'throttleDelayMs', label: 'Throttle delay', min: 0, max: 1000, step: 50, unit: 'ms' }
+];
+const PRESSURE_EVENT_LIMIT = 8;
+// Failures kept for display; the report still counts every one
+const FAILURE_REPORT_LIMIT = 200;
+const FAILURE_MODES = {
+    skip: 'Skip and continue',
+    'fail-fast': 'Stop at the first failure'
+};
+// Compared between two runs in the History panel; lowerIsBetter: null has no better side
+const HISTORY_METRICS = [
+    { key: 'elapsedMs', label: 'Time', lowerIsBetter: true, format: value => `${(value / 1000).toFixed(2)}s` },
+    { key: 'peakMB', label: 'Peak memory', lowerIsBetter: true, format: value => `${value}MB` },
+    { key: 'growthMB', label: 'Memory growth', lowerIsBetter: true, format: value => `${value}MB` },
+    { key: 'throughput', label: 'Throughput', lowerIsBetter: false, format: value => `${value.toFixed(0)} items/sec` },
+    { key: 'records', label: 'Records encrypted', lowerIsBetter: null, format: value => value.toLocaleString() },
+    { key: 'errors', label: 'Errors', lowerIsBetter: true, format: value => value.toLocaleString() },
+    { key: 'encryptedBytes', label: 'Encrypted output', lowerIsBetter: true, format: value => formatBytes(value) }
+];
+
+const HISTORY_PARAMETERS = [
+    { key: 'source', label: 'Data' },
+    { key: 'dataSize', label: 'Dataset size', format: value => value?.toLocaleString() ?? '—' },
+    { key: 'chunkSize', label: 'Chunk size' },
+    { key: 'adaptiveChunking', label: 'Adaptive chunking', format: value => (value ? 'On' : 'Off') },
+    { key: 'concurrency', label: 'Records in flight', format: value => value ?? '—' },
+    { key: 'cipher', label: 'Cipher', format: value => CIPHERS[value]?.label ?? value },
+    { key: 'compression', label: 'Compression' },
+    { key: 'fieldLevel', label: 'Field-level', format: value => (value ? 'On' : 'Off') },
+    { key: 'mode', label: 'Mode' },
+    { key: 'failurePolicy', label: 'Failure policy' },
+    { key: 'memoryBackend', label: 'Memory backend', format: value => MEMORY_BACKEND_LABELS[value] ?? value },
+    { key: 'persist', label: 'Results held in', format: value => (value ? 'IndexedDB' : 'Memory') }
+];
+
+const RUN_OUTCOMES = {
+    complete: '✅ Complete',
+    failed: '❌ Failed',
+    cancelled: '⏹️ Cancelled'
+};
+
+// Log level for entering each pressure level
+const PRESSURE_LOG_LEVELS = {
+    normal: 'info',
+    warn: 'warn',
+    throttle: 'warn',
+    pause: 'error',
+    abort: 'error'
+};
 
-    if (errorMessage.includes('crypto') || errorMessage.includes('subtle')) {
-        return createError(
-            ERROR_TYPES.BROWSER_SUPPORT,
-            'Browser does not support required cryptographic features',
-            'Please use a modern browser with Web Crypto API support (Chrome, Firefox, Safari, Edge).'
-        );
-    }
+// Log entries kept when the log-buffers cleanup handler runs
+const PRESSURE_LOG_KEEP = 5;
 
-    if (errorMessage.includes('encrypt') || errorMessage.includes('key')) {
-        return createError(
-            ERROR_TYPES.ENCRYPTION,
-            'Failed to encrypt data',
-            'Please check your input data and try again. If the problem persists, try refreshing the page.'
-        );
+// Rolling chart of sampled heap usage with chunk and cleanup markers
+function MemoryTimeline({ samples, markers }) {
+    if (samples.length < 2) {
+        return <p>Collecting memory samples...</p>;
     }
 
-    if (errorMessage.includes('memory') || errorMessage.includes('Memory')) {
-        return createError(
-            ERROR_TYPES.MEMORY,
-            'Insufficient memory to process this dataset',
-            'Try reducing the dataset size or chunk size, or close other browser tabs to free up memory.'
-        );
-    }
+    const width = 600;
+    const height = 160;
+    const start = samples[0].time;
+    const span = Math.max(samples[samples.length - 1].time - start, 1);
+    const peakUsed = Math.max(...samples.map(sample => sample.used));
+    const limit = samples[samples.length - 1].limit;
+    // Scale to the data rather than the limit, which is often far above actual usage
+    const scaleMax = Math.max(peakUsed * 1.25, 1);
+
+    const x = (time) => ((time - start) / span) * width;
+    const y = (bytes) => height - (bytes / scaleMax) * height;
+    const path = samples
+        .map((sample, i) => `${i === 0 ? 'M' : 'L'}${x(sample.time).toFixed(1)},${y(sample.used).toFixed(1)}`)
+        .join(' ');
+    const visibleMarkers = markers.filter(marker => marker.time >= start);
+    const chunkCount = visibleMarkers.filter(marker => marker.type === 'chunk').length;
+    const cleanupCount = visibleMarkers.length - chunkCount;
 
-    // Default error
-    return createError(
-        ERROR_TYPES.ENCRYPTION,
-        'An unexpected error occurred during processing',
-        'Please try again with a smaller dataset. If the problem persists, refresh the page.'
+    return (
+        <div className="timeline">
+            <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="timeline-chart">
+                {visibleMarkers.map(marker => (
+                    <line
+                        key={marker.id}
+                        x1={x(marker.time)}
+                        x2={x(marker.time)}
+                        y1="0"
+                        y2={height}
+                        className={`timeline-marker ${marker.type}`}
+                    >
+                        <title>{marker.label}</title>
+                    </line>
+                ))}
+                {limit <= scaleMax && (
+                    <line x1="0" x2={width} y1={y(limit)} y2={y(limit)} className="timeline-limit" />
+                )}
+                <path d={path} className="timeline-used" />
+            </svg>
+            <div className="timeline-legend">
+                <span className="legend-used">used (peak {formatBytes(peakUsed)})</span>
+                <span className="legend-limit">limit {formatBytes(limit)}{limit > scaleMax && ' (off scale)'}</span>
+                <span className="legend-chunk">{chunkCount} chunks</span>
+                <span className="legend-cleanup">{cleanupCount} cleanups</span>
+            </div>
+        </div>
     );
 }
 
-// Real encryption processor for memory demo
-async function realEncryption(data, index, cryptoInstance, key) {
-    try {
-        // Encrypt the actual data using AES-256-GCM
-        const result = await cryptoInstance.encrypt({
-            id: index,
-            originalData: data,
-            timestamp: Date.now(),
-            type: 'sensitive_data'
-        }, key);
+const LOG_ROW_HEIGHT = 24;
+const LOG_VIEW_HEIGHT = 240;
+// Rows rendered beyond each edge of the view so fast scrolling doesn't show gaps
+const LOG_OVERSCAN = 10;
 
-        return {
-            id: index,
-            originalSize: JSON.stringify(data).length,
-            encrypted: cryptoInstance.bufferToBase64(result.data),
-            iv: result.iv,
-            timestamp: Date.now(),
-            processed: true,
-            encryptionType: 'AES-256-GCM'
-        };
-    } catch (error) {
-        console.error(`Encryption failed for item ${index}:`, error);
-        throw error;
-    }
+// Only the rows in view are rendered, so the log can grow without limit. While scrolled to
+// the bottom the view follows new entries; scrolling up holds it in place.
+// The entries array is shared and grows in place, so version says when it changed
+function VirtualLogList({ entries, version }) {
+    const containerRef = useRef(null);
+    const followRef = useRef(true);
+    const [scrollTop, setScrollTop] = useState(0);
+
+    useEffect(() => {
+        const container = containerRef.current;
+        if (container && followRef.current) {
+            container.scrollTop = container.scrollHeight;
+        }
+    }, [entries, version]);
+
+    const handleScroll = (event) => {
+        const container = event.currentTarget;
+        followRef.current = container.scrollTop + container.clientHeight >= container.scrollHeight - LOG_ROW_HEIGHT;
+        setScrollTop(container.scrollTop);
+    };
+
+    const first = Math.max(0, Math.floor(scrollTop / LOG_ROW_HEIGHT) - LOG_OVERSCAN);
+    const last = Math.min(entries.length, Math.ceil((scrollTop + LOG_VIEW_HEIGHT) / LOG_ROW_HEIGHT) + LOG_OVERSCAN);
+
+    return (
+        <div ref={containerRef} onScroll={handleScroll} className="log-container log-virtual" style={{ height: LOG_VIEW_HEIGHT }}>
+            <div style={{ height: entries.length * LOG_ROW_HEIGHT, position: 'relative' }}>
+                {entries.slice(first, last).map((entry, i) => (
+                    <div
+                        key={entry.id}
+                        className={`log-entry log-${entry.level}`}
+                        style={{ top: (first + i) * LOG_ROW_HEIGHT, height: LOG_ROW_HEIGHT }}
+                        title={entry.payload !== null ? JSON.stringify(entry.payload, null, 2) : entry.message}
+                    >
+                        <span className="log-time">{new Date(entry.time).toLocaleTimeString()}</span>
+                        <span className="log-level">{LOG_LEVELS[entry.level]}</span>
+                        <span className="log-source">{LOG_SOURCES[entry.source]}</span>
+                        <span className="log-chunk">{entry.chunkIndex !== null ? `#${entry.chunkIndex + 1}` : ''}</span>
+                        <span className="log-message">{entry.message}</span>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
 }
 
 function MemoryManagementDemo() {
-    const [memoryInfo, setMemoryInfo] = useState(null);
     const [isProcessing, setIsProcessing] = useState(false);
     const [progress, setProgress] = useState({ processed: 0, total: 0, percentage: 0 });
     const [results, setResults] = useState([]);
     const [dataSize, setDataSize] = useState(1000);
     const [chunkSize, setChunkSize] = useState(500);
-    const [processingLog, setProcessingLog] = useState([]);
+    const [processingLog] = useState(() => new ProcessingLog());
+    const [logFilter, setLogFilter] = useState({ minLevel: 'debug', source: 'all', search: '' });
     const [error, setError] = useState(null);
     const [success, setSuccess] = useState('');
     const [isAnimating, setIsAnimating] = useState(false);
+    const [isVerifying, setIsVerifying] = useState(false);
+    const [verification, setVerification] = useState(null);
+    const [passphrase, setPassphrase] = useState('');
+    const [kdfSettings, setKdfSettings] = useState({ iterations: 100000, hash: 'SHA-256' });
+    const [keyStatus, setKeyStatus] = useState(null);
+    const [isDerivingKey, setIsDerivingKey] = useState(false);
+    const [cipher, setCipher] = useState(DEFAULT_CIPHER);
+    const [fieldLevel, setFieldLevel] = useState(false);
+    const [fieldSchema, setFieldSchema] = useState(createDefaultFieldSchema);
+    const [compression, setCompression] = useState('none');
+    const [dataPreset, setDataPreset] = useState(DEFAULT_DATA_PRESET);
+    const [customTemplate, setCustomTemplate] = useState(() => JSON.stringify(DATA_PRESETS[DEFAULT_DATA_PRESET].template, null, 2));
+    // Random per session, but shown and stored with each run so it can be repeated
+    const [dataSeed, setDataSeed] = useState(() => randomSeed());
+    const [runManifest, setRunManifest] = useState(null);
+    const [useWorkers, setUseWorkers] = useState(false);
+    const [workerPoolSize, setWorkerPoolSize] = useState(Math.min(4, MAX_WORKER_POOL_SIZE));
+    const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+    const [concurrencyComparison, setConcurrencyComparison] = useState({});
+    const [modeComparison, setModeComparison] = useState({});
+    const [memoryBackend, setMemoryBackend] = useState('auto');
+    const [timeline, setTimeline] = useState({ samples: [], markers: [] });
+    const [benchmarkConfig, setBenchmarkConfig] = useState({
+        datasetSizes: '1000, 5000, 10000',
+        chunkSizes: '250, 500, 1000',
+        concurrency: '1, 4, 16',
+        repeats: 2,
+        ciphers: [DEFAULT_CIPHER]
+    });
+    const [isBenchmarking, setIsBenchmarking] = useState(false);
+    const [benchmarkProgress, setBenchmarkProgress] = useState(null);
+    const [benchmarkRuns, setBenchmarkRuns] = useState([]);
+    const [benchmarkSort, setBenchmarkSort] = useState({ key: 'throughput', direction: 'desc' });
+    const [leakCheckCycles, setLeakCheckCycles] = useState(DEFAULT_LEAK_CHECK.cycles);
+    const [isLeakChecking, setIsLeakChecking] = useState(false);
+    // { cycles, samples, report }; report is null until the check finishes
+    const [leakCheck, setLeakCheck] = useState(null);
+
+    const isBusy = isProcessing || isVerifying || isBenchmarking || isLeakChecking;
+    const [sourceFile, setSourceFile] = useState(null);
+    const [fileFormat, setFileFormat] = useState('auto');
+    const [isDraggingFile, setIsDraggingFile] = useState(false);
+    const [writeContainer, setWriteContainer] = useState(false);
+    const [adaptiveChunking, setAdaptiveChunking] = useState(false);
+    const [persistResults, setPersistResults] = useState(EncryptedResultStore.isSupported());
+    const [storedResults, setStoredResults] = useState(null);
+    const [resultSamples, setResultSamples] = useState(null);
+    const [storageEstimate, setStorageEstimate] = useState(null);
+    const [adaptiveSettings, setAdaptiveSettings] = useState({
+        mode: 'heap',
+        targetHeapPercentage: 60,
+        targetLatencyMs: 250
+    });
+    const [failurePolicy, setFailurePolicy] = useState({ mode: 'skip', retries: 2, backoffMs: 100 });
+    const [failureReport, setFailureReport] = useState(null);
+    const [pressurePolicy, setPressurePolicy] = useState(DEFAULT_PRESSURE_POLICY);
+    const [policyDraft, setPolicyDraft] = useState(DEFAULT_PRESSURE_POLICY);
+    const [pressureEvents, setPressureEvents] = useState([]);
+    const [runHistory, setRunHistory] = useState([]);
+    const [historySelection, setHistorySelection] = useState([]);
+    const [historyComparison, setHistoryComparison] = useState(null);
     const [processingStats, setProcessingStats] = useState({
         startTime: null,
         endTime: null,
         startMemory: null,
         peakMemory: null,
-        elapsedTime: 0
+        elapsedTime: 0,
+        mode: null,
+        sourceBytes: null,
+        generator: null,
+        chunkSizing: null,
+        concurrency: null,
+        sizes: null
     });
     
     const startTimeRef = useRef(null);
     const peakMemoryRef = useRef(null);
 
-    const streamProcessorRef = useRef(null);
-    const intervalRef = useRef(null);
-    const cryptoRef = useRef(new ZeroKnowledgeEncryption());
+    // The headless core: memory monitoring, the stream processor for the current chunk size,
+    // encryption, and pause/resume/cancel for whichever run is active
+    const {
+        memoryManager,
+        cryptoInstance,
+        processor: streamProcessor,
+        memoryInfo,
+        backendInfo: activeMemoryBackend,
+        pressureLevel,
+        isPaused,
+        startRun,
+        finishRun,
+        setActiveProcessor,
+        pause,
+        resume,
+        cancel
+    } = useStreamEncryption({
+        chunkSize,
+        memoryBackend,
+        idleIntervalMs: TIMELINE_IDLE_INTERVAL_MS,
+        activeIntervalMs: TIMELINE_ACTIVE_INTERVAL_MS
+    });
+    const timelineRef = useRef({ samples: [], markers: [], nextMarkerId: 0 });
     const encryptionKeyRef = useRef(null);
     const saltRef = useRef(null);
+    const keyParamsInputRef = useRef(null);
+    const sourceFileInputRef = useRef(null);
+    const containerInputRef = useRef(null);
+    const resultStoreRef = useRef(EncryptedResultStore.isSupported() ? new EncryptedResultStore() : null);
+    const historyStoreRef = useRef(RunHistoryStore.isSupported() ? new RunHistoryStore() : null);
+    // The full log and memory samples of the run in progress, saved to history when it ends
+    const [runRecorder] = useState(() => new RunRecorder());
+    // Set during a leak check so each run registers its chunks and results as probes
+    const leakTrackRef = useRef(null);
+    const leakCheckControllerRef = useRef(null);
+    const nextPressureEventIdRef = useRef(0);
+    // Cleanup handlers run outside rendering, so they read the latest state from here
+    const cleanupStateRef = useRef({ resultSamples: null, verification: null, passphrase: '' });
 
     // Format elapsed time in readable format
     const formatElapsedTime = (milliseconds) => {
@@ -312,98 +654,463 @@ function MemoryManagementDemo() {
         }
     };
 
-    // Initialize stream processor when chunk size changes
+    // Generate a salt for this session; it is replaced when key parameters are imported
     useEffect(() => {
-        streamProcessorRef.current = new StreamProcessor(chunkSize);
-    }, [chunkSize]);
+        saltRef.current = cryptoInstance.generateSalt();
+    }, [cryptoInstance]);
+
+    const addTimelineMarker = useCallback((type, label) => {
+        const timelineData = timelineRef.current;
+        timelineData.markers.push({ id: timelineData.nextMarkerId++, time: Date.now(), type, label });
+    }, []);
 
-    // Initialize encryption key on component mount
+    // Mark every cleanup on the timeline and keep the latest pressure events for display,
+    // whichever processor triggered them
     useEffect(() => {
-        const initializeEncryption = async () => {
-            try {
-                // Generate salt for this session
-                const salt = cryptoRef.current.generateSalt();
-                saltRef.current = salt;
-                
-                // Use a demo password for the memory management demo
-                const demoPassword = 'MemoryDemo2024!SecurePassword';
-                const key = await cryptoRef.current.deriveKey(demoPassword, salt);
-                encryptionKeyRef.current = key;
-                
-                console.log('Encryption key initialized with AES-256-GCM');
-            } catch (error) {
-                console.error('Failed to initialize encryption:', error);
+        const unsubscribe = ['pressure', 'cleanup'].map(type => memoryManager.on(type, event => {
+            if (event.type === 'cleanup') {
+                addTimelineMarker('cleanup', `Cleanup (${event.reason}) released ${formatBytes(event.totalBytes)}`);
             }
-        };
-        
-        initializeEncryption();
-    }, []);
+            const id = nextPressureEventIdRef.current++;
+            setPressureEvents(prev => [...prev.slice(-(PRESSURE_EVENT_LIMIT - 1)), { ...event, id }]);
+        }));
+        return () => unsubscribe.forEach(off => off());
+    }, [memoryManager, addTimelineMarker]);
 
-    // Memory monitoring
+    // The hook samples memory (more often while a run is active); each sample extends the timeline
     useEffect(() => {
-        const memoryManager = new MemoryManager();
-
-        intervalRef.current = setInterval(() => {
-            const usage = memoryManager.checkMemoryUsage();
-            if (usage) {
-                setMemoryInfo(usage);
-                
-                // Track peak memory during processing using ref for immediate updates
-                if (isProcessing) {
-                    if (!peakMemoryRef.current || usage.usedMB > peakMemoryRef.current) {
-                        peakMemoryRef.current = usage.usedMB;
-                    }
+        return memoryManager.on('usage', ({ usage, timestamp }) => {
+            const timelineData = timelineRef.current;
+            timelineData.samples.push({ time: timestamp, used: usage.used, limit: usage.limit });
+            const windowStart = timestamp - TIMELINE_WINDOW_MS;
+            timelineData.samples = timelineData.samples.filter(sample => sample.time >= windowStart);
+            timelineData.markers = timelineData.markers.filter(marker => marker.time >= windowStart);
+            setTimeline({ samples: [...timelineData.samples], markers: [...timelineData.markers] });
+
+            runRecorder.addSample({ time: timestamp, used: usage.used, limit: usage.limit });
+
+            // Track peak memory during processing using ref for immediate updates
+            if (isProcessing) {
+                if (!peakMemoryRef.current || usage.usedMB > peakMemoryRef.current) {
+                    peakMemoryRef.current = usage.usedMB;
                 }
             }
-        }, 1000);
+        });
+    }, [memoryManager, runRecorder, isProcessing]);
+
+    // The generator settings a new run or benchmark would use, with custom templates parsed
+    const currentGenerator = useCallback(() => ({
+        preset: dataPreset,
+        seed: dataSeed,
+        template: dataPreset === 'custom' ? parseDataTemplate(customTemplate) : null
+    }), [dataPreset, dataSeed, customTemplate]);
+
+    // Switching to Custom starts from the preset just left, unless the template was edited
+    const handleDataPresetChange = useCallback((next) => {
+        const unedited = Object.values(DATA_PRESETS).some(preset => JSON.stringify(preset.template, null, 2) === customTemplate);
+        if (next === 'custom' && dataPreset !== 'custom' && unedited) {
+            setCustomTemplate(JSON.stringify(DATA_PRESETS[dataPreset].template, null, 2));
+        }
+        setDataPreset(next);
+    }, [dataPreset, customTemplate]);
+
+    // options: { level, source, chunkIndex, payload }; the run in progress also keeps every entry
+    const addToLog = useCallback((message, options) => {
+        const entry = processingLog.append(message, options);
+        runRecorder.addEntry(entry);
+    }, [processingLog, runRecorder]);
+
+    // Re-renders on every change; the entries themselves are never copied
+    const subscribeToLog = useCallback(listener => processingLog.on('*', listener), [processingLog]);
+    const getLogSnapshot = useCallback(() => processingLog.getSnapshot(), [processingLog]);
+    const logSnapshot = useSyncExternalStore(subscribeToLog, getLogSnapshot, getLogSnapshot);
+    // A new filter starts a new view; appends only run the new entries through it
+    const logView = useMemo(() => new FilteredLogView(logFilter), [logFilter]);
+    const filteredLog = useMemo(() => logView.update(logSnapshot.entries), [logView, logSnapshot]);
+
+    // Pressure level changes and cleanups from the memory manager
+    useEffect(() => {
+        const unsubscribe = [
+            memoryManager.on('pressure', ({ level, previous, percentage }) => addToLog(
+                `Memory pressure ${previous} → ${level} at ${percentage.toFixed(1)}%`,
+                {
+                    level: PRESSURE_LOG_LEVELS[level],
+                    source: 'MemoryManager',
+                    payload: { level, previous, percentage }
+                }
+            )),
+            memoryManager.on('cleanup', ({ reason, released, totalBytes }) => addToLog(
+                `Cleanup (${reason}) released ${formatBytes(totalBytes)}`,
+                { source: 'MemoryManager', payload: { reason, released } }
+            ))
+        ];
+        return () => unsubscribe.forEach(off => off());
+    }, [memoryManager, addToLog]);
+
+    // Downloads what the filters currently show
+    const handleDownloadLog = useCallback(() => {
+        downloadBlob(new Blob([toNDJSON(filteredLog.entries)], { type: 'application/x-ndjson' }), LOG_FILENAME);
+    }, [filteredLog]);
+
+    const refreshRunHistory = useCallback(async () => {
+        const historyStore = historyStoreRef.current;
+        if (!historyStore) return;
+
+        try {
+            setRunHistory(await historyStore.list());
+        } catch (err) {
+            console.error('Could not read run history:', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshRunHistory();
+    }, [refreshRunHistory]);
+
+    // Saves the finished run with the log and samples collected since it started
+    const saveRunToHistory = useCallback(async (run) => {
+        const historyStore = historyStoreRef.current;
+        const runRecord = runRecorder.finish();
+        if (!historyStore || !runRecord) return;
 
-        return () => {
-            if (intervalRef.current) {
-                clearInterval(intervalRef.current);
+        try {
+            await historyStore.add({ ...run, ...runRecord });
+            await refreshRunHistory();
+        } catch (err) {
+            console.error('Could not save run to history:', err);
+        }
+    }, [refreshRunHistory, runRecorder]);
+
+    const passphraseStrength = estimatePassphraseStrength(passphrase);
+
+    // Results live either in IndexedDB (storedResults) or in memory (results), never both
+    const resultCount = storedResults ? storedResults.count : results.length;
+    // Stored runs keep their signed manifest in the run metadata once they complete
+    const resultManifest = storedResults ? storedResults.meta?.manifest ?? null : runManifest;
+    // Records name their own cipher, so one result set can mix several
+    const resultCiphers = useMemo(() => (storedResults
+        ? storedResults.meta?.ciphers ?? []
+        : [...new Set(results.map(record => record.algorithm))]
+    ), [storedResults, results]);
+    const canResume = storedResults !== null && storedResults.meta !== null && !storedResults.meta.complete
+        && (storedResults.meta.source !== null || (storedResults.meta.nextIndex ?? storedResults.count) < storedResults.meta.dataSize);
+
+    // Only the count and run metadata are read back; records stay in the store
+    const refreshStoredResults = useCallback(async () => {
+        const resultStore = resultStoreRef.current;
+        if (!resultStore) return;
+
+        try {
+            const [count, meta, estimate] = await Promise.all([
+                resultStore.count(),
+                resultStore.getMeta(),
+                estimateStorage()
+            ]);
+            setStoredResults(count > 0 ? { count, meta } : null);
+            setStorageEstimate(estimate);
+        } catch (err) {
+            console.error('Could not read stored results:', err);
+        }
+    }, []);
+
+    // Pick up results (or an interrupted run) left in storage by an earlier visit
+    useEffect(() => {
+        refreshStoredResults();
+    }, [refreshStoredResults]);
+
+    useEffect(() => {
+        cleanupStateRef.current = { resultSamples, verification, passphrase };
+    }, [resultSamples, verification, passphrase]);
+
+    // Named cleanup handlers, cheapest to lose first; each reports roughly what it released
+    useEffect(() => {
+        const unregister = [
+            memoryManager.registerCleanup('log-buffers', () => {
+                const dropped = processingLog.trim(PRESSURE_LOG_KEEP);
+
+                const timelineData = timelineRef.current;
+                const droppedSamples = timelineData.samples.splice(0, Math.floor(timelineData.samples.length / 2));
+                return estimateBytes(dropped) + estimateBytes(droppedSamples);
+            }, { level: 'throttle' }),
+
+            memoryManager.registerCleanup('cached-results', () => {
+                const { resultSamples: samples, verification: lastVerification } = cleanupStateRef.current;
+                setResultSamples(null);
+                setVerification(prev => prev && { ...prev, failures: [] });
+                return estimateBytes(samples) + (lastVerification ? estimateBytes(lastVerification.failures) : 0);
+            }, { level: 'pause' }),
+
+            // Dropping the key is a last resort: the passphrase must be applied again afterwards
+            memoryManager.registerCleanup('key-material', () => {
+                if (!encryptionKeyRef.current && !cleanupStateRef.current.passphrase) return 0;
+
+                const released = estimateBytes(cleanupStateRef.current.passphrase)
+                    + (encryptionKeyRef.current ? 32 * Object.keys(encryptionKeyRef.current).length : 0);
+                encryptionKeyRef.current = null;
+                setPassphrase('');
+                setKeyStatus(null);
+                addToLog('Key material dropped under memory pressure; apply the passphrase again', { level: 'warn', source: 'MemoryManager' });
+                return released;
+            }, { level: 'abort' })
+        ];
+
+        return () => unregister.forEach(release => release());
+    }, [addToLog, memoryManager, processingLog]);
+
+    const reportCancellation = useCallback((processor, action) => {
+        const { completedChunks, totalChunks } = processor.cursor;
+        const ofTotal = totalChunks !== null ? ` of ${totalChunks}` : '';
+        addToLog(`${action} cancelled after ${completedChunks}${ofTotal} chunks; partial results released`, {
+            level: 'warn',
+            source: 'StreamProcessor',
+            payload: processor.cursor
+        });
+        setProgress({ processed: 0, total: 0, percentage: 0 });
+        setError(createError(
+            ERROR_TYPES.CANCELLED,
+            `${action} cancelled after ${completedChunks}${ofTotal} chunks`,
+            'Partial results were released. Start again when ready.'
+        ));
+    }, [addToLog]);
+
+    const handleApplyPassphrase = useCallback(async () => {
+        setError(null);
+        setSuccess('');
+
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            setError(createError(
+                ERROR_TYPES.VALIDATION,
+                'Passphrase is too short',
+                `Please use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`
+            ));
+            return;
+        }
+
+        setIsDerivingKey(true);
+        const hadKey = encryptionKeyRef.current !== null;
+        const startTime = Date.now();
+
+        try {
+            // One key per registered cipher, so switching ciphers needs no re-derivation
+            encryptionKeyRef.current = await cryptoInstance.deriveKeys(passphrase, saltRef.current, kdfSettings);
+
+            const derivationTime = Date.now() - startTime;
+            setKeyStatus({ ...kdfSettings, derivationTime });
+            setVerification(null);
+
+            addToLog(`${hadKey ? 'Re-keyed' : 'Derived key'} with PBKDF2-${kdfSettings.hash}, ${kdfSettings.iterations.toLocaleString()} iterations in ${derivationTime}ms`, { source: 'encryption' });
+            if (hadKey && resultCount > 0) {
+                addToLog('Existing results were encrypted with the previous key', { level: 'warn', source: 'encryption' });
             }
-        };
-    }, [isProcessing]);
-
-    const generateLargeDataset = useCallback((size) => {
-        const data = [];
-        for (let i = 0; i < size; i++) {
-            data.push({
-                id: i,
-                email: `user${i}@example.com`,
-                userData: {
-                    name: `User ${i}`,
-                    preferences: Array(10).fill(0).map(() => Math.random().toString(36)),
-                    history: Array(20).fill(0).map(() => ({
-                        action: 'login',
-                        timestamp: Date.now() - Math.random() * 1000000,
-                        ip: `192.168.1.${Math.floor(Math.random() * 255)}`
-                    }))
-                },
-                metadata: {
-                    created: Date.now() - Math.random() * 1000000,
-                    lastUpdated: Date.now(),
-                    tags: Array(5).fill(0).map(() => Math.random().toString(36).substr(2, 8))
-                }
-            });
+            setSuccess('Encryption key ready! 🔑');
+        } catch (err) {
+            const errorDetails = getErrorDetails(err);
+            setError(errorDetails);
+            addToLog(errorDetails.message, { level: 'error', payload: errorDetails });
+            console.error('Key derivation error:', err);
+        } finally {
+            setIsDerivingKey(false);
         }
-        return data;
+    }, [passphrase, kdfSettings, resultCount, addToLog, cryptoInstance]);
+
+    const handleCipherChange = useCallback((cipherId) => {
+        cryptoInstance.setCipher(cipherId);
+        setCipher(cipherId);
+        addToLog(`New records will be encrypted with ${CIPHERS[cipherId].label}`, { source: 'encryption' });
+    }, [addToLog, cryptoInstance]);
+
+    const handleUpdateFieldRule = useCallback((id, changes) => {
+        setFieldSchema(prev => prev.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
     }, []);
 
-    const addToLog = useCallback((message) => {
-        setProcessingLog(prev => [...prev.slice(-19), {
-            id: Date.now(),
-            message,
-            timestamp: new Date().toLocaleTimeString()
-        }]);
+    const handleRemoveFieldRule = useCallback((id) => {
+        setFieldSchema(prev => prev.filter(rule => rule.id !== id));
     }, []);
 
-    const handleProcessData = useCallback(async () => {
+    const handleNewSalt = useCallback(() => {
+        saltRef.current = cryptoInstance.generateSalt();
+        encryptionKeyRef.current = null;
+        setKeyStatus(null);
+        addToLog('Generated a new salt; apply the passphrase again to derive a key', { source: 'encryption' });
+    }, [addToLog, cryptoInstance]);
+
+    const handleExportKeyParams = useCallback(() => {
+        const params = cryptoInstance.exportKeyParams(saltRef.current, keyStatus || kdfSettings);
+        downloadBlob(
+            new Blob([JSON.stringify(params, null, 2)], { type: 'application/json' }),
+            'key-params.json'
+        );
+        addToLog('Exported salt and KDF parameters', { source: 'encryption' });
+    }, [keyStatus, kdfSettings, addToLog, cryptoInstance]);
+
+    const applyKeyParams = useCallback((params) => {
+        const { salt, iterations, hash } = cryptoInstance.importKeyParams(params);
+        saltRef.current = salt;
+        encryptionKeyRef.current = null;
+        setKdfSettings({ iterations, hash });
+        setKeyStatus(null);
+        addToLog(`Imported key parameters (PBKDF2-${hash}, ${iterations.toLocaleString()} iterations); enter the passphrase to derive the key`, { source: 'encryption' });
+    }, [addToLog, cryptoInstance]);
+
+    const handleImportKeyParams = useCallback(async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        setError(null);
+        setSuccess('');
+
+        try {
+            applyKeyParams(JSON.parse(await file.text()));
+        } catch (err) {
+            setError(createError(
+                ERROR_TYPES.VALIDATION,
+                'Could not import key parameters',
+                err.message
+            ));
+        }
+    }, [applyKeyParams]);
+
+    const handleImportContainer = useCallback(async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        setError(null);
+        setSuccess('');
+        setVerification(null);
+        setResultSamples(null);
+        addToLog(`Importing container ${file.name} (${formatBytes(file.size)})...`, { source: 'storage' });
+
+        // Imported records go to the same place a new run's results would
+        const resultStore = persistResults ? resultStoreRef.current : null;
+
+        try {
+            setResults([]);
+            setRunManifest(null);
+            if (resultStore) {
+                await resultStore.clear();
+                setStoredResults(null);
+            }
+
+            // Imports cannot be resumed, so the stored metadata is marked complete throughout
+            const importMeta = {
+                source: file.name,
+                sourceSize: file.size,
+                dataSize: null,
+                keyParams: null,
+                startedAt: new Date().toISOString(),
+                complete: true
+            };
+            let imported = [];
+            let importedCount = 0;
+            const importCiphers = new Set();
+            let manifest = null;
+
+            for await (const entry of readContainerEntries(file)) {
+                if (entry.type === 'manifest') {
+                    manifest = entry.manifest;
+                    continue;
+                }
+                if (entry.type === 'header') {
+                    applyKeyParams(entry.header.keyParams);
+                    importMeta.keyParams = entry.header.keyParams;
+                    continue;
+                }
+
+                importCiphers.add(entry.algorithm);
+                importedCount++;
+                imported.push(recordFromEntry(entry, cryptoInstance));
+
+                if (resultStore && imported.length >= chunkSize) {
+                    await resultStore.putRecords(imported, { ...importMeta, storedRecords: importedCount, ciphers: [...importCiphers] });
+                    imported = [];
+                }
+            }
+
+            // The manifest trails the records, so it is only known once the whole file has been read
+            if (resultStore) {
+                await resultStore.putRecords(imported, { ...importMeta, storedRecords: importedCount, ciphers: [...importCiphers], manifest });
+                await refreshStoredResults();
+            } else {
+                setResults(imported);
+                setRunManifest(manifest);
+            }
+            addToLog(`Imported ${importedCount} encrypted records; derive the key, then verify to decrypt them`, { source: 'storage' });
+            addToLog(manifest
+                ? `The container carries a run manifest over ${manifest.recordCount} records; verifying checks it too`
+                : 'The container has no run manifest, so dropped or reordered records cannot be detected');
+            setSuccess('Container imported! Enter the passphrase and verify. 📦');
+        } catch (err) {
+            setError(createError(
+                ERROR_TYPES.VALIDATION,
+                'Could not import container',
+                err.message
+            ));
+            addToLog(err.message, { level: 'error', source: 'storage', payload: getErrorDetails(err) });
+            if (resultStore) {
+                await refreshStoredResults();
+            }
+        }
+    }, [persistResults, chunkSize, applyKeyParams, refreshStoredResults, addToLog, cryptoInstance]);
+
+    // Resolves with the outcome ('complete', 'cancelled' or 'failed'), or undefined when the
+    // settings did not pass validation. The output options default to the current controls.
+    const runEncryption = useCallback(async ({
+        resume = false,
+        saveHistory = true,
+        container = writeContainer,
+        persistence = persistResults
+    } = {}) => {
         // Clear previous messages
         setError(null);
         setSuccess('');
 
+        const resultStore = resultStoreRef.current;
+        // A resumed run takes its source and size from the stored run, not the current controls
+        const storedRun = resume ? storedResults : null;
+        const runFile = storedRun ? (storedRun.meta.source ? sourceFile : null) : sourceFile;
+        const runDataSize = storedRun ? storedRun.meta.dataSize : dataSize;
+        // Skipped records leave gaps, so resume from where the run got to rather than the stored count
+        const startIndex = storedRun ? (storedRun.meta.nextIndex ?? storedRun.count) : 0;
+        const persist = resultStore !== null && (resume || persistence);
+
+        if (storedRun) {
+            const { meta } = storedRun;
+
+            if (meta.source && (!sourceFile || sourceFile.name !== meta.source || sourceFile.size !== meta.sourceSize)) {
+                setError(createError(
+                    ERROR_TYPES.VALIDATION,
+                    `Select ${meta.source} to resume this run`,
+                    'The stored run read its records from that file; choose it again under Data Source.'
+                ));
+                return;
+            }
+
+            if (container) {
+                setError(createError(
+                    ERROR_TYPES.VALIDATION,
+                    'Container output is not available when resuming',
+                    'The container would only hold the remaining records. Untick the container file option to resume.'
+                ));
+                return;
+            }
+
+            const currentParams = keyStatus ? cryptoInstance.exportKeyParams(saltRef.current, keyStatus) : null;
+            if (!currentParams || currentParams.salt !== meta.keyParams.salt
+                || currentParams.iterations !== meta.keyParams.iterations || currentParams.hash !== meta.keyParams.hash) {
+                applyKeyParams(meta.keyParams);
+                setError(createError(
+                    ERROR_TYPES.VALIDATION,
+                    'The stored run used different key parameters',
+                    'They have been loaded under Key Management. Apply the same passphrase, then resume again.'
+                ));
+                return;
+            }
+        }
+
         // Enhanced validation
-        if (dataSize > 100000) {
+        if (!runFile && runDataSize > 100000) {
             setError(createError(
                 ERROR_TYPES.VALIDATION,
                 'Dataset size is too large',
@@ -412,7 +1119,7 @@ function MemoryManagementDemo() {
             return;
         }
 
-        if (dataSize < 500) {
+        if (!runFile && runDataSize < 500) {
             setError(createError(
                 ERROR_TYPES.VALIDATION,
                 'Dataset size is too small',
@@ -421,7 +1128,7 @@ function MemoryManagementDemo() {
             return;
         }
 
-        if (chunkSize > dataSize) {
+        if (!runFile && chunkSize > runDataSize) {
             setError(createError(
                 ERROR_TYPES.VALIDATION,
                 'Chunk size cannot be larger than dataset size',
@@ -430,195 +1137,2004 @@ function MemoryManagementDemo() {
             return;
         }
 
+        if (!encryptionKeyRef.current) {
+            setError(createError(
+                ERROR_TYPES.VALIDATION,
+                'No encryption key has been set',
+                'Enter a passphrase under Key Management and apply it before encrypting.'
+            ));
+            return;
+        }
+
+        if (fieldLevel) {
+            try {
+                validateFieldSchema(fieldSchema);
+            } catch (err) {
+                setError(getErrorDetails(err));
+                return;
+            }
+        }
+        const runSchema = fieldLevel ? fieldSchema.map(({ path, action }) => ({ path, action })) : null;
+
+        if (compression !== 'none' && !isCompressionSupported()) {
+            setError(getErrorDetails(new BrowserSupportError('This browser has no CompressionStream', {
+                suggestion: 'Set Compression to None, or use a current Chrome, Edge, Firefox or Safari.'
+            })));
+            return;
+        }
+        const runCompression = compression;
+
+        // A resumed run regenerates its remaining records from the stored preset and seed
+        let runGenerator = null;
+        if (!runFile) {
+            try {
+                if (storedRun && !Number.isInteger(storedRun.meta.generator?.seed)) {
+                    throw new ValidationError('The stored run has no data seed, so its remaining records cannot be regenerated', {
+                        suggestion: 'Start a new run instead of resuming this one.'
+                    });
+                }
+                runGenerator = storedRun ? storedRun.meta.generator : currentGenerator();
+            } catch (err) {
+                setError(getErrorDetails(err));
+                return;
+            }
+        }
+
+        // Open the save target first, while the click still counts as a user gesture
+        let containerWriter = null;
+        if (container) {
+            try {
+                containerWriter = new ContainerWriter(await createDownloadSink(CONTAINER_FILENAME), cryptoInstance);
+            } catch (err) {
+                addToLog(`Save cancelled: ${err.message}`);
+                return;
+            }
+        }
+
+        // Runs kept out of the history record nothing, so Clear Data leaves nothing of them behind
+        if (saveHistory) {
+            runRecorder.start();
+        }
         setIsProcessing(true);
         setIsAnimating(true);
         setResults([]);
-        setProgress({ processed: 0, total: dataSize, percentage: 0 });
+        setResultSamples(null);
+        setVerification(null);
+        setFailureReport(null);
+        setRunManifest(null);
+        setProgress(runFile
+            ? { processed: 0, total: runFile.size, percentage: 0, unit: 'bytes' }
+            : { processed: startIndex, total: runDataSize, percentage: (startIndex / runDataSize) * 100 });
 
         // Initialize processing stats
         const startTime = Date.now();
         startTimeRef.current = startTime;
-        const currentMemory = memoryInfo ? memoryInfo.usedMB : 0;
+        const startUsage = memoryManager.checkMemoryUsage();
+        const currentMemory = startUsage ? startUsage.usedMB : 0;
         peakMemoryRef.current = currentMemory;
         
+        const mode = useWorkers ? `${workerPoolSize} workers` : `main thread, ${concurrency} in flight`;
+        const runCipher = cryptoInstance.cipher;
+        const cipherLabel = CIPHERS[runCipher].label;
+        // Worker pools take whole chunks, so the in-chunk limit only applies on the main thread
+        const concurrencyStats = useWorkers ? null : { limit: concurrency, current: concurrency, lowest: concurrency, changes: 0 };
+
         setProcessingStats({
             startTime,
             endTime: null,
             startMemory: currentMemory,
             peakMemory: currentMemory,
-            elapsedTime: 0
+            elapsedTime: 0,
+            mode,
+            cipher: runCipher,
+            compression: runCompression,
+            sourceBytes: runFile ? runFile.size : null,
+            generator: runGenerator,
+            chunkSizing: null,
+            concurrency: concurrencyStats,
+            sizes: null
         });
 
-        addToLog(`Starting AES-256-GCM encryption of ${dataSize} records...`);
+        if (storedRun) {
+            addToLog(`Resuming from storage after ${startIndex} stored records on ${mode}...`);
+        } else {
+            addToLog(runFile
+                ? `Starting ${cipherLabel} encryption of ${runFile.name} on ${mode}...`
+                : `Starting ${cipherLabel} encryption of ${runDataSize} records on ${mode}...`);
+        }
+
+        let workerPool = null;
+        let storedRecords = storedRun ? storedRun.count : 0;
+        const failures = [];
+        let failureCount = 0;
+        let failuresLogged = 0;
+        // Plaintext, post-compression and stored output bytes over every record this run wrote
+        const sizeTotals = { raw: 0, compressed: 0, encrypted: 0 };
+        const runFailurePolicy = {
+            ...failurePolicy,
+            onFailure: (failure) => {
+                addToLog(`Record ${failure.index} failed after ${failure.attempts} attempts: ${failure.message}`, {
+                    level: 'debug',
+                    source: 'encryption',
+                    chunkIndex: failure.chunkIndex,
+                    payload: failure
+                });
+                // A failed worker chunk is reported once with the number of records it held
+                failureCount += failure.count || 1;
+                if (failures.length < FAILURE_REPORT_LIMIT) {
+                    failures.push(failure);
+                }
+            }
+        };
+        const processor = streamProcessor;
+        const signal = startRun(processor);
+        let encryptedCount = 0;
+        let outcome = 'failed';
+        let runError = null;
 
         try {
             if (!encryptionKeyRef.current) {
-                throw new Error('Encryption key not initialized');
+                throw new EncryptionError('Encryption key not initialized');
             }
 
-            const dataset = generateLargeDataset(dataSize);
-            addToLog(`Generated dataset: ${JSON.stringify(dataset[0]).length * dataSize} bytes`);
-            addToLog('Using real AES-256-GCM encryption with PBKDF2 key derivation');
-
-            // Create a wrapper function for the real encryption that maintains the expected signature
-            const encryptionProcessor = async (data, index) => {
-                return await realEncryption(data, index, cryptoRef.current, encryptionKeyRef.current);
+            const runMeta = {
+                source: runFile ? runFile.name : null,
+                sourceSize: runFile ? runFile.size : null,
+                dataSize: runFile ? null : runDataSize,
+                generator: runGenerator,
+                keyParams: cryptoInstance.exportKeyParams(saltRef.current, keyStatus),
+                startedAt: storedRun ? storedRun.meta.startedAt : new Date().toISOString(),
+                // A resumed run may use a different cipher; every record names its own
+                ciphers: [...new Set([...(storedRun?.meta.ciphers || []), runCipher])],
+                fieldSchema: runSchema,
+                complete: false
             };
 
-            const processedResults = await streamProcessorRef.current.processStream(
-                dataset,
-                encryptionProcessor,
-                (chunkResults, chunkIndex, totalChunks) => {
-                    addToLog(`Encrypted chunk ${chunkIndex + 1}/${totalChunks} (${chunkResults.length} items)`);
-                    
-                    // Update progress based on chunks completed
-                    const chunkProgress = {
-                        processed: (chunkIndex + 1) * chunkSize,
-                        total: dataSize,
-                        percentage: ((chunkIndex + 1) / totalChunks) * 100,
-                        currentChunk: chunkIndex + 1,
-                        totalChunks
-                    };
-                    setProgress(chunkProgress);
-                },
-                null // Don't use the individual item progress
-            );
-
-            setResults(processedResults);
+            const manifestBuilder = new RunManifestBuilder(encryptionKeyRef.current.manifest, cryptoInstance, storedRun?.meta.manifestState);
+            if (persist && !storedRun) {
+                await resultStore.clear();
+                setStoredResults(null);
+            }
+            if (persist) {
+                addToLog('Writing each encrypted chunk to IndexedDB instead of keeping it in memory', { source: 'storage' });
+            }
+
+            let dataset;
+            let bytesRead = 0;
+            if (runFile) {
+                const format = fileFormat === 'auto' ? detectFileFormat(runFile) : fileFormat;
+                dataset = readFileRecords(runFile, format, cryptoInstance, (bytes) => {
+                    bytesRead = bytes;
+                });
+                if (startIndex > 0) {
+                    dataset = skipRecords(dataset, startIndex);
+                }
+                addToLog(`Streaming ${runFile.name} (${formatBytes(runFile.size)}) as ${FILE_FORMATS[format]}`);
+            } else {
+                // Records are built as the pipeline pulls them, so the dataset never exists in full
+                dataset = createSyntheticDataset(generatorTemplate(runGenerator), {
+                    seed: runGenerator.seed,
+                    size: runDataSize - startIndex,
+                    startIndex
+                });
+                addToLog(`Generating ${dataset.length} records from ${generatorLabel(runGenerator)}, ~${formatBytes(estimateRecordBytes(dataset))} each`);
+            }
+            addToLog(`Using real ${cipherLabel} encryption with PBKDF2-${keyStatus.hash} key derivation`, { source: 'encryption' });
+            if (runCompression !== 'none') {
+                addToLog(`Compressing each ${runSchema ? 'field' : 'record'} with ${runCompression} before encryption`, { source: 'encryption' });
+            }
+            if (runSchema) {
+                const count = action => runSchema.filter(rule => rule.action === action).length;
+                addToLog(`Field-level: encrypting ${count('encrypt')} and hashing ${count('hash')} fields; everything else stays plain`, {
+                    source: 'encryption',
+                    payload: runSchema
+                });
+            }
+
+            if (containerWriter) {
+                await containerWriter.writeHeader({
+                    keyParams: cryptoInstance.exportKeyParams(saltRef.current, keyStatus),
+                    ivLength: cryptoInstance.ivLength,
+                    cipher: runCipher,
+                    chunkSize: processor.chunkSize,
+                    createdAt: new Date().toISOString()
+                });
+                addToLog(containerWriter.sink.streaming
+                    ? 'Writing container directly to disk as chunks complete'
+                    : 'Collecting container as Blob parts; it downloads when the run completes');
+            }
+
+            let encryptionProcessor;
+            if (useWorkers) {
+                workerPool = new EncryptionWorkerPool(workerPoolSize, cryptoInstance, runCipher);
+                await workerPool.init(encryptionKeyRef.current, { schema: runSchema, compression: runCompression });
+                addToLog(`Started ${workerPoolSize} encryption workers`, { source: 'encryption' });
+                encryptionProcessor = workerPool;
+            } else {
+                encryptionProcessor = createEncryptionProcessor(cryptoInstance, encryptionKeyRef.current, {
+                    cipher: runCipher,
+                    schema: runSchema,
+                    compression: runCompression
+                });
+            }
+
+            let chunkSizer = null;
+            const chunkSizing = {
+                initial: processor.chunkSize,
+                final: processor.chunkSize,
+                min: processor.chunkSize,
+                max: processor.chunkSize,
+                resizes: 0
+            };
+            if (adaptiveChunking) {
+                chunkSizer = new AdaptiveChunkSizer(adaptiveSettings);
+                addToLog(adaptiveSettings.mode === 'heap'
+                    ? `Adaptive chunking towards ${adaptiveSettings.targetHeapPercentage}% heap usage`
+                    : `Adaptive chunking towards ${adaptiveSettings.targetLatencyMs}ms per chunk`, { source: 'StreamProcessor', payload: adaptiveSettings });
+            }
+
+            if (failurePolicy.retries > 0) {
+                addToLog(`Retrying transient failures up to ${failurePolicy.retries} times, backing off from ${failurePolicy.backoffMs}ms`);
+            }
+
+            const processedResults = await processor.processStream(
+                dataset,
+                encryptionProcessor,
+                async (chunkResults, chunkIndex, totalChunks, nextIndex) => {
+                    addTimelineMarker('chunk', `Encrypted chunk ${chunkIndex + 1}`);
+                    leakTrackRef.current?.(chunkResults, `chunk ${chunkIndex + 1}`);
+
+                    for (const record of chunkResults) {
+                        if (record.sizes) {
+                            sizeTotals.raw += record.sizes.raw;
+                            sizeTotals.compressed += record.sizes.compressed;
+                            sizeTotals.encrypted += record.sizes.encrypted;
+                        }
+                    }
+
+                    if (failureCount > failuresLogged) {
+                        addToLog(`Chunk ${chunkIndex + 1}: skipped ${failureCount - failuresLogged} failed records`, { level: 'warn', source: 'encryption', chunkIndex });
+                        failuresLogged = failureCount;
+                    }
+
+                    await manifestBuilder.addChunk(chunkResults);
+
+                    if (containerWriter) {
+                        await containerWriter.writeRecords(chunkResults);
+                    }
+
+                    if (persist) {
+                        storedRecords += chunkResults.length;
+                        await resultStore.putRecords(chunkResults, {
+                            ...runMeta,
+                            storedRecords,
+                            nextIndex,
+                            manifestState: manifestBuilder.snapshot(),
+                            updatedAt: new Date().toISOString()
+                        });
+                    }
+
+                    if (runFile) {
+                        addToLog(`Encrypted chunk ${chunkIndex + 1} (${chunkResults.length} items, ${formatBytes(bytesRead)} read)`, {
+                            level: 'debug',
+                            source: 'StreamProcessor',
+                            chunkIndex,
+                            payload: { records: chunkResults.length, bytesRead }
+                        });
+
+                        // File runs only know how far through the file they are
+                        setProgress({
+                            processed: bytesRead,
+                            total: runFile.size,
+                            percentage: runFile.size > 0 ? (bytesRead / runFile.size) * 100 : 100,
+                            currentChunk: chunkIndex + 1,
+                            totalChunks,
+                            unit: 'bytes'
+                        });
+                        return;
+                    }
+
+                    addToLog(`Encrypted chunk ${chunkIndex + 1}/${totalChunks} (${chunkResults.length} items)`, {
+                        level: 'debug',
+                        source: 'StreamProcessor',
+                        chunkIndex,
+                        payload: { records: chunkResults.length, totalChunks }
+                    });
+                    
+                    // Update progress based on records completed, since adaptive chunks vary in size
+                    const chunkProgress = {
+                        processed: nextIndex,
+                        total: runDataSize,
+                        percentage: (nextIndex / runDataSize) * 100,
+                        currentChunk: chunkIndex + 1,
+                        totalChunks
+                    };
+                    setProgress(chunkProgress);
+                },
+                null, // Don't use the individual item progress
+                {
+                    signal,
+                    chunkSizer,
+                    startIndex,
+                    failurePolicy: runFailurePolicy,
+                    // Persisted chunks are dropped as soon as they are written
+                    collectResults: !persist,
+                    concurrency,
+                    // Called with the starting limit, then whenever pressure changes it
+                    onConcurrency: (change) => {
+                        const { limit, effective, level, chunkIndex } = change;
+                        if (!concurrencyStats || effective === concurrencyStats.current) return;
+
+                        concurrencyStats.current = effective;
+                        concurrencyStats.changes++;
+                        concurrencyStats.lowest = Math.min(concurrencyStats.lowest, effective);
+                        addToLog(`Chunk ${chunkIndex + 1}: ${effective} of ${limit} records in flight at ${level} pressure`, {
+                            level: effective < limit ? 'warn' : 'info',
+                            source: 'StreamProcessor',
+                            chunkIndex,
+                            payload: change
+                        });
+                    },
+                    onResize: (resize) => {
+                        const { size, previousSize, reason, chunkIndex } = resize;
+                        if (size === previousSize) {
+                            addToLog(`Chunk ${chunkIndex + 1}: kept ${size} records (${reason})`, {
+                                level: 'debug',
+                                source: 'StreamProcessor',
+                                chunkIndex,
+                                payload: resize
+                            });
+                            return;
+                        }
+
+                        addToLog(`Chunk ${chunkIndex + 1}: resized ${previousSize} → ${size} records (${reason})`, {
+                            source: 'StreamProcessor',
+                            chunkIndex,
+                            payload: resize
+                        });
+                        chunkSizing.resizes++;
+                        chunkSizing.min = Math.min(chunkSizing.min, size);
+                        chunkSizing.max = Math.max(chunkSizing.max, size);
+                        chunkSizing.final = size;
+                    }
+                }
+            );
+
+            const manifest = await manifestBuilder.finish();
+            addToLog(`Signed run manifest: ${manifest.recordCount} records in ${manifest.chunks.length} chunks, root ${manifest.root.slice(0, 12)}…`, { source: 'encryption' });
+
+            encryptedCount = processedResults.length;
+            leakTrackRef.current?.(processedResults, 'results');
+            if (persist) {
+                await resultStore.putMeta({
+                    ...runMeta,
+                    storedRecords,
+                    nextIndex: processor.cursor.nextIndex,
+                    manifestState: manifestBuilder.snapshot(),
+                    manifest,
+                    complete: true,
+                    updatedAt: new Date().toISOString()
+                });
+                encryptedCount = storedRecords - (storedRun ? storedRun.count : 0);
+            } else {
+                setResults(processedResults);
+                setRunManifest(manifest);
+            }
+
+            if (containerWriter) {
+                await containerWriter.writeManifest(manifest);
+                await containerWriter.close();
+                addToLog(`Wrote ${containerWriter.recordCount} records (${formatBytes(containerWriter.bytesWritten)}) to ${CONTAINER_FILENAME}`, { source: 'storage' });
+                containerWriter = null;
+            }
             
             // Set final progress to 100%
-            setProgress({
-                processed: dataSize,
-                total: dataSize,
-                percentage: 100,
-                currentChunk: Math.ceil(dataSize / chunkSize),
-                totalChunks: Math.ceil(dataSize / chunkSize)
-            });
+            setProgress(runFile
+                ? {
+                    processed: runFile.size,
+                    total: runFile.size,
+                    percentage: 100,
+                    currentChunk: processor.cursor.completedChunks,
+                    totalChunks: processor.cursor.completedChunks,
+                    unit: 'bytes'
+                }
+                : {
+                    processed: runDataSize,
+                    total: runDataSize,
+                    percentage: 100,
+                    currentChunk: processor.cursor.completedChunks,
+                    totalChunks: processor.cursor.completedChunks
+                });
             
             // Calculate final stats
             const endTime = Date.now();
             const elapsedTime = endTime - startTimeRef.current;
             const actualPeakMemory = peakMemoryRef.current;
-            const currentMemory = memoryInfo ? memoryInfo.usedMB : 0;
             
             setProcessingStats(prev => ({
                 ...prev,
                 endTime,
                 elapsedTime,
-                peakMemory: actualPeakMemory
+                peakMemory: actualPeakMemory,
+                chunkSizing: chunkSizer ? chunkSizing : null,
+                concurrency: concurrencyStats && { ...concurrencyStats },
+                sizes: { ...sizeTotals }
+            }));
+
+            if (chunkSizer) {
+                addToLog(`Adaptive chunking settled on ${chunkSizing.final} records per chunk after ${chunkSizing.resizes} resizes`, {
+                    source: 'StreamProcessor',
+                    payload: chunkSizing
+                });
+            }
+
+            setModeComparison(prev => ({
+                ...prev,
+                [useWorkers ? 'workers' : 'main']: {
+                    mode,
+                    rate: encryptedCount / (elapsedTime / 1000),
+                    peakMemory: actualPeakMemory
+                }
             }));
+            if (concurrencyStats) {
+                setConcurrencyComparison(prev => ({
+                    ...prev,
+                    [concurrency]: {
+                        limit: concurrency,
+                        lowest: concurrencyStats.lowest,
+                        rate: encryptedCount / (elapsedTime / 1000),
+                        peakMemory: actualPeakMemory
+                    }
+                }));
+            }
             
-            addToLog(`Encryption complete! ${processedResults.length} items encrypted with AES-256-GCM.`);
+            addToLog(`Encryption complete! ${encryptedCount} items encrypted with ${cipherLabel}.`, { source: 'encryption' });
             addToLog(`Total time: ${formatElapsedTime(elapsedTime)}, Peak memory: ${actualPeakMemory}MB`);
+            addToLog(runCompression === 'none'
+                ? `Sizes: ${formatBytes(sizeTotals.raw)} plaintext → ${formatBytes(sizeTotals.encrypted)} encrypted`
+                : `Sizes: ${formatBytes(sizeTotals.raw)} plaintext → ${formatBytes(sizeTotals.compressed)} after ${runCompression} → ${formatBytes(sizeTotals.encrypted)} encrypted`, {
+                source: 'encryption',
+                payload: sizeTotals
+            });
+            if (persist) {
+                addToLog(`${storedRecords} encrypted records are stored in IndexedDB`, { source: 'storage' });
+            }
+            if (runFile) {
+                addToLog(`Read ${formatBytes(runFile.size)} from file; heap grew by ${actualPeakMemory - currentMemory}MB at peak`);
+            }
             
             // Show success message
-            setSuccess('Data encrypted successfully! 🔒');
+            if (failureCount > 0) {
+                addToLog(`${failureCount} records failed and were skipped`, { level: 'warn', source: 'encryption' });
+                setError(createError(
+                    ERROR_TYPES.ENCRYPTION,
+                    `${failureCount} records failed and were skipped`,
+                    'See the failure report for the index, chunk and cause of each one.'
+                ));
+            } else {
+                setSuccess('Data encrypted successfully! 🔒');
+            }
+            outcome = 'complete';
+
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                outcome = 'cancelled';
+                reportCancellation(processor, 'Encryption');
+            } else {
+                const errorDetails = getErrorDetails(err);
+                runError = errorDetails.message;
+                setError(errorDetails);
+                addToLog(errorDetails.message, { level: 'error', payload: errorDetails });
+                console.error('Encryption processing error:', err);
+            }
+            if (persist && storedRecords > 0) {
+                addToLog(`${storedRecords} records are kept in IndexedDB; resume from storage to continue`, { source: 'storage' });
+            }
+        } finally {
+            if (failureCount > 0) {
+                setFailureReport({ mode: failurePolicy.mode, total: failureCount, failures });
+            }
+            if (workerPool) {
+                workerPool.terminate();
+            }
+            if (containerWriter) {
+                await containerWriter.abort();
+            }
+            if (persist) {
+                await refreshStoredResults();
+            }
+
+            const elapsedMs = Date.now() - startTime;
+            // Runs that stopped early count the records the processor got through
+            const records = outcome === 'complete'
+                ? encryptedCount
+                : Math.max(0, processor.cursor.nextIndex - startIndex - failureCount);
+            if (saveHistory) {
+                await saveRunToHistory({
+                    startedAt: new Date(startTime).toISOString(),
+                    outcome,
+                    error: runError,
+                    resumed: storedRun !== null,
+                    parameters: {
+                        source: runFile ? runFile.name : generatorLabel(runGenerator),
+                        dataSize: runFile ? null : runDataSize,
+                        chunkSize,
+                        adaptiveChunking,
+                        concurrency: concurrencyStats ? concurrency : null,
+                        cipher: runCipher,
+                        compression: runCompression,
+                        fieldLevel: runSchema !== null,
+                        mode,
+                        failurePolicy: `${FAILURE_MODES[failurePolicy.mode]}, ${failurePolicy.retries} retries`,
+                        memoryBackend: memoryManager.backend.name,
+                        persist
+                    },
+                    stats: {
+                        elapsedMs,
+                        peakMB: peakMemoryRef.current,
+                        growthMB: peakMemoryRef.current - currentMemory,
+                        throughput: elapsedMs > 0 ? records / (elapsedMs / 1000) : 0,
+                        records,
+                        errors: failureCount + (runError ? 1 : 0),
+                        encryptedBytes: sizeTotals.encrypted
+                    }
+                });
+            }
+
+            finishRun();
+            setTimeout(() => {
+                setIsProcessing(false);
+                setIsAnimating(false);
+            }, 1000);
+        }
+        return outcome;
+    }, [dataSize, chunkSize, keyStatus, useWorkers, workerPoolSize, concurrency, sourceFile, fileFormat, writeContainer, adaptiveChunking, adaptiveSettings, persistResults, storedResults, failurePolicy, fieldLevel, fieldSchema, compression, currentGenerator, applyKeyParams, refreshStoredResults, saveRunToHistory, addToLog, addTimelineMarker, reportCancellation, cryptoInstance, finishRun, memoryManager, runRecorder, startRun, streamProcessor]);
+
+    const handleProcessData = useCallback(() => runEncryption(), [runEncryption]);
+
+    const handleResumeFromStorage = useCallback(() => runEncryption({ resume: true }), [runEncryption]);
+
+    // Two runs at most; picking a third drops the earlier pick
+    const historyDiff = useMemo(() => (historyComparison
+        ? compareRuns(historyComparison[0], historyComparison[1], HISTORY_METRICS)
+        : null
+    ), [historyComparison]);
+
+    const handleToggleHistoryRun = useCallback((id) => {
+        setHistorySelection(prev => (prev.includes(id)
+            ? prev.filter(selected => selected !== id)
+            : [...prev, id].slice(-2)));
+    }, []);
+
+    // Loads both runs in full, older first so the diff reads as before → after
+    const handleCompareRuns = useCallback(async () => {
+        const historyStore = historyStoreRef.current;
+        if (!historyStore || historySelection.length !== 2) return;
+
+        try {
+            const runs = await Promise.all([...historySelection].sort((a, b) => a - b).map(id => historyStore.get(id)));
+            if (runs.includes(null)) {
+                throw new StorageError('One of the selected runs is no longer in the history');
+            }
+            setHistoryComparison(runs);
+        } catch (err) {
+            setError(getErrorDetails(err));
+        }
+    }, [historySelection]);
+
+    const handleDeleteHistoryRun = useCallback(async (id) => {
+        try {
+            await historyStoreRef.current.delete(id);
+            setHistorySelection(prev => prev.filter(selected => selected !== id));
+            setHistoryComparison(prev => (prev && prev.some(run => run.id === id) ? null : prev));
+            await refreshRunHistory();
+        } catch (err) {
+            setError(getErrorDetails(err));
+        }
+    }, [refreshRunHistory]);
+
+    const handleClearHistory = useCallback(async () => {
+        try {
+            await historyStoreRef.current.clear();
+            setHistorySelection([]);
+            setHistoryComparison(null);
+            await refreshRunHistory();
+        } catch (err) {
+            setError(getErrorDetails(err));
+        }
+    }, [refreshRunHistory]);
+
+    const handleSelectFile = useCallback((file) => {
+        if (!file) return;
+
+        setSourceFile(file);
+        setError(null);
+        addToLog(`Selected ${file.name} (${formatBytes(file.size)}, detected as ${FILE_FORMATS[detectFileFormat(file)]})`);
+    }, [addToLog]);
+
+    const handleFileDrop = useCallback((event) => {
+        event.preventDefault();
+        setIsDraggingFile(false);
+        if (!isBusy) {
+            handleSelectFile(event.dataTransfer.files[0]);
+        }
+    }, [isBusy, handleSelectFile]);
+
+    const handleRunBenchmark = useCallback(async () => {
+        setError(null);
+        setSuccess('');
+
+        const datasetSizes = parseSizeList(benchmarkConfig.datasetSizes);
+        const chunkSizes = parseSizeList(benchmarkConfig.chunkSizes);
+        // Worker pools ignore the in-chunk limit, so it isn't swept for them
+        const concurrencyLevels = useWorkers ? [null] : parseSizeList(benchmarkConfig.concurrency);
+
+        if (datasetSizes.length === 0 || chunkSizes.length === 0 || concurrencyLevels.length === 0) {
+            setError(createError(
+                ERROR_TYPES.VALIDATION,
+                'Benchmark needs at least one dataset size, chunk size and concurrency level',
+                'Enter comma-separated whole numbers, e.g. "1000, 5000".'
+            ));
+            return;
+        }
+
+        if (benchmarkConfig.ciphers.length === 0) {
+            setError(createError(
+                ERROR_TYPES.VALIDATION,
+                'Benchmark needs at least one cipher',
+                'Tick one or more ciphers to compare.'
+            ));
+            return;
+        }
+
+        if (datasetSizes.some(size => size > 100000)) {
+            setError(createError(
+                ERROR_TYPES.VALIDATION,
+                'Benchmark dataset size is too large',
+                'Please keep every benchmark dataset at or below 100,000 records.'
+            ));
+            return;
+        }
+
+        if (!encryptionKeyRef.current) {
+            setError(createError(
+                ERROR_TYPES.VALIDATION,
+                'No encryption key has been set',
+                'Enter a passphrase under Key Management and apply it before benchmarking.'
+            ));
+            return;
+        }
+
+        // Every job generates the same records from the same seed, so only the settings differ
+        let generator;
+        try {
+            generator = currentGenerator();
+        } catch (err) {
+            setError(getErrorDetails(err));
+            return;
+        }
+
+        // Chunks larger than the dataset would just repeat the single-chunk case.
+        // Jobs are grouped by cipher so each cipher needs only one processor.
+        const grid = [];
+        for (const cipher of benchmarkConfig.ciphers) {
+            for (const size of datasetSizes) {
+                for (const jobChunkSize of chunkSizes) {
+                    if (jobChunkSize > size) continue;
+                    for (const jobConcurrency of concurrencyLevels) {
+                        for (let repeat = 0; repeat < benchmarkConfig.repeats; repeat++) {
+                            grid.push({ cipher, size, chunkSize: jobChunkSize, concurrency: jobConcurrency, repeat });
+                        }
+                    }
+                }
+            }
+        }
+
+        if (grid.length === 0) {
+            setError(createError(
+                ERROR_TYPES.VALIDATION,
+                'Every chunk size is larger than every dataset size',
+                'Use chunk sizes no larger than the dataset sizes.'
+            ));
+            return;
+        }
+
+        setIsBenchmarking(true);
+        setBenchmarkRuns([]);
+
+        // Each job has its own processor, registered as the job starts
+        const signal = startRun(null);
+        const mode = useWorkers ? `${workerPoolSize} workers` : 'main thread';
+        let workerPool = null;
+        const runs = [];
+
+        addToLog(`Benchmarking ${grid.length} jobs on ${mode} with ${generatorLabel(generator)}...`);
+
+        try {
+            let processorFn = null;
+            let processorCipher = null;
+
+            for (let i = 0; i < grid.length; i++) {
+                const job = grid[i];
+                setBenchmarkProgress({ current: i + 1, total: grid.length, ...job });
+
+                if (job.cipher !== processorCipher) {
+                    if (workerPool) {
+                        workerPool.terminate();
+                        workerPool = null;
+                    }
+                    if (useWorkers) {
+                        workerPool = new EncryptionWorkerPool(workerPoolSize, cryptoInstance, job.cipher);
+                        await workerPool.init(encryptionKeyRef.current);
+                        processorFn = workerPool;
+                    } else {
+                        processorFn = createEncryptionProcessor(cryptoInstance, encryptionKeyRef.current, { cipher: job.cipher });
+                    }
+                    processorCipher = job.cipher;
+                }
+
+                const run = await runBenchmarkJob({
+                    dataset: createSyntheticDataset(generatorTemplate(generator), { seed: generator.seed, size: job.size }),
+                    chunkSize: job.chunkSize,
+                    concurrency: job.concurrency,
+                    processorFn,
+                    memoryManager,
+                    signal,
+                    onStart: setActiveProcessor
+                });
+
+                runs.push({ ...run, cipher: job.cipher, repeat: job.repeat + 1, mode });
+                setBenchmarkRuns([...runs]);
+                addToLog(`Benchmark ${i + 1}/${grid.length}: ${CIPHERS[job.cipher].label}, ${job.size} records / ${job.chunkSize} per chunk${job.concurrency ? `, ${job.concurrency} in flight` : ''} → ${run.throughput.toFixed(0)} items/sec, ${run.recordBytes.toFixed(0)} bytes/record, peak ${run.peakMB.toFixed(1)}MB`);
+
+                // Give the garbage collector a moment so one job's leftovers don't skew the next
+                await new Promise(resolve => setTimeout(resolve, BENCHMARK_SETTLE_MS));
+            }
+
+            addToLog(`Benchmark complete: ${runs.length} runs`);
+            setSuccess('Benchmark complete! 📊');
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                addToLog(`Benchmark cancelled after ${runs.length}/${grid.length} jobs`, { level: 'warn' });
+                setError(createError(
+                    ERROR_TYPES.CANCELLED,
+                    `Benchmark cancelled after ${runs.length} of ${grid.length} jobs`,
+                    'Completed runs are kept in the table.'
+                ));
+            } else {
+                const errorDetails = getErrorDetails(err);
+                setError(errorDetails);
+                addToLog(errorDetails.message, { level: 'error', payload: errorDetails });
+                console.error('Benchmark error:', err);
+            }
+        } finally {
+            if (workerPool) {
+                workerPool.terminate();
+            }
+            finishRun();
+            setBenchmarkProgress(null);
+            setIsBenchmarking(false);
+        }
+    }, [benchmarkConfig, useWorkers, workerPoolSize, currentGenerator, addToLog, cryptoInstance, finishRun, memoryManager, setActiveProcessor, startRun]);
+
+    const handleSortBenchmark = useCallback((key) => {
+        setBenchmarkSort(prev => ({
+            key,
+            direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc'
+        }));
+    }, []);
+
+    const benchmarkSummary = summarizeBenchmark(benchmarkRuns).sort((a, b) => {
+        const order = typeof a[benchmarkSort.key] === 'string'
+            ? a[benchmarkSort.key].localeCompare(b[benchmarkSort.key])
+            : a[benchmarkSort.key] - b[benchmarkSort.key];
+        return benchmarkSort.direction === 'asc' ? order : -order;
+    });
+
+    const handleExportBenchmark = useCallback((format) => {
+        const summary = summarizeBenchmark(benchmarkRuns);
+        if (format === 'csv') {
+            downloadBlob(new Blob([toCsv(summary, BENCHMARK_COLUMNS)], { type: 'text/csv' }), 'benchmark.csv');
+        } else {
+            downloadBlob(
+                new Blob([JSON.stringify({ summary, runs: benchmarkRuns }, null, 2)], { type: 'application/json' }),
+                'benchmark.json'
+            );
+        }
+        addToLog(`Exported benchmark results as ${format.toUpperCase()}`);
+    }, [benchmarkRuns, addToLog]);
+
+    const handlePauseResume = useCallback(() => {
+        if (isPaused) {
+            const cursor = resume();
+            if (cursor) {
+                addToLog(`Resuming from chunk ${cursor.completedChunks + 1}`);
+            }
+        } else if (pause()) {
+            addToLog('Pausing after the current chunk...');
+        }
+    }, [isPaused, pause, resume, addToLog]);
+
+    const handleCancel = useCallback(() => {
+        // A leak check may be between runs, with no run for cancel() to reach
+        const leakCheckController = leakCheckControllerRef.current;
+        leakCheckController?.abort();
+        if (cancel() || leakCheckController) {
+            addToLog('Cancelling...');
+        }
+    }, [cancel, addToLog]);
+
+    const handleVerifyResults = useCallback(async () => {
+        setError(null);
+        setSuccess('');
+
+        if (resultCount === 0) {
+            setError(createError(
+                ERROR_TYPES.VALIDATION,
+                'There are no encrypted results to verify',
+                'Run an encryption first, then verify the results.'
+            ));
+            return;
+        }
+
+        setIsVerifying(true);
+        setIsAnimating(true);
+        setVerification(null);
+
+        const startUsage = memoryManager.checkMemoryUsage();
+        const startMemory = startUsage ? startUsage.usedMB : null;
+        let peakMemory = startMemory;
+        let verified = 0;
+        let decryptedOnly = 0;
+        const failures = [];
+        const startTime = Date.now();
+        const processor = new StreamProcessor(chunkSize, memoryManager);
+        const signal = startRun(processor);
+
+        addToLog(storedResults
+            ? `Verifying ${resultCount} encrypted records read back from IndexedDB...`
+            : `Verifying ${resultCount} encrypted records by decryption...`);
+
+        try {
+            if (!encryptionKeyRef.current) {
+                throw new EncryptionError('Encryption key not initialized');
+            }
+
+            // Shared across records so each chunk's envelope key is unwrapped only once
+            const decryptContext = {};
+            const decryptionProcessor = async (record, index) => {
+                return await verifyRecord(record, index, cryptoInstance, encryptionKeyRef.current, decryptContext);
+            };
+
+            // Stored records are read back one chunk-sized batch at a time
+            let source = storedResults ? resultStoreRef.current.records(chunkSize) : results;
+            let recordsChecked = 0;
+
+            // The manifest check sees each record in the order it is read back
+            const manifestVerifier = resultManifest
+                ? new RunManifestVerifier(resultManifest, encryptionKeyRef.current.manifest, cryptoInstance)
+                : null;
+            if (manifestVerifier) {
+                source = tapRecords(source, record => manifestVerifier.addRecord(record));
+            }
+
+            await processor.processStream(
+                source,
+                decryptionProcessor,
+                (chunkResults, chunkIndex) => {
+                    // Tally per chunk so the decrypted chunk can be released straight away
+                    for (const outcome of chunkResults) {
+                        if (outcome.verified) {
+                            verified++;
+                        } else if (outcome.decrypted) {
+                            decryptedOnly++;
+                        } else {
+                            failures.push(outcome);
+                        }
+                    }
+                    recordsChecked += chunkResults.length;
+
+                    const usage = memoryManager.checkMemoryUsage();
+                    if (usage && (peakMemory === null || usage.usedMB > peakMemory)) {
+                        peakMemory = usage.usedMB;
+                    }
+
+                    addTimelineMarker('chunk', `Verified chunk ${chunkIndex + 1}`);
+                    const totalChunks = Math.ceil(resultCount / chunkSize);
+                    addToLog(`Verified chunk ${chunkIndex + 1}/${totalChunks}`, { level: 'debug', source: 'encryption', chunkIndex });
+                    setProgress({
+                        processed: recordsChecked,
+                        total: resultCount,
+                        percentage: (recordsChecked / resultCount) * 100,
+                        currentChunk: chunkIndex + 1,
+                        totalChunks
+                    });
+                },
+                null,
+                { signal, collectResults: false }
+            );
+
+            const manifestReport = manifestVerifier ? await manifestVerifier.finish() : null;
+            const endUsage = memoryManager.checkMemoryUsage();
+            const elapsedTime = Date.now() - startTime;
+
+            setVerification({
+                verified,
+                decrypted: decryptedOnly,
+                failed: failures.length,
+                failures: failures.slice(0, 10),
+                startMemory,
+                peakMemory,
+                endMemory: endUsage ? endUsage.usedMB : null,
+                elapsedTime,
+                manifest: manifestReport
+            });
+
+            if (manifestReport) {
+                addToLog(manifestReport.intact
+                    ? `Run manifest intact: ${manifestReport.chunks} chunks match the signed root`
+                    : `Run manifest found ${manifestReport.issues.length} problems`, {
+                    level: manifestReport.intact ? 'info' : 'error',
+                    source: 'encryption'
+                });
+                manifestReport.issues.forEach(issue => addToLog(`Manifest: ${issue.message}`, {
+                    level: 'error',
+                    source: 'encryption',
+                    chunkIndex: issue.chunk ?? null,
+                    payload: issue
+                }));
+            }
+
+            if (manifestReport && !manifestReport.intact) {
+                setError(createError(
+                    ERROR_TYPES.ENCRYPTION,
+                    'The output does not match its run manifest',
+                    'Records were altered, dropped, duplicated or reordered; the verification results list where.'
+                ));
+            } else if (failures.length > 0) {
+                addToLog(`Verification found ${failures.length} failed records`, { level: 'error', source: 'encryption' });
+                setError(createError(
+                    ERROR_TYPES.ENCRYPTION,
+                    `${failures.length} of ${resultCount} records failed to decrypt`,
+                    'The data may have been altered or encrypted with a different key.'
+                ));
+            } else if (decryptedOnly > 0) {
+                addToLog(`Verification complete: ${verified} records verified, ${decryptedOnly} field-level records decrypted but not bound to their ids`, { source: 'encryption' });
+                setSuccess(`All records decrypted; ${decryptedOnly} field-level records could only be decrypted, not verified 🔓`);
+            } else {
+                addToLog(`Verification complete! All ${verified} records decrypted successfully.`, { source: 'encryption' });
+                setSuccess('All records verified successfully! 🔓');
+            }
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                reportCancellation(processor, 'Verification');
+            } else {
+                const errorDetails = getErrorDetails(err);
+                setError(errorDetails);
+                addToLog(errorDetails.message, { level: 'error', payload: errorDetails });
+                console.error('Verification error:', err);
+            }
+        } finally {
+            // Only the tallies were kept, so nothing from this run is still held
+            processor.releaseResults();
+            finishRun();
+            setIsVerifying(false);
+            setIsAnimating(false);
+        }
+    }, [results, storedResults, resultCount, resultManifest, chunkSize, addToLog, addTimelineMarker, reportCancellation, cryptoInstance, finishRun, memoryManager, startRun]);
+
+    const handleDownloadManifest = useCallback(() => {
+        downloadBlob(
+            new Blob([JSON.stringify(resultManifest, null, 2)], { type: 'application/json' }),
+            MANIFEST_FILENAME
+        );
+        addToLog(`Downloaded the run manifest as ${MANIFEST_FILENAME}`, { source: 'encryption' });
+    }, [resultManifest, addToLog]);
+
+    const handleLoadSamples = useCallback(async () => {
+        try {
+            setResultSamples(storedResults
+                ? await resultStoreRef.current.getSample()
+                : results.slice(0, RESULT_SAMPLE_SIZE));
+        } catch (err) {
+            const errorDetails = getErrorDetails(err);
+            setError(errorDetails);
+            addToLog(errorDetails.message, { level: 'error', payload: errorDetails });
+        }
+    }, [results, storedResults, addToLog]);
+
+    const handleClearData = useCallback(async () => {
+        setResults([]);
+        setRunManifest(null);
+        setResultSamples(null);
+        setFailureReport(null);
+        memoryManager.resetAccounting();
+        setVerification(null);
+        setProgress({ processed: 0, total: 0, percentage: 0 });
+        processingLog.clear();
+        setProcessingStats({
+            startTime: null,
+            endTime: null,
+            startMemory: null,
+            peakMemory: null,
+            elapsedTime: 0,
+            mode: null,
+            sourceBytes: null,
+            generator: null,
+            chunkSizing: null,
+            concurrency: null,
+            sizes: null
+        });
+        setModeComparison({});
+        setConcurrencyComparison({});
+        setError(null);
+        setSuccess('');
+        
+        // Reset refs
+        startTimeRef.current = null;
+        peakMemoryRef.current = null;
+
+        if (resultStoreRef.current) {
+            try {
+                await resultStoreRef.current.clear();
+            } catch (err) {
+                console.error('Could not clear stored results:', err);
+            }
+            await refreshStoredResults();
+        }
+        
+        // Whether the memory actually comes back is for a leak check to show
+        addToLog('Data cleared');
+    }, [refreshStoredResults, addToLog, memoryManager, processingLog]);
+
+    // Repeats encrypt → Clear Data with the current settings and checks that memory returns to
+    // its baseline. Clearing also empties the log, so each cycle's sample is logged after it.
+    const handleRunLeakCheck = useCallback(async () => {
+        setError(null);
+        setSuccess('');
+
+        const controller = new AbortController();
+        leakCheckControllerRef.current = controller;
+        setIsLeakChecking(true);
+        setLeakCheck({ cycles: leakCheckCycles, samples: [], report: null });
+        addToLog(`Leak check: ${leakCheckCycles} encrypt and clear cycles measured with ${memoryManager.backend.label}`, { source: 'MemoryManager' });
+
+        try {
+            const report = await runLeakCheck({
+                memoryManager,
+                cycles: leakCheckCycles,
+                signal: controller.signal,
+                runCycle: async ({ cycle, track }) => {
+                    leakTrackRef.current = track;
+                    try {
+                        // Cycles leave nothing behind: no history entry, download or stored results
+                        const outcome = await runEncryption({ saveHistory: false, container: false, persistence: false });
+                        if (outcome !== 'complete') {
+                            // The run has already reported why
+                            throw new CancelledError(`Leak check stopped: cycle ${cycle} did not complete`);
+                        }
+                    } finally {
+                        leakTrackRef.current = null;
+                    }
+                },
+                clear: handleClearData,
+                onSample: (sample) => {
+                    setLeakCheck(prev => ({ ...prev, samples: [...prev.samples, sample] }));
+                    addToLog(`Leak check cycle ${sample.cycle}: ${formatSignedBytes(sample.retained)} over baseline, ${sample.alive} probed objects alive`, {
+                        source: 'MemoryManager',
+                        payload: sample
+                    });
+                }
+            });
+
+            setLeakCheck(prev => ({ ...prev, report }));
+            addToLog(`Leak check ${report.verdict === 'pass' ? 'passed' : 'failed'}: ${formatSignedBytes(report.growthPerCycle)} retained per cycle, ${report.leaked.length} of ${report.tracked} probed objects never collected`, {
+                level: report.verdict === 'pass' ? 'info' : 'warn',
+                source: 'MemoryManager',
+                payload: report
+            });
+            report.notes.forEach(note => addToLog(note, { level: 'warn', source: 'MemoryManager' }));
+
+            if (report.verdict === 'pass') {
+                setSuccess('Leak check passed: memory returned to baseline 🧹');
+            } else {
+                setError(createError(
+                    ERROR_TYPES.MEMORY,
+                    `Leak check failed: ${report.reasons.join('; ')}`,
+                    'Something still references data after Clear Data. The per-cycle table shows how fast it builds up.'
+                ));
+            }
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                addToLog('Leak check cancelled', { level: 'warn', source: 'MemoryManager' });
+                setError(createError(
+                    ERROR_TYPES.CANCELLED,
+                    'Leak check cancelled',
+                    'Samples taken so far are kept below.'
+                ));
+            } else if (err instanceof CancelledError) {
+                addToLog(err.message, { level: 'warn', source: 'MemoryManager' });
+            } else {
+                const errorDetails = getErrorDetails(err);
+                setError(errorDetails);
+                addToLog(errorDetails.message, { level: 'error', payload: errorDetails });
+            }
+        } finally {
+            leakCheckControllerRef.current = null;
+            setIsLeakChecking(false);
+        }
+    }, [leakCheckCycles, runEncryption, handleClearData, addToLog, memoryManager]);
+
+    const handleApplyPolicy = useCallback(() => {
+        setError(null);
+
+        try {
+            memoryManager.setPolicy(policyDraft);
+            setPressurePolicy(memoryManager.policy);
+            addToLog(`Pressure policy: warn ${policyDraft.warn}%, throttle ${policyDraft.throttle}%, pause ${policyDraft.pause}%, abort ${policyDraft.abort}%`, {
+                source: 'MemoryManager',
+                payload: memoryManager.policy
+            });
+        } catch (err) {
+            setError(createError(
+                ERROR_TYPES.VALIDATION,
+                'Invalid memory pressure policy',
+                err.message
+            ));
+        }
+    }, [policyDraft, addToLog, memoryManager]);
+
+    const getMemoryStatus = () => {
+        if (!memoryInfo) return 'unavailable';
+        if (memoryInfo.percentage >= pressurePolicy.pause) return 'critical';
+        if (memoryInfo.percentage >= pressurePolicy.warn) return 'warning';
+        return 'good';
+    };
+
+    return (
+        <div className="app">
+            <header className="app-header">
+                <h1>🧠 Memory Management Demo</h1>
+                <p>Real-time memory monitoring with selectable Web Crypto ciphers</p>
+            </header>
+
+            <div className="demo-container">
+                <div className="demo-content">
+                    <div className="input-column">
+                        <div className="input-section">
+                            <h2>🔧 Processing Controls</h2>
+
+                            <div className="form-group">
+                                <label>Data Source:</label>
+                                <div
+                                    className={`drop-zone ${isDraggingFile ? 'dragging' : ''}`}
+                                    onDragOver={(e) => {
+                                        e.preventDefault();
+                                        setIsDraggingFile(true);
+                                    }}
+                                    onDragLeave={() => setIsDraggingFile(false)}
+                                    onDrop={handleFileDrop}
+                                >
+                                    {sourceFile ? (
+                                        <span>📄 {sourceFile.name} ({formatBytes(sourceFile.size)})</span>
+                                    ) : (
+                                        <span>Drop a JSON, NDJSON, CSV or binary file here, or use generated data</span>
+                                    )}
+                                </div>
+                                <div className="button-group">
+                                    <button
+                                        onClick={() => sourceFileInputRef.current.click()}
+                                        disabled={isBusy}
+                                        className="btn btn-tertiary"
+                                    >
+                                        Choose File
+                                    </button>
+                                    {sourceFile && (
+                                        <button
+                                            onClick={() => setSourceFile(null)}
+                                            disabled={isBusy}
+                                            className="btn btn-tertiary"
+                                        >
+                                            Use Generated Data
+                                        </button>
+                                    )}
+                                    <input
+                                        ref={sourceFileInputRef}
+                                        type="file"
+                                        onChange={(e) => {
+                                            handleSelectFile(e.target.files[0]);
+                                            e.target.value = '';
+                                        }}
+                                        hidden
+                                    />
+                                </div>
+                            </div>
+
+                            {sourceFile && (
+                                <div className="form-group">
+                                    <label htmlFor="fileFormat">File Format:</label>
+                                    <select
+                                        id="fileFormat"
+                                        value={fileFormat}
+                                        onChange={(e) => setFileFormat(e.target.value)}
+                                        disabled={isBusy}
+                                        className="form-select"
+                                    >
+                                        {Object.entries(FILE_FORMATS).map(([format, label]) => (
+                                            <option key={format} value={format}>{label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+
+                            <div className="form-group">
+                                <label htmlFor="dataSize">Dataset Size:</label>
+                                <div className="control-group">
+                                    <input
+                                        id="dataSize"
+                                        type="range"
+                                        min="500"
+                                        max="100000"
+                                        step="500"
+                                        value={dataSize}
+                                        onChange={(e) => setDataSize(Number(e.target.value))}
+                                        disabled={isBusy || sourceFile !== null}
+                                        className="form-input"
+                                    />
+                                    <span>{dataSize.toLocaleString()} records</span>
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="dataPreset">Generated Data:</label>
+                                <select
+                                    id="dataPreset"
+                                    value={dataPreset}
+                                    onChange={(e) => handleDataPresetChange(e.target.value)}
+                                    disabled={isBusy || sourceFile !== null}
+                                    className="form-select"
+                                >
+                                    {Object.entries(DATA_PRESETS).map(([id, preset]) => (
+                                        <option key={id} value={id}>{preset.label}</option>
+                                    ))}
+                                    <option value="custom">Custom template</option>
+                                </select>
+                                <div className="chunk-info">
+                                    {dataPreset === 'custom'
+                                        ? 'One record as JSON; values written as { "$gen": ... } are generated for each record.'
+                                        : `${DATA_PRESETS[dataPreset].description}.`}
+                                </div>
+                            </div>
+
+                            {dataPreset === 'custom' && (
+                                <div className="form-group">
+                                    <label htmlFor="customTemplate">Record Template:</label>
+                                    <textarea
+                                        id="customTemplate"
+                                        value={customTemplate}
+                                        onChange={(e) => setCustomTemplate(e.target.value)}
+                                        disabled={isBusy || sourceFile !== null}
+                                        className="form-textarea template-editor"
+                                        rows={12}
+                                        spellCheck={false}
+                                    />
+                                    <div className="chunk-info">
+                                        Generators: id, int, float, bool, pick, format, token, words, blob, timestamp, ipv4, array.
+                                        Sizes (array length, token length, word count, blob bytes) take a number or
+                                        {' '}{'{ "dist": "uniform" | "normal" | "lognormal" | "exponential", ..., "max" }'}.
+                                        All the sizes in a record, multiplied out through nested arrays, may add up to at most {MAX_GENERATED_SIZE.toLocaleString()}.
+                                    </div>
+                                </div>
+                            )}
+
+                            <div className="form-group">
+                                <label htmlFor="dataSeed">Seed:</label>
+                                <div className="control-group">
+                                    <input
+                                        id="dataSeed"
+                                        type="number"
+                                        min="0"
+                                        max="4294967295"
+                                        value={dataSeed}
+                                        onChange={(e) => setDataSeed(Number(e.target.value) >>> 0)}
+                                        disabled={isBusy || sourceFile !== null}
+                                        className="form-input"
+                                    />
+                                    <button
+                                        onClick={() => setDataSeed(randomSeed())}
+                                        disabled={isBusy || sourceFile !== null}
+                                        className="btn btn-tertiary"
+                                    >
+                                        🎲 New Seed
+                                    </button>
+                                </div>
+                                <div className="chunk-info">The same seed, preset and size generate exactly the same records.</div>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="chunkSize">Chunk Size:</label>
+                                <div className="control-group">
+                                    <input
+                                        id="chunkSize"
+                                        type="range"
+                                        min="500"
+                                        max="2000"
+                                        step="500"
+                                        value={chunkSize}
+                                        onChange={(e) => setChunkSize(Number(e.target.value))}
+                                        disabled={isBusy}
+                                        className="form-input"
+                                    />
+                                    <span>{chunkSize} records per chunk</span>
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="adaptiveChunking" className="checkbox-label">
+                                    <input
+                                        id="adaptiveChunking"
+                                        type="checkbox"
+                                        checked={adaptiveChunking}
+                                        onChange={(e) => setAdaptiveChunking(e.target.checked)}
+                                        disabled={isBusy}
+                                    />
+                                    Adapt chunk size during the run
+                                </label>
+                                {adaptiveChunking && (
+                                    <>
+                                        <select
+                                            id="adaptiveMode"
+                                            value={adaptiveSettings.mode}
+                                            onChange={(e) => setAdaptiveSettings(prev => ({ ...prev, mode: e.target.value }))}
+                                            disabled={isBusy}
+                                            className="form-select"
+                                            aria-label="Adaptive chunking target"
+                                        >
+                                            <option value="heap">Target heap usage</option>
+                                            <option value="latency">Target chunk latency</option>
+                                        </select>
+                                        <div className="control-group">
+                                            {adaptiveSettings.mode === 'heap' ? (
+                                                <>
+                                                    <input
+                                                        type="range"
+                                                        min="30"
+                                                        max="90"
+                                                        step="5"
+                                                        value={adaptiveSettings.targetHeapPercentage}
+                                                        onChange={(e) => setAdaptiveSettings(prev => ({ ...prev, targetHeapPercentage: Number(e.target.value) }))}
+                                                        disabled={isBusy}
+                                                        className="form-input"
+                                                        aria-label="Target heap percentage"
+                                                    />
+                                                    <span>{adaptiveSettings.targetHeapPercentage}% of heap</span>
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <input
+                                                        type="range"
+                                                        min="50"
+                                                        max="2000"
+                                                        step="50"
+                                                        value={adaptiveSettings.targetLatencyMs}
+                                                        onChange={(e) => setAdaptiveSettings(prev => ({ ...prev, targetLatencyMs: Number(e.target.value) }))}
+                                                        disabled={isBusy}
+                                                        className="form-input"
+                                                        aria-label="Target chunk latency"
+                                                    />
+                                                    <span>{adaptiveSettings.targetLatencyMs}ms per chunk</span>
+                                                </>
+                                            )}
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="memoryBackend">Memory Measurement:</label>
+                                <select
+                                    id="memoryBackend"
+                                    value={memoryBackend}
+                                    onChange={(e) => setMemoryBackend(e.target.value)}
+                                    disabled={isBusy}
+                                    className="form-select"
+                                >
+                                    <option value="auto">Auto (most precise available)</option>
+                                    {MemoryManager.availableBackends().map(name => (
+                                        <option key={name} value={name}>{MEMORY_BACKEND_LABELS[name]}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="cipher">Cipher:</label>
+                                <select
+                                    id="cipher"
+                                    value={cipher}
+                                    onChange={(e) => handleCipherChange(e.target.value)}
+                                    disabled={isBusy}
+                                    className="form-select"
+                                >
+                                    {Object.values(CIPHERS).map(option => (
+                                        <option key={option.id} value={option.id}>
+                                            {option.label} (+{option.overheadBytes} bytes/record)
+                                        </option>
+                                    ))}
+                                </select>
+                                <div className="chunk-info">
+                                    {CIPHERS[cipher].description}. Compare speed and memory under Benchmark.
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="compression">Compression:</label>
+                                <select
+                                    id="compression"
+                                    value={compression}
+                                    onChange={(e) => setCompression(e.target.value)}
+                                    disabled={isBusy || !isCompressionSupported()}
+                                    className="form-select"
+                                >
+                                    {Object.entries(COMPRESSION_FORMATS).map(([format, label]) => (
+                                        <option key={format} value={format}>{label}</option>
+                                    ))}
+                                </select>
+                                <div className="chunk-info">
+                                    {isCompressionSupported()
+                                        ? 'Compresses each record before encryption; the Results Summary compares plaintext, compressed and encrypted bytes.'
+                                        : 'CompressionStream is not available in this browser'}
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="useWorkers" className="checkbox-label">
+                                    <input
+                                        id="useWorkers"
+                                        type="checkbox"
+                                        checked={useWorkers}
+                                        onChange={(e) => setUseWorkers(e.target.checked)}
+                                        disabled={isBusy}
+                                    />
+                                    Encrypt in Web Worker pool
+                                </label>
+                                <div className="control-group">
+                                    <input
+                                        id="workerPoolSize"
+                                        type="range"
+                                        min="1"
+                                        max={MAX_WORKER_POOL_SIZE}
+                                        step="1"
+                                        value={workerPoolSize}
+                                        onChange={(e) => setWorkerPoolSize(Number(e.target.value))}
+                                        disabled={isBusy || !useWorkers}
+                                        className="form-input"
+                                        aria-label="Worker pool size"
+                                    />
+                                    <span>{workerPoolSize} worker{workerPoolSize === 1 ? '' : 's'}</span>
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="concurrency">Records in Flight per Chunk:</label>
+                                <select
+                                    id="concurrency"
+                                    value={concurrency}
+                                    onChange={(e) => setConcurrency(Number(e.target.value))}
+                                    disabled={isBusy || useWorkers}
+                                    className="form-select"
+                                >
+                                    {CONCURRENCY_OPTIONS.map(value => (
+                                        <option key={value} value={value}>{value === 1 ? '1 (one at a time)' : value}</option>
+                                    ))}
+                                </select>
+                                <div className="chunk-info">
+                                    {useWorkers
+                                        ? 'Workers encrypt whole chunks in parallel; this limit applies on the main thread.'
+                                        : 'Web Crypto calls overlap up to this limit, halved at warn and quartered at throttle pressure. Results keep their order.'}
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="writeContainer" className="checkbox-label">
+                                    <input
+                                        id="writeContainer"
+                                        type="checkbox"
+                                        checked={writeContainer}
+                                        onChange={(e) => setWriteContainer(e.target.checked)}
+                                        disabled={isBusy}
+                                    />
+                                    Stream encrypted output to a container file
+                                </label>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="persistResults" className="checkbox-label">
+                                    <input
+                                        id="persistResults"
+                                        type="checkbox"
+                                        checked={persistResults}
+                                        onChange={(e) => setPersistResults(e.target.checked)}
+                                        disabled={isBusy || !resultStoreRef.current}
+                                    />
+                                    Store encrypted results in IndexedDB instead of memory
+                                </label>
+                                {!resultStoreRef.current && (
+                                    <div className="chunk-info">IndexedDB is not available in this browser</div>
+                                )}
+                                {canResume && (
+                                    <div className="chunk-info">
+                                        Interrupted run in storage: {storedResults.count.toLocaleString()}
+                                        {storedResults.meta.source
+                                            ? ` records from ${storedResults.meta.source}`
+                                            : ` of ${storedResults.meta.dataSize.toLocaleString()} records`}
+                                    </div>
+                                )}
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="failureMode">On Record Failure:</label>
+                                <select
+                                    id="failureMode"
+                                    value={failurePolicy.mode}
+                                    onChange={(e) => setFailurePolicy(prev => ({ ...prev, mode: e.target.value }))}
+                                    disabled={isBusy}
+                                    className="form-select"
+                                >
+                                    {Object.entries(FAILURE_MODES).map(([mode, label]) => (
+                                        <option key={mode} value={mode}>{label}</option>
+                                    ))}
+                                </select>
+                                <div className="control-group">
+                                    <input
+                                        type="range"
+                                        min="0"
+                                        max="5"
+                                        step="1"
+                                        value={failurePolicy.retries}
+                                        onChange={(e) => setFailurePolicy(prev => ({ ...prev, retries: Number(e.target.value) }))}
+                                        disabled={isBusy}
+                                        className="form-input"
+                                        aria-label="Retries for transient failures"
+                                    />
+                                    <span>{failurePolicy.retries} retr{failurePolicy.retries === 1 ? 'y' : 'ies'}</span>
+                                </div>
+                                <div className="control-group">
+                                    <input
+                                        type="range"
+                                        min="50"
+                                        max="1000"
+                                        step="50"
+                                        value={failurePolicy.backoffMs}
+                                        onChange={(e) => setFailurePolicy(prev => ({ ...prev, backoffMs: Number(e.target.value) }))}
+                                        disabled={isBusy || failurePolicy.retries === 0}
+                                        className="form-input"
+                                        aria-label="Initial retry backoff"
+                                    />
+                                    <span>{failurePolicy.backoffMs}ms backoff, doubling</span>
+                                </div>
+                            </div>
+
+                            <div className="button-group">
+                                <button
+                                    onClick={handleProcessData}
+                                    disabled={isBusy}
+                                    className={`btn btn-primary ${isProcessing ? 'encrypting' : ''}`}
+                                >
+                                    <span>{isProcessing ? 'Encrypting...' : 'Start Encryption'}</span>
+                                </button>
+
+                                {canResume && (
+                                    <button
+                                        onClick={handleResumeFromStorage}
+                                        disabled={isBusy}
+                                        className="btn btn-secondary"
+                                    >
+                                        Resume from Storage
+                                    </button>
+                                )}
+
+                                <button
+                                    onClick={handleVerifyResults}
+                                    disabled={isBusy || resultCount === 0}
+                                    className="btn btn-secondary"
+                                >
+                                    {isVerifying ? 'Verifying...' : 'Verify Results'}
+                                </button>
+
+                                <button
+                                    onClick={() => containerInputRef.current.click()}
+                                    disabled={isBusy}
+                                    className="btn btn-tertiary"
+                                >
+                                    Import Container
+                                </button>
+                                <input
+                                    ref={containerInputRef}
+                                    type="file"
+                                    accept=".mmec,application/octet-stream"
+                                    onChange={handleImportContainer}
+                                    hidden
+                                />
+
+                                <button
+                                    onClick={handleClearData}
+                                    disabled={isBusy}
+                                    className="btn btn-tertiary"
+                                >
+                                    Clear Data
+                                </button>
+                            </div>
 
-        } catch (err) {
-            const errorDetails = getErrorDetails(err);
-            setError(errorDetails);
-            addToLog(`Error: ${errorDetails.message}`);
-            console.error('Encryption processing error:', err);
-        } finally {
-            setTimeout(() => {
-                setIsProcessing(false);
-                setIsAnimating(false);
-            }, 1000);
-        }
-    }, [dataSize, chunkSize, generateLargeDataset, addToLog]);
+                            {isBusy && (
+                                <div className="button-group">
+                                    <button
+                                        onClick={handlePauseResume}
+                                        className="btn btn-tertiary"
+                                    >
+                                        {isPaused ? 'Resume' : 'Pause'}
+                                    </button>
+
+                                    <button
+                                        onClick={handleCancel}
+                                        className="btn btn-tertiary"
+                                    >
+                                        Cancel
+                                    </button>
+                                </div>
+                            )}
+                        </div>
 
-    const handleClearData = useCallback(() => {
-        setResults([]);
-        setProgress({ processed: 0, total: 0, percentage: 0 });
-        setProcessingLog([]);
-        setProcessingStats({
-            startTime: null,
-            endTime: null,
-            startMemory: null,
-            peakMemory: null,
-            elapsedTime: 0
-        });
-        setError(null);
-        setSuccess('');
-        
-        // Reset refs
-        startTimeRef.current = null;
-        peakMemoryRef.current = null;
-        
-        addToLog('Data cleared and memory freed');
-    }, [addToLog]);
+                        <div className="input-section">
+                            <h2>🚦 Memory Pressure Policy</h2>
+
+                            {PRESSURE_POLICY_FIELDS.map(field => (
+                                <div key={field.key} className="form-group">
+                                    <label htmlFor={`policy-${field.key}`}>{field.label}:</label>
+                                    <div className="control-group">
+                                        <input
+                                            id={`policy-${field.key}`}
+                                            type="range"
+                                            min={field.min}
+                                            max={field.max}
+                                            step={field.step}
+                                            value={policyDraft[field.key]}
+                                            onChange={(e) => setPolicyDraft(prev => ({ ...prev, [field.key]: Number(e.target.value) }))}
+                                            disabled={isBusy}
+                                            className="form-input"
+                                        />
+                                        <span>{policyDraft[field.key]}{field.unit}</span>
+                                    </div>
+                                </div>
+                            ))}
 
-    const getMemoryStatus = () => {
-        if (!memoryInfo) return 'unavailable';
-        if (memoryInfo.percentage > 80) return 'critical';
-        if (memoryInfo.percentage > 60) return 'warning';
-        return 'good';
-    };
+                            <div className="chunk-info">
+                                Throttle and above run the cleanup handlers; pause waits at the next chunk boundary until usage drops.
+                            </div>
 
-    return (
-        <div className="app">
-            <header className="app-header">
-                <h1>🧠 Memory Management Demo</h1>
-                <p>Real-time memory monitoring with AES-256-GCM encryption</p>
-            </header>
+                            <div className="button-group">
+                                <button
+                                    onClick={handleApplyPolicy}
+                                    disabled={isBusy}
+                                    className="btn btn-secondary"
+                                >
+                                    Apply Policy
+                                </button>
+                            </div>
+                        </div>
 
-            <div className="demo-container">
-                <div className="demo-content">
-                    <div className="input-column">
                         <div className="input-section">
-                            <h2>🔧 Processing Controls</h2>
+                            <h2>🔑 Key Management</h2>
 
                             <div className="form-group">
-                                <label htmlFor="dataSize">Dataset Size:</label>
-                                <div className="control-group">
+                                <label htmlFor="passphrase">Passphrase:</label>
+                                <input
+                                    id="passphrase"
+                                    type="password"
+                                    value={passphrase}
+                                    onChange={(e) => setPassphrase(e.target.value)}
+                                    disabled={isBusy || isDerivingKey}
+                                    autoComplete="new-password"
+                                    className="form-input"
+                                />
+                                <div className={`strength-meter strength-${passphraseStrength.score}`}>
+                                    <div
+                                        className="strength-fill"
+                                        style={{ width: `${passphrase ? (passphraseStrength.score + 1) * 20 : 0}%` }}
+                                    />
+                                </div>
+                                <div className="strength-details">
+                                    <span>{passphraseStrength.label}</span>
+                                    <span>~{passphraseStrength.bits} bits</span>
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="kdfIterations">PBKDF2 Iterations:</label>
+                                <select
+                                    id="kdfIterations"
+                                    value={kdfSettings.iterations}
+                                    onChange={(e) => setKdfSettings(prev => ({ ...prev, iterations: Number(e.target.value) }))}
+                                    disabled={isBusy || isDerivingKey}
+                                    className="form-select"
+                                >
+                                    {[...new Set([...KDF_ITERATION_OPTIONS, kdfSettings.iterations])].map(iterations => (
+                                        <option key={iterations} value={iterations}>
+                                            {iterations.toLocaleString()}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="kdfHash">PBKDF2 Hash:</label>
+                                <select
+                                    id="kdfHash"
+                                    value={kdfSettings.hash}
+                                    onChange={(e) => setKdfSettings(prev => ({ ...prev, hash: e.target.value }))}
+                                    disabled={isBusy || isDerivingKey}
+                                    className="form-select"
+                                >
+                                    {KDF_HASHES.map(hash => (
+                                        <option key={hash} value={hash}>{hash}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div className="chunk-info">
+                                {keyStatus
+                                    ? `Key ready: PBKDF2-${keyStatus.hash}, ${keyStatus.iterations.toLocaleString()} iterations (derived in ${keyStatus.derivationTime}ms)`
+                                    : 'No key derived yet'}
+                            </div>
+
+                            <div className="button-group">
+                                <button
+                                    onClick={handleApplyPassphrase}
+                                    disabled={isBusy || isDerivingKey || !passphrase}
+                                    className="btn btn-primary"
+                                >
+                                    {isDerivingKey ? 'Deriving...' : keyStatus ? 'Re-key' : 'Apply Passphrase'}
+                                </button>
+
+                                <button
+                                    onClick={handleNewSalt}
+                                    disabled={isBusy || isDerivingKey}
+                                    className="btn btn-tertiary"
+                                >
+                                    New Salt
+                                </button>
+
+                                <button
+                                    onClick={handleExportKeyParams}
+                                    disabled={isDerivingKey}
+                                    className="btn btn-tertiary"
+                                >
+                                    Export Params
+                                </button>
+
+                                <button
+                                    onClick={() => keyParamsInputRef.current.click()}
+                                    disabled={isBusy || isDerivingKey}
+                                    className="btn btn-tertiary"
+                                >
+                                    Import Params
+                                </button>
+                                <input
+                                    ref={keyParamsInputRef}
+                                    type="file"
+                                    accept="application/json,.json"
+                                    onChange={handleImportKeyParams}
+                                    hidden
+                                />
+                            </div>
+                        </div>
+
+                        <div className="input-section">
+                            <h2>🧩 Field-Level Encryption</h2>
+
+                            <div className="form-group">
+                                <label htmlFor="fieldLevel" className="checkbox-label">
                                     <input
-                                        id="dataSize"
-                                        type="range"
-                                        min="500"
-                                        max="100000"
-                                        step="500"
-                                        value={dataSize}
-                                        onChange={(e) => setDataSize(Number(e.target.value))}
-                                        disabled={isProcessing}
+                                        id="fieldLevel"
+                                        type="checkbox"
+                                        checked={fieldLevel}
+                                        onChange={(e) => setFieldLevel(e.target.checked)}
+                                        disabled={isBusy}
+                                    />
+                                    Encrypt selected fields only, keeping the record structure
+                                </label>
+                            </div>
+
+                            {fieldSchema.map(rule => (
+                                <div key={rule.id} className="schema-row">
+                                    <input
+                                        type="text"
+                                        value={rule.path}
+                                        onChange={(e) => handleUpdateFieldRule(rule.id, { path: e.target.value.trim() })}
+                                        disabled={isBusy || !fieldLevel}
                                         className="form-input"
+                                        aria-label="JSON path"
+                                        placeholder="metadata.created"
                                     />
-                                    <span>{dataSize.toLocaleString()} records</span>
+                                    <select
+                                        value={rule.action}
+                                        onChange={(e) => handleUpdateFieldRule(rule.id, { action: e.target.value })}
+                                        disabled={isBusy || !fieldLevel}
+                                        className="form-select"
+                                        aria-label={`Action for ${rule.path || 'field'}`}
+                                    >
+                                        {Object.entries(FIELD_ACTIONS).map(([action, label]) => (
+                                            <option key={action} value={action}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        onClick={() => handleRemoveFieldRule(rule.id)}
+                                        disabled={isBusy || !fieldLevel}
+                                        className="btn btn-tertiary"
+                                        aria-label={`Remove ${rule.path || 'field'}`}
+                                    >
+                                        ✕
+                                    </button>
                                 </div>
+                            ))}
+
+                            <div className="chunk-info">
+                                Paths are dot-separated and apply to every element of an array along the way. Hashed fields use an HMAC key derived from the passphrase, so equal values hash the same for lookups.
+                            </div>
+
+                            <div className="button-group">
+                                <button
+                                    onClick={() => setFieldSchema(prev => [...prev, createFieldRule('', 'encrypt')])}
+                                    disabled={isBusy || !fieldLevel}
+                                    className="btn btn-secondary"
+                                >
+                                    Add Field
+                                </button>
+                                <button
+                                    onClick={() => setFieldSchema(createDefaultFieldSchema())}
+                                    disabled={isBusy || !fieldLevel}
+                                    className="btn btn-tertiary"
+                                >
+                                    Reset Schema
+                                </button>
                             </div>
+                        </div>
+
+                        <div className="input-section">
+                            <h2>📊 Benchmark</h2>
 
                             <div className="form-group">
-                                <label htmlFor="chunkSize">Chunk Size:</label>
+                                <label htmlFor="benchmarkDatasetSizes">Dataset Sizes:</label>
+                                <input
+                                    id="benchmarkDatasetSizes"
+                                    type="text"
+                                    value={benchmarkConfig.datasetSizes}
+                                    onChange={(e) => setBenchmarkConfig(prev => ({ ...prev, datasetSizes: e.target.value }))}
+                                    disabled={isBusy}
+                                    className="form-input"
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="benchmarkChunkSizes">Chunk Sizes:</label>
+                                <input
+                                    id="benchmarkChunkSizes"
+                                    type="text"
+                                    value={benchmarkConfig.chunkSizes}
+                                    onChange={(e) => setBenchmarkConfig(prev => ({ ...prev, chunkSizes: e.target.value }))}
+                                    disabled={isBusy}
+                                    className="form-input"
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="benchmarkConcurrency">Records in Flight:</label>
+                                <input
+                                    id="benchmarkConcurrency"
+                                    type="text"
+                                    value={benchmarkConfig.concurrency}
+                                    onChange={(e) => setBenchmarkConfig(prev => ({ ...prev, concurrency: e.target.value }))}
+                                    disabled={isBusy || useWorkers}
+                                    className="form-input"
+                                />
+                                <div className="chunk-info">
+                                    Compares throughput and peak memory across concurrency limits on the main thread
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label>Ciphers:</label>
+                                <div className="cipher-options">
+                                    {Object.values(CIPHERS).map(cipher => (
+                                        <label key={cipher.id} className="checkbox-label">
+                                            <input
+                                                type="checkbox"
+                                                checked={benchmarkConfig.ciphers.includes(cipher.id)}
+                                                onChange={(e) => setBenchmarkConfig(prev => ({
+                                                    ...prev,
+                                                    ciphers: e.target.checked
+                                                        ? Object.keys(CIPHERS).filter(id => id === cipher.id || prev.ciphers.includes(id))
+                                                        : prev.ciphers.filter(id => id !== cipher.id)
+                                                }))}
+                                                disabled={isBusy}
+                                            />
+                                            {cipher.label}
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="benchmarkRepeats">Repeats:</label>
                                 <div className="control-group">
                                     <input
-                                        id="chunkSize"
+                                        id="benchmarkRepeats"
                                         type="range"
-                                        min="500"
-                                        max="2000"
-                                        step="500"
-                                        value={chunkSize}
-                                        onChange={(e) => setChunkSize(Number(e.target.value))}
-                                        disabled={isProcessing}
+                                        min="1"
+                                        max="5"
+                                        step="1"
+                                        value={benchmarkConfig.repeats}
+                                        onChange={(e) => setBenchmarkConfig(prev => ({ ...prev, repeats: Number(e.target.value) }))}
+                                        disabled={isBusy}
                                         className="form-input"
                                     />
-                                    <span>{chunkSize} records per chunk</span>
+                                    <span>{benchmarkConfig.repeats} run{benchmarkConfig.repeats === 1 ? '' : 's'} each</span>
                                 </div>
                             </div>
 
+                            {benchmarkProgress && (
+                                <div className="chunk-info">
+                                    Job {benchmarkProgress.current} / {benchmarkProgress.total}:
+                                    {' '}{CIPHERS[benchmarkProgress.cipher].label}, {benchmarkProgress.size.toLocaleString()} records, {benchmarkProgress.chunkSize} per chunk
+                                    {benchmarkProgress.concurrency && `, ${benchmarkProgress.concurrency} in flight`}
+                                </div>
+                            )}
+
                             <div className="button-group">
                                 <button
-                                    onClick={handleProcessData}
-                                    disabled={isProcessing}
-                                    className={`btn btn-primary ${isProcessing ? 'encrypting' : ''}`}
+                                    onClick={handleRunBenchmark}
+                                    disabled={isBusy}
+                                    className={`btn btn-primary ${isBenchmarking ? 'encrypting' : ''}`}
                                 >
-                                    <span>{isProcessing ? 'Encrypting...' : 'Start Encryption'}</span>
+                                    <span>{isBenchmarking ? 'Benchmarking...' : 'Run Benchmark'}</span>
                                 </button>
+                            </div>
+                        </div>
+
+                        <div className="input-section">
+                            <h2>🔍 Leak Check</h2>
+
+                            <div className="form-group">
+                                <label htmlFor="leakCheckCycles">Encrypt and Clear Cycles:</label>
+                                <select
+                                    id="leakCheckCycles"
+                                    value={leakCheckCycles}
+                                    onChange={(e) => setLeakCheckCycles(Number(e.target.value))}
+                                    disabled={isBusy}
+                                    className="form-select"
+                                >
+                                    {LEAK_CHECK_CYCLE_OPTIONS.map(value => (
+                                        <option key={value} value={value}>{value}</option>
+                                    ))}
+                                </select>
+                                <div className="chunk-info">
+                                    Each cycle encrypts with the settings above, clears the data and samples memory {DEFAULT_LEAK_CHECK.settleMs / 1000}s later.
+                                    More than {formatBytes(DEFAULT_LEAK_CHECK.maxGrowthPerCycle)} retained per cycle, or chunks and results that are never collected, fail the check.
+                                </div>
+                            </div>
+
+                            {isLeakChecking && leakCheck && (
+                                <div className="chunk-info">
+                                    Cycle {Math.min(leakCheck.samples.length + 1, leakCheck.cycles)} of {leakCheck.cycles}
+                                </div>
+                            )}
 
+                            <div className="button-group">
                                 <button
-                                    onClick={handleClearData}
-                                    disabled={isProcessing}
-                                    className="btn btn-tertiary"
+                                    onClick={handleRunLeakCheck}
+                                    disabled={isBusy}
+                                    className={`btn btn-primary ${isLeakChecking ? 'encrypting' : ''}`}
                                 >
-                                    Clear Data
+                                    <span>{isLeakChecking ? 'Checking...' : 'Run Leak Check'}</span>
                                 </button>
                             </div>
                         </div>
@@ -662,12 +3178,37 @@ function MemoryManagementDemo() {
                                                     />
                                                 </div>
                                                 <div className="memory-details">
-                                                    <span>{memoryInfo.usedMB}MB / {memoryInfo.limitMB}MB</span>
+                                                    <span>
+                                                        {memoryInfo.usedMB}MB / {memoryInfo.limitMB}MB
+                                                        {memoryInfo.limitIsBudget && ' budget'}
+                                                    </span>
                                                     <span className="percentage">{memoryInfo.percentage.toFixed(1)}%</span>
                                                 </div>
                                             </div>
                                         ) : (
-                                            <p>Memory monitoring not available in this browser</p>
+                                            <p>Waiting for the first memory measurement...</p>
+                                        )}
+                                        {activeMemoryBackend && (
+                                            <div className="chunk-info">
+                                                {activeMemoryBackend.label}: {activeMemoryBackend.precision}
+                                            </div>
+                                        )}
+                                        <div className={`pressure-level ${pressureLevel}`}>
+                                            Pressure level: {pressureLevel}
+                                        </div>
+                                        {pressureEvents.length > 0 && (
+                                            <ul className="pressure-events">
+                                                {pressureEvents.map(event => (
+                                                    <li key={event.id}>
+                                                        <span className="log-time">{new Date(event.timestamp).toLocaleTimeString()}</span>
+                                                        {event.type === 'pressure'
+                                                            ? ` ${event.previous} → ${event.level} at ${event.percentage.toFixed(1)}%`
+                                                            : ` cleanup (${event.reason}): ${event.released.length > 0
+                                                                ? event.released.map(entry => `${entry.name} ${formatBytes(entry.bytes)}`).join(', ')
+                                                                : 'no handlers'}`}
+                                                    </li>
+                                                ))}
+                                            </ul>
                                         )}
                                     </div>
                                 </div>
@@ -684,12 +3225,17 @@ function MemoryManagementDemo() {
                                                     />
                                                 </div>
                                                 <div className="progress-details">
-                                                    <span>{progress.processed.toLocaleString()} / {progress.total.toLocaleString()}</span>
+                                                    <span>
+                                                        {progress.processed.toLocaleString()} / {progress.total.toLocaleString()}
+                                                        {progress.unit && ` ${progress.unit}`}
+                                                    </span>
                                                     <span className="percentage">{progress.percentage.toFixed(1)}%</span>
                                                 </div>
                                                 {progress.currentChunk && (
                                                     <div className="chunk-info">
-                                                        Chunk {progress.currentChunk} / {progress.totalChunks}
+                                                        Chunk {progress.currentChunk}
+                                                        {progress.totalChunks && ` / ${progress.totalChunks}`}
+                                                        {isPaused && ' (paused)'}
                                                     </div>
                                                 )}
                                             </div>
@@ -698,24 +3244,358 @@ function MemoryManagementDemo() {
                                 </div>
                             </div>
 
+                            <div className={`result-box ${isAnimating ? 'encrypting' : ''}`}>
+                                <h3>📉 Memory Timeline</h3>
+                                <div className="result-content">
+                                    <MemoryTimeline samples={timeline.samples} markers={timeline.markers} />
+                                </div>
+                            </div>
+
+                            {failureReport && (
+                                <div className="result-box">
+                                    <h3>🧾 Failure Report</h3>
+                                    <div className="result-content">
+                                        <div className="chunk-info">
+                                            {failureReport.total.toLocaleString()} failed records ({FAILURE_MODES[failureReport.mode].toLowerCase()})
+                                            {failureReport.failures.length < failureReport.total && `; showing the first ${failureReport.failures.length}`}
+                                        </div>
+                                        <table className="benchmark-table failure-table">
+                                            <thead>
+                                                <tr>
+                                                    <th>Record</th>
+                                                    <th>Chunk</th>
+                                                    <th>Attempts</th>
+                                                    <th>Type</th>
+                                                    <th>Cause</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {failureReport.failures.map(failure => (
+                                                    <tr key={`${failure.chunkIndex}-${failure.index}`}>
+                                                        <td>{failure.count ? `${failure.index}–${failure.index + failure.count - 1}` : failure.index}</td>
+                                                        <td>{failure.chunkIndex + 1}</td>
+                                                        <td>{failure.attempts}</td>
+                                                        <td>{failure.name}</td>
+                                                        <td>{failure.cause ? `${failure.message}: ${failure.cause}` : failure.message}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </div>
+                            )}
+
+                            {benchmarkSummary.length > 0 && (
+                                <div className="result-box">
+                                    <h3>📊 Benchmark Results</h3>
+                                    <div className="result-content">
+                                        <table className="benchmark-table">
+                                            <thead>
+                                                <tr>
+                                                    {BENCHMARK_COLUMNS.map(column => (
+                                                        <th key={column.key} onClick={() => handleSortBenchmark(column.key)}>
+                                                            {column.label}
+                                                            {benchmarkSort.key === column.key && (benchmarkSort.direction === 'asc' ? ' ▲' : ' ▼')}
+                                                        </th>
+                                                    ))}
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {benchmarkSummary.map(row => (
+                                                    <tr key={`${row.cipher}:${row.size}x${row.chunkSize}:${row.concurrency}`}>
+                                                        {BENCHMARK_COLUMNS.map(column => (
+                                                            <td key={column.key}>
+                                                                {column.format ? column.format(row[column.key]) : row[column.key].toLocaleString()}
+                                                            </td>
+                                                        ))}
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                        <div className="button-group">
+                                            <button
+                                                onClick={() => handleExportBenchmark('csv')}
+                                                disabled={isBenchmarking}
+                                                className="btn btn-tertiary"
+                                            >
+                                                Export CSV
+                                            </button>
+                                            <button
+                                                onClick={() => handleExportBenchmark('json')}
+                                                disabled={isBenchmarking}
+                                                className="btn btn-tertiary"
+                                            >
+                                                Export JSON
+                                            </button>
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+
+                            {leakCheck && leakCheck.samples.length > 0 && (
+                                <div className="result-box">
+                                    <h3>🔍 Leak Check</h3>
+                                    <div className="result-content">
+                                        {leakCheck.report && (
+                                            <div className="summary-stats">
+                                                <div className="stat">
+                                                    <label>Verdict:</label>
+                                                    <span className={leakCheck.report.verdict === 'pass' ? 'success' : 'failure'}>
+                                                        {leakCheck.report.verdict === 'pass' ? '✓ Pass' : `✗ Fail: ${leakCheck.report.reasons.join('; ')}`}
+                                                    </span>
+                                                </div>
+                                                <div className="stat">
+                                                    <label>Retained per Cycle:</label>
+                                                    <span>
+                                                        {formatSignedBytes(leakCheck.report.growthPerCycle)} (limit {formatBytes(leakCheck.report.maxGrowthPerCycle)}) from a {formatBytes(leakCheck.report.baseline)} baseline
+                                                    </span>
+                                                </div>
+                                                <div className="stat">
+                                                    <label>Probed Objects:</label>
+                                                    <span>
+                                                        {leakCheck.report.tracked} tracked, {leakCheck.report.finalized} finalized, {leakCheck.report.leaked.length} from earlier cycles still alive
+                                                    </span>
+                                                </div>
+                                                {leakCheck.report.notes.map(note => (
+                                                    <div key={note} className="chunk-info">{note}</div>
+                                                ))}
+                                                {!leakCheck.report.gcExposed && (
+                                                    <div className="chunk-info">
+                                                        Start Chrome with --js-flags=--expose-gc to force a collection before every sample.
+                                                    </div>
+                                                )}
+                                            </div>
+                                        )}
+                                        <table className="benchmark-table leak-table">
+                                            <thead>
+                                                <tr>
+                                                    <th>Cycle</th>
+                                                    <th>After Clear</th>
+                                                    <th>Over Baseline</th>
+                                                    <th>Change</th>
+                                                    <th>Probes Alive</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {leakCheck.samples.map(sample => (
+                                                    <tr key={sample.cycle}>
+                                                        <td>{sample.cycle}</td>
+                                                        <td>{formatBytes(sample.used)}</td>
+                                                        <td>{formatSignedBytes(sample.retained)}</td>
+                                                        <td>{formatSignedBytes(sample.growth)}</td>
+                                                        <td>{sample.alive}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </div>
+                            )}
+
                             <div className="result-box">
                                 <h3>📝 Processing Log</h3>
                                 <div className="result-content">
-                                    <div className="log-container">
-                                        {processingLog.map(entry => (
-                                            <div key={entry.id} className="log-entry">
-                                                <span className="log-time">{entry.timestamp}</span>
-                                                <span className="log-message">{entry.message}</span>
+                                    <div className="log-filters">
+                                        <select
+                                            value={logFilter.minLevel}
+                                            onChange={(e) => setLogFilter(prev => ({ ...prev, minLevel: e.target.value }))}
+                                            className="form-select"
+                                            aria-label="Minimum log level"
+                                        >
+                                            {Object.entries(LOG_LEVELS).map(([level, label]) => (
+                                                <option key={level} value={level}>{level === 'debug' ? 'All levels' : `${label} and above`}</option>
+                                            ))}
+                                        </select>
+                                        <select
+                                            value={logFilter.source}
+                                            onChange={(e) => setLogFilter(prev => ({ ...prev, source: e.target.value }))}
+                                            className="form-select"
+                                            aria-label="Log source"
+                                        >
+                                            <option value="all">All sources</option>
+                                            {Object.entries(LOG_SOURCES).map(([source, label]) => (
+                                                <option key={source} value={source}>{label}</option>
+                                            ))}
+                                        </select>
+                                        <input
+                                            type="search"
+                                            value={logFilter.search}
+                                            onChange={(e) => setLogFilter(prev => ({ ...prev, search: e.target.value }))}
+                                            placeholder="Search messages and payloads"
+                                            className="form-input"
+                                            aria-label="Search the log"
+                                        />
+                                    </div>
+                                    {filteredLog.entries.length > 0 ? (
+                                        <VirtualLogList entries={filteredLog.entries} version={filteredLog.version} />
+                                    ) : (
+                                        <div className="log-container">
+                                            <div style={{ color: '#666', fontStyle: 'italic' }}>
+                                                {logSnapshot.entries.length === 0 ? 'No processing activities yet...' : 'No entries match the filters'}
                                             </div>
-                                        ))}
-                                        {processingLog.length === 0 && (
+                                        </div>
+                                    )}
+                                    <div className="button-group">
+                                        <span className="chunk-info">
+                                            Showing {filteredLog.entries.length.toLocaleString()} of {logSnapshot.entries.length.toLocaleString()} entries
+                                        </span>
+                                        <button
+                                            onClick={handleDownloadLog}
+                                            disabled={filteredLog.entries.length === 0}
+                                            className="btn btn-tertiary"
+                                        >
+                                            Download NDJSON
+                                        </button>
+                                    </div>
+                                </div>
+                            </div>
+
+                            {historyStoreRef.current && (
+                                <div className="result-box">
+                                    <h3>🗂️ Run History</h3>
+                                    <div className="result-content">
+                                        {runHistory.length === 0 ? (
                                             <div style={{ color: '#666', fontStyle: 'italic' }}>
-                                                No processing activities yet...
+                                                Finished runs are saved here with their settings, stats, log and memory samples
+                                            </div>
+                                        ) : (
+                                            <>
+                                                <table className="benchmark-table history-table">
+                                                    <thead>
+                                                        <tr>
+                                                            <th></th>
+                                                            <th>Started</th>
+                                                            <th>Outcome</th>
+                                                            <th>Data</th>
+                                                            <th>Chunk</th>
+                                                            <th>Cipher</th>
+                                                            <th>Time</th>
+                                                            <th>Peak MB</th>
+                                                            <th>Items/sec</th>
+                                                            <th>Errors</th>
+                                                            <th></th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {runHistory.map(run => (
+                                                            <tr key={run.id} className={historySelection.includes(run.id) ? 'selected' : ''}>
+                                                                <td>
+                                                                    <input
+                                                                        type="checkbox"
+                                                                        checked={historySelection.includes(run.id)}
+                                                                        onChange={() => handleToggleHistoryRun(run.id)}
+                                                                        aria-label={`Select run ${run.id} for comparison`}
+                                                                    />
+                                                                </td>
+                                                                <td>{new Date(run.startedAt).toLocaleString()}</td>
+                                                                <td>{RUN_OUTCOMES[run.outcome]}{run.resumed && ' (resumed)'}</td>
+                                                                <td>{run.parameters.source}</td>
+                                                                <td>{run.parameters.chunkSize}{run.parameters.adaptiveChunking && ' (adaptive)'}</td>
+                                                                <td>{CIPHERS[run.parameters.cipher]?.label ?? run.parameters.cipher}</td>
+                                                                <td>{HISTORY_METRICS[0].format(run.stats.elapsedMs)}</td>
+                                                                <td>{run.stats.peakMB ?? '—'}</td>
+                                                                <td>{run.stats.throughput.toFixed(0)}</td>
+                                                                <td>{run.stats.errors}</td>
+                                                                <td>
+                                                                    <button
+                                                                        onClick={() => handleDeleteHistoryRun(run.id)}
+                                                                        disabled={isProcessing}
+                                                                        className="btn btn-tertiary history-delete"
+                                                                        aria-label={`Delete run ${run.id}`}
+                                                                    >
+                                                                        ✕
+                                                                    </button>
+                                                                </td>
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                                <div className="button-group">
+                                                    <button
+                                                        onClick={handleCompareRuns}
+                                                        disabled={historySelection.length !== 2}
+                                                        className="btn btn-secondary"
+                                                    >
+                                                        Compare Selected ({historySelection.length}/2)
+                                                    </button>
+                                                    <button
+                                                        onClick={handleClearHistory}
+                                                        disabled={isProcessing}
+                                                        className="btn btn-tertiary"
+                                                    >
+                                                        Clear History
+                                                    </button>
+                                                </div>
+                                            </>
+                                        )}
+
+                                        {historyDiff && (
+                                            <div className="history-comparison">
+                                                <table className="benchmark-table history-diff">
+                                                    <thead>
+                                                        <tr>
+                                                            <th></th>
+                                                            <th>Run {historyComparison[0].id}</th>
+                                                            <th>Run {historyComparison[1].id}</th>
+                                                            <th>Change</th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {historyDiff.map(row => (
+                                                            <tr key={row.key}>
+                                                                <td>{row.label}</td>
+                                                                <td className={row.better === 'a' ? 'better' : ''}>
+                                                                    {row.a === null ? '—' : row.format(row.a)}
+                                                                </td>
+                                                                <td className={row.better === 'b' ? 'better' : ''}>
+                                                                    {row.b === null ? '—' : row.format(row.b)}
+                                                                </td>
+                                                                <td>
+                                                                    {row.change === null
+                                                                        ? '—'
+                                                                        : `${row.change > 0 ? '+' : ''}${row.change.toFixed(1)}%`}
+                                                                </td>
+                                                            </tr>
+                                                        ))}
+                                                        {HISTORY_PARAMETERS.map(parameter => {
+                                                            const [valueA, valueB] = historyComparison.map(run => run.parameters[parameter.key]);
+                                                            const format = parameter.format || (value => String(value));
+                                                            return (
+                                                                <tr key={parameter.key} className={valueA !== valueB ? 'changed' : ''}>
+                                                                    <td>{parameter.label}</td>
+                                                                    <td>{format(valueA)}</td>
+                                                                    <td>{format(valueB)}</td>
+                                                                    <td>{valueA !== valueB ? 'changed' : ''}</td>
+                                                                </tr>
+                                                            );
+                                                        })}
+                                                    </tbody>
+                                                </table>
+                                                <div className="history-runs">
+                                                    {historyComparison.map(run => (
+                                                        <div key={run.id} className="history-run">
+                                                            <h4>Run {run.id}: {RUN_OUTCOMES[run.outcome]}</h4>
+                                                            {run.error && <div className="chunk-info">{run.error}</div>}
+                                                            <MemoryTimeline samples={run.samples} markers={[]} />
+                                                            <details>
+                                                                <summary>Log ({run.log.length} entries)</summary>
+                                                                <div className="log-container">
+                                                                    {run.log.map((entry, i) => (
+                                                                        <div key={i} className="log-entry">
+                                                                            <span className="log-time">{new Date(entry.time).toLocaleTimeString()}</span>
+                                                                            <span className="log-message">{entry.message}</span>
+                                                                        </div>
+                                                                    ))}
+                                                                </div>
+                                                            </details>
+                                                        </div>
+                                                    ))}
+                                                </div>
                                             </div>
                                         )}
                                     </div>
                                 </div>
-                            </div>
+                            )}
 
                             <div className="result-box">
                                 <h3>📈 Results Summary</h3>
@@ -723,8 +3603,21 @@ function MemoryManagementDemo() {
                                     <div className="summary-stats">
                                         <div className="stat">
                                             <label>Total Encrypted:</label>
-                                            <span>{results.length.toLocaleString()}</span>
+                                            <span>{resultCount.toLocaleString()}</span>
+                                        </div>
+                                        <div className="stat">
+                                            <label>Results Held In:</label>
+                                            <span>{storedResults ? 'IndexedDB' : 'Memory'}</span>
                                         </div>
+                                        {storageEstimate && (
+                                            <div className="stat">
+                                                <label>Browser Storage:</label>
+                                                <span>
+                                                    {formatBytes(storageEstimate.usage)} of {formatBytes(storageEstimate.quota)}
+                                                    {storageEstimate.quota > 0 && ` (${((storageEstimate.usage / storageEstimate.quota) * 100).toFixed(1)}%)`}
+                                                </span>
+                                            </div>
+                                        )}
                                         <div className="stat">
                                             <label>Memory Efficient:</label>
                                             <span className="success">✓</span>
@@ -735,8 +3628,29 @@ function MemoryManagementDemo() {
                                         </div>
                                         <div className="stat">
                                             <label>Encryption Type:</label>
-                                            <span>AES-256-GCM</span>
+                                            <span>
+                                                {resultCount > 0
+                                                    ? resultCiphers.map(id => CIPHERS[id].label).join(', ')
+                                                    : `${CIPHERS[cipher].label} (selected)`}
+                                            </span>
                                         </div>
+                                        <div className="stat">
+                                            <label>Cipher Overhead:</label>
+                                            <span>
+                                                {(resultCount > 0 ? resultCiphers : [cipher])
+                                                    .map(id => `+${CIPHERS[id].overheadBytes}`).join(' / ')} bytes/record
+                                            </span>
+                                        </div>
+                                        {resultCount > 0 && (
+                                            <div className="stat">
+                                                <label>Run Manifest:</label>
+                                                <span>
+                                                    {resultManifest
+                                                        ? `${resultManifest.chunks.length} chunks, root ${resultManifest.root.slice(0, 12)}…`
+                                                        : 'None'}
+                                                </span>
+                                            </div>
+                                        )}
                                         {processingStats.elapsedTime > 0 && (
                                             <div className="stat">
                                                 <label>Total Elapsed Time:</label>
@@ -749,13 +3663,179 @@ function MemoryManagementDemo() {
                                                 <span>{processingStats.peakMemory.toFixed(1)}MB</span>
                                             </div>
                                         )}
-                                        {results.length > 0 && processingStats.elapsedTime > 0 && (
+                                        {resultCount > 0 && processingStats.elapsedTime > 0 && (
                                             <div className="stat">
                                                 <label>Processing Rate:</label>
-                                                <span>{(results.length / (processingStats.elapsedTime / 1000)).toFixed(0)} items/sec</span>
+                                                <span>{(resultCount / (processingStats.elapsedTime / 1000)).toFixed(0)} items/sec</span>
+                                            </div>
+                                        )}
+                                        {processingStats.sizes && processingStats.sizes.raw > 0 && (
+                                            <>
+                                                <div className="stat">
+                                                    <label>Plaintext Bytes:</label>
+                                                    <span>{formatBytes(processingStats.sizes.raw)}</span>
+                                                </div>
+                                                {processingStats.compression !== 'none' && (
+                                                    <div className="stat">
+                                                        <label>After {processingStats.compression}:</label>
+                                                        <span>
+                                                            {formatBytes(processingStats.sizes.compressed)}
+                                                            {' '}({((processingStats.sizes.compressed / processingStats.sizes.raw) * 100).toFixed(0)}% of plaintext)
+                                                        </span>
+                                                    </div>
+                                                )}
+                                                <div className="stat">
+                                                    <label>Encrypted Output:</label>
+                                                    <span>
+                                                        {formatBytes(processingStats.sizes.encrypted)}
+                                                        {' '}({((processingStats.sizes.encrypted / processingStats.sizes.raw) * 100).toFixed(0)}% of plaintext)
+                                                    </span>
+                                                </div>
+                                            </>
+                                        )}
+                                        {processingStats.generator && (
+                                            <div className="stat">
+                                                <label>Generated Data:</label>
+                                                <span>{generatorLabel(processingStats.generator)}</span>
+                                            </div>
+                                        )}
+                                        {processingStats.sourceBytes !== null && (
+                                            <div className="stat">
+                                                <label>Source File Size:</label>
+                                                <span>{formatBytes(processingStats.sourceBytes)}</span>
+                                            </div>
+                                        )}
+                                        {processingStats.sourceBytes !== null && processingStats.peakMemory !== null && (
+                                            <div className="stat">
+                                                <label>Heap Growth at Peak:</label>
+                                                <span>{processingStats.peakMemory - processingStats.startMemory}MB</span>
+                                            </div>
+                                        )}
+                                        {processingStats.chunkSizing && (
+                                            <div className="stat">
+                                                <label>Adaptive Chunk Size:</label>
+                                                <span>
+                                                    {processingStats.chunkSizing.initial} → {processingStats.chunkSizing.final}
+                                                    {' '}(range {processingStats.chunkSizing.min}–{processingStats.chunkSizing.max})
+                                                </span>
+                                            </div>
+                                        )}
+                                        {processingStats.mode && (
+                                            <div className="stat">
+                                                <label>Execution Mode:</label>
+                                                <span>{processingStats.mode}</span>
+                                            </div>
+                                        )}
+                                        {processingStats.concurrency && (
+                                            <div className="stat">
+                                                <label>Records in Flight:</label>
+                                                <span>
+                                                    {processingStats.concurrency.limit}
+                                                    {processingStats.concurrency.lowest < processingStats.concurrency.limit
+                                                        && ` (lowered to ${processingStats.concurrency.lowest} under pressure)`}
+                                                </span>
                                             </div>
                                         )}
+                                        {Object.keys(concurrencyComparison).length > 1 && Object.values(concurrencyComparison)
+                                            .sort((a, b) => a.limit - b.limit)
+                                            .map(run => (
+                                                <div key={run.limit} className="stat">
+                                                    <label>Last run at {run.limit} in flight:</label>
+                                                    <span>
+                                                        {run.rate.toFixed(0)} items/sec, peak {run.peakMemory}MB
+                                                        {run.lowest < run.limit && ` (lowered to ${run.lowest})`}
+                                                    </span>
+                                                </div>
+                                            ))}
+                                        {modeComparison.main && modeComparison.workers && (
+                                            <>
+                                                {[modeComparison.main, modeComparison.workers].map(run => (
+                                                    <div key={run.mode} className="stat">
+                                                        <label>Last run on {run.mode}:</label>
+                                                        <span>{run.rate.toFixed(0)} items/sec, peak {run.peakMemory}MB</span>
+                                                    </div>
+                                                ))}
+                                            </>
+                                        )}
+                                        {verification && (
+                                            <>
+                                                <div className="stat">
+                                                    <label>Verified:</label>
+                                                    <span className={verification.failed === 0 ? 'success' : 'failure'}>
+                                                        {verification.verified.toLocaleString()} ok / {verification.failed.toLocaleString()} failed
+                                                    </span>
+                                                </div>
+                                                {verification.decrypted > 0 && (
+                                                    <div className="stat">
+                                                        <label>Decrypted Only:</label>
+                                                        <span>
+                                                            {verification.decrypted.toLocaleString()} field-level records (their fields are not bound to a record id)
+                                                        </span>
+                                                    </div>
+                                                )}
+                                                <div className="stat">
+                                                    <label>Verification Time:</label>
+                                                    <span>{formatElapsedTime(verification.elapsedTime)}</span>
+                                                </div>
+                                                {verification.peakMemory !== null && (
+                                                    <div className="stat">
+                                                        <label>Round-trip Memory:</label>
+                                                        <span>
+                                                            {verification.startMemory}MB → peak {verification.peakMemory}MB → {verification.endMemory}MB
+                                                        </span>
+                                                    </div>
+                                                )}
+                                                {verification.manifest && (
+                                                    <div className="stat">
+                                                        <label>Run Manifest:</label>
+                                                        <span className={verification.manifest.intact ? 'success' : 'failure'}>
+                                                            {verification.manifest.intact
+                                                                ? `✓ ${verification.manifest.chunks} chunks intact`
+                                                                : `${verification.manifest.issues.length} problems`}
+                                                        </span>
+                                                    </div>
+                                                )}
+                                                {verification.manifest && verification.manifest.issues.slice(0, 10).map((issue, i) => (
+                                                    <div key={`manifest-${i}`} className="stat">
+                                                        <label>{issue.chunk !== undefined ? `Chunk ${issue.chunk + 1}` : 'Manifest'}:</label>
+                                                        <span className="failure">{issue.message}</span>
+                                                    </div>
+                                                ))}
+                                                {verification.failures.map(failure => (
+                                                    <div key={failure.id} className="stat">
+                                                        <label>Record {failure.id}:</label>
+                                                        <span className="failure">{failure.reason}</span>
+                                                    </div>
+                                                ))}
+                                            </>
+                                        )}
+                                        {resultSamples && resultSamples.map(record => (
+                                            <div key={record.id} className="stat">
+                                                <label>Sample {record.id}:</label>
+                                                <span className="sample-ciphertext">
+                                                    {record.fieldLevel
+                                                        ? `${JSON.stringify(record.fields).slice(0, 120)}…`
+                                                        : `${record.encrypted.slice(0, 32)}…`}
+                                                </span>
+                                            </div>
+                                        ))}
                                     </div>
+                                    {resultCount > 0 && !resultSamples && (
+                                        <button
+                                            onClick={handleLoadSamples}
+                                            className="btn btn-tertiary"
+                                        >
+                                            Show Sample Records
+                                        </button>
+                                    )}
+                                    {resultCount > 0 && resultManifest && (
+                                        <button
+                                            onClick={handleDownloadManifest}
+                                            className="btn btn-tertiary"
+                                        >
+                                            Download Manifest
+                                        </button>
+                                    )}
                                 </div>
                             </div>
                         </div>
@@ -766,12 +3846,31 @@ function MemoryManagementDemo() {
                     <h3>🧠 How Memory Management Works</h3>
                     <ul>
                         <li><strong>Stream Processing:</strong> Data is processed in chunks to prevent memory overload</li>
-                        <li><strong>Real AES-256-GCM Encryption:</strong> Uses actual cryptographic operations, not simulation</li>
-                        <li><strong>PBKDF2 Key Derivation:</strong> 100,000 iterations for secure key generation</li>
-                        <li><strong>Memory Monitoring:</strong> Real-time tracking of browser memory usage</li>
-                        <li><strong>Automatic Cleanup:</strong> Forces garbage collection when memory usage is high</li>
-                        <li><strong>Chunk Size Optimization:</strong> Adjustable chunk sizes for different scenarios</li>
+                        <li><strong>Real Web Crypto Encryption:</strong> Uses actual cryptographic operations, not simulation</li>
+                        <li><strong>Cipher Registry:</strong> AES-GCM (128/256), AES-CBC + HMAC or envelope encryption with a wrapped data key per chunk; every record names its cipher, so mixed outputs still decrypt</li>
+                        <li><strong>Field-Level Encryption:</strong> Only the fields the schema selects are replaced by ciphertext or HMAC lookup hashes, so ids and timestamps stay searchable</li>
+                        <li><strong>Synthetic Data:</strong> Records come from a seeded PRNG, one stream per record index, so a preset or custom template with the same seed reproduces a run exactly, including resumed ones</li>
+                        <li><strong>Compression Trade-off:</strong> Optional CompressionStream before encryption; each run reports plaintext, compressed and encrypted bytes next to its time and peak memory</li>
+                        <li><strong>Run Manifest:</strong> A signed HMAC chain over every chunk is built as the run goes, so verification spots altered chunks and missing, duplicated or reordered records</li>
+                        <li><strong>Round-trip Verification:</strong> Encrypted records are streamed back through decryption to prove they can be recovered</li>
+                        <li><strong>PBKDF2 Key Derivation:</strong> Your passphrase is stretched with 100,000+ configurable iterations</li>
+                        <li><strong>Portable Key Parameters:</strong> Export the salt and KDF settings to decrypt the same output in a later session</li>
+                        <li><strong>File Streaming:</strong> Selected files are read through File.stream() and fed in record by record, never loaded whole</li>
+                        <li><strong>IndexedDB Results:</strong> Each encrypted chunk is written to browser storage and dropped from memory, so interrupted runs can resume</li>
+                        <li><strong>Streamed Export:</strong> Encrypted records are written to a versioned container file as each chunk completes</li>
+                        <li><strong>Web Worker Pool:</strong> Optionally moves encryption off the main thread so rendering never blocks</li>
+                        <li><strong>Memory Timeline:</strong> Heap samples are charted with markers at every chunk boundary and cleanup</li>
+                        <li><strong>Failure Reporting:</strong> Transient failures are retried with backoff; records that still fail are skipped or stop the run, and every one is listed with its chunk and cause</li>
+                        <li><strong>Memory Monitoring:</strong> Real-time tracking via the most precise backend the browser offers, with an estimate fallback everywhere</li>
+                        <li><strong>Pressure Policy:</strong> Configurable warn, throttle, pause and abort levels with hysteresis run named cleanup handlers that report the bytes they release</li>
+                        <li><strong>Chunk Size Optimization:</strong> Adjustable chunk sizes, or adaptive sizing driven by heap pressure or chunk latency</li>
+                        <li><strong>In-Chunk Concurrency:</strong> Several Web Crypto calls run at once within a chunk, fewer as heap pressure rises, with results in their original order</li>
+                        <li><strong>Leak Check:</strong> Repeats encrypt and Clear Data, samples memory after every clear and probes each run's chunks and results with WeakRef and FinalizationRegistry to confirm they were collected</li>
+                        <li><strong>Benchmark Mode:</strong> Sweeps dataset and chunk sizes with repeats and compares throughput, heap and cleanups</li>
                         <li><strong>Progress Tracking:</strong> Maintains user experience during long operations</li>
+                        <li><strong>Structured Log:</strong> Every entry records its level, source, chunk and payload; filter, search and download it as NDJSON</li>
+                        <li><strong>Run History:</strong> Every run is saved locally with its settings, stats, full log and memory samples, and any two can be compared side by side</li>
+                        <li><strong>Headless Core:</strong> Memory, streaming and encryption run from a framework-free library with events, consumed here through the useStreamEncryption hook</li>
                     </ul>
                 </div>
             </div>
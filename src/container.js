@@ -0,0 +1,194 @@
+// The encrypted container file: a self-describing binary format that a run streams its
+// output into chunk by chunk and that can be imported again. The writer takes any sink with
+// write/close/abort, so where the bytes go (a file handle or a download) is up to the caller.
+import { CIPHERS, ValidationError, cipherByCode } from './core/index.js';
+import { readFileBytes } from './fileParsers.js';
+
+// Container layout: magic, version byte, uint32 header length, JSON header,
+// then one frame per record of uint32 id, uint8 cipher code, uint32 length and the
+// cipher payload. The code byte holds the cipher in its low five bits and the compression format in the
+// next two; field-level records set the high bit and store their fields as UTF-8 JSON.
+// The file ends with a manifest frame: id 0xFFFFFFFF, code 0, JSON body.
+const CONTAINER_MAGIC = 'MMEC';
+const CONTAINER_VERSION = 1;
+const CONTAINER_PREAMBLE_LENGTH = CONTAINER_MAGIC.length + 1 + 4;
+const CONTAINER_FRAME_HEADER_LENGTH = 9;
+const CONTAINER_MANIFEST_ID = 0xFFFFFFFF;
+export const CONTAINER_FILENAME = 'encrypted-output.mmec';
+const CONTAINER_FIELD_LEVEL_FLAG = 0x80;
+const CONTAINER_CIPHER_MASK = 0x1f;
+const CONTAINER_COMPRESSION_SHIFT = 5;
+const CONTAINER_COMPRESSION_CODES = ['none', 'gzip', 'deflate'];
+
+export function concatBytes(a, b) {
+    const combined = new Uint8Array(a.length + b.length);
+    combined.set(a);
+    combined.set(b, a.length);
+    return combined;
+}
+
+export class ContainerWriter {
+    constructor(sink, cryptoInstance) {
+        this.sink = sink;
+        this.cryptoInstance = cryptoInstance;
+        this.bytesWritten = 0;
+        this.recordCount = 0;
+    }
+
+    async write(bytes) {
+        await this.sink.write(bytes);
+        this.bytesWritten += bytes.length;
+    }
+
+    async writeHeader(header) {
+        const headerBytes = new TextEncoder().encode(JSON.stringify({ version: CONTAINER_VERSION, ...header }));
+        const preamble = new Uint8Array(CONTAINER_PREAMBLE_LENGTH);
+        const view = new DataView(preamble.buffer);
+
+        preamble.set(new TextEncoder().encode(CONTAINER_MAGIC));
+        view.setUint8(CONTAINER_MAGIC.length, CONTAINER_VERSION);
+        view.setUint32(CONTAINER_MAGIC.length + 1, headerBytes.length);
+
+        await this.write(concatBytes(preamble, headerBytes));
+    }
+
+    // Frames a whole chunk into one buffer so each chunk costs a single write
+    async writeRecords(records) {
+        const payloads = records.map(record => recordPayloadBytes(record, this.cryptoInstance));
+        const totalLength = payloads.reduce((sum, payload) => sum + CONTAINER_FRAME_HEADER_LENGTH + payload.length, 0);
+        const frames = new Uint8Array(totalLength);
+        const view = new DataView(frames.buffer);
+        let offset = 0;
+
+        records.forEach((record, i) => {
+            view.setUint32(offset, record.id);
+            view.setUint8(offset + 4, CIPHERS[record.algorithm].code
+                | (CONTAINER_COMPRESSION_CODES.indexOf(record.compression) << CONTAINER_COMPRESSION_SHIFT)
+                | (record.fieldLevel ? CONTAINER_FIELD_LEVEL_FLAG : 0));
+            view.setUint32(offset + 5, payloads[i].length);
+            frames.set(payloads[i], offset + CONTAINER_FRAME_HEADER_LENGTH);
+            offset += CONTAINER_FRAME_HEADER_LENGTH + payloads[i].length;
+        });
+
+        await this.write(frames);
+        this.recordCount += records.length;
+    }
+
+    async writeManifest(manifest) {
+        const body = new TextEncoder().encode(JSON.stringify(manifest));
+        const frame = new Uint8Array(CONTAINER_FRAME_HEADER_LENGTH + body.length);
+        const view = new DataView(frame.buffer);
+
+        view.setUint32(0, CONTAINER_MANIFEST_ID);
+        view.setUint8(4, 0);
+        view.setUint32(5, body.length);
+        frame.set(body, CONTAINER_FRAME_HEADER_LENGTH);
+        await this.write(frame);
+    }
+
+    close() {
+        return this.sink.close();
+    }
+
+    abort() {
+        return this.sink.abort();
+    }
+}
+
+// Yields the container header first, then one entry per record, reading the file incrementally
+export async function* readContainerEntries(file, onBytesRead) {
+    const decoder = new TextDecoder();
+    let buffer = new Uint8Array(0);
+    let offset = 0;
+    let header = null;
+
+    for await (const bytes of readFileBytes(file, onBytesRead)) {
+        buffer = concatBytes(buffer.subarray(offset), bytes);
+        offset = 0;
+        const view = new DataView(buffer.buffer);
+
+        if (!header) {
+            if (buffer.length < CONTAINER_PREAMBLE_LENGTH) continue;
+
+            if (decoder.decode(buffer.subarray(0, CONTAINER_MAGIC.length)) !== CONTAINER_MAGIC) {
+                throw new ValidationError('Not an encrypted container file');
+            }
+            const version = view.getUint8(CONTAINER_MAGIC.length);
+            if (version !== CONTAINER_VERSION) {
+                throw new ValidationError(`Unsupported container version: ${version}`);
+            }
+
+            const headerLength = view.getUint32(CONTAINER_MAGIC.length + 1);
+            if (buffer.length < CONTAINER_PREAMBLE_LENGTH + headerLength) continue;
+
+            header = JSON.parse(decoder.decode(
+                buffer.subarray(CONTAINER_PREAMBLE_LENGTH, CONTAINER_PREAMBLE_LENGTH + headerLength)
+            ));
+            offset = CONTAINER_PREAMBLE_LENGTH + headerLength;
+            yield { type: 'header', header };
+        }
+
+        while (buffer.length - offset >= CONTAINER_FRAME_HEADER_LENGTH) {
+            const id = view.getUint32(offset);
+            const code = view.getUint8(offset + 4);
+            const length = view.getUint32(offset + 5);
+            const isManifest = id === CONTAINER_MANIFEST_ID;
+            const start = offset + CONTAINER_FRAME_HEADER_LENGTH;
+            if (buffer.length - start < length) break;
+
+            if (isManifest) {
+                yield { type: 'manifest', manifest: JSON.parse(decoder.decode(buffer.subarray(start, start + length))) };
+            } else {
+                const cipher = cipherByCode(code & CONTAINER_CIPHER_MASK);
+                const compression = CONTAINER_COMPRESSION_CODES[(code & ~CONTAINER_FIELD_LEVEL_FLAG) >> CONTAINER_COMPRESSION_SHIFT];
+                if (!cipher || !compression) {
+                    throw new ValidationError(`Record ${id} uses an unknown cipher code ${code}`);
+                }
+                yield {
+                    type: 'record',
+                    id,
+                    algorithm: cipher.id,
+                    fieldLevel: (code & CONTAINER_FIELD_LEVEL_FLAG) !== 0,
+                    compression,
+                    bytes: buffer.slice(start, start + length)
+                };
+            }
+            offset = start + length;
+        }
+    }
+
+    if (!header) {
+        throw new ValidationError('Not an encrypted container file');
+    }
+    if (offset !== buffer.length) {
+        throw new ValidationError('Container file is truncated');
+    }
+}
+
+// The bytes a record stores: its cipher payload, or the field JSON of a field-level record
+export function recordPayloadBytes(record, cryptoInstance) {
+    return record.fieldLevel
+        ? new TextEncoder().encode(JSON.stringify(record.fields))
+        : cryptoInstance.base64ToBuffer(record.encrypted);
+}
+
+// Turns a record entry read from a container back into the form results are kept in
+export function recordFromEntry(entry, cryptoInstance) {
+    const cipher = CIPHERS[entry.algorithm];
+    const record = {
+        id: entry.id,
+        processed: true,
+        algorithm: cipher.id,
+        encryptionType: cipher.label,
+        compression: entry.compression
+    };
+
+    if (entry.fieldLevel) {
+        return { ...record, fields: JSON.parse(new TextDecoder().decode(entry.bytes)), fieldLevel: true };
+    }
+    return {
+        ...record,
+        encrypted: cryptoInstance.bufferToBase64(entry.bytes),
+        iv: Array.from(entry.bytes.subarray(cipher.ivOffset, cipher.ivOffset + cipher.ivLength))
+    };
+}
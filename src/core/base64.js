@@ -0,0 +1,21 @@
+// Base64 helpers for the core modules. Bytes are converted in slices because spreading a
+// large payload into String.fromCharCode() can exceed the engine's argument limit.
+const SLICE_LENGTH = 0x8000;
+
+export function bytesToBase64(bytes) {
+    const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < view.length; i += SLICE_LENGTH) {
+        binary += String.fromCharCode(...view.subarray(i, i + SLICE_LENGTH));
+    }
+    return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
@@ -0,0 +1,185 @@
+// Cipher registry shared by the main thread and the encryption workers. Each cipher turns
+// plaintext bytes into one self-contained payload and back, using the key set from deriveKeySet().
+const encoder = new TextEncoder();
+
+const GCM_IV_LENGTH = 12;
+const GCM_TAG_LENGTH = 16;
+const CBC_IV_LENGTH = 16;
+const CBC_BLOCK_LENGTH = 16;
+const HMAC_LENGTH = 32;
+// AES-KW adds 8 bytes to the 32-byte data key it wraps
+const WRAPPED_KEY_LENGTH = 40;
+
+export const DEFAULT_CIPHER = 'aes-256-gcm';
+
+function concat(...parts) {
+    const combined = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        combined.set(part, offset);
+        offset += part.length;
+    }
+    return combined;
+}
+
+async function gcmEncrypt(key, plaintext) {
+    const iv = crypto.getRandomValues(new Uint8Array(GCM_IV_LENGTH));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return concat(iv, new Uint8Array(ciphertext));
+}
+
+async function gcmDecrypt(key, payload) {
+    if (payload.length <= GCM_IV_LENGTH) {
+        throw new Error('Encrypted payload is too short to contain an IV');
+    }
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: payload.subarray(0, GCM_IV_LENGTH) },
+        key,
+        payload.subarray(GCM_IV_LENGTH)
+    );
+    return new Uint8Array(plaintext);
+}
+
+// Encrypt-then-MAC: the HMAC covers the IV and ciphertext and is checked before decrypting
+async function cbcHmacEncrypt(keys, plaintext) {
+    const iv = crypto.getRandomValues(new Uint8Array(CBC_IV_LENGTH));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, keys.cbc, plaintext));
+    const authenticated = concat(iv, ciphertext);
+    const mac = new Uint8Array(await crypto.subtle.sign('HMAC', keys.hmac, authenticated));
+    return concat(authenticated, mac);
+}
+
+async function cbcHmacDecrypt(keys, payload) {
+    if (payload.length < CBC_IV_LENGTH + CBC_BLOCK_LENGTH + HMAC_LENGTH) {
+        throw new Error('Encrypted payload is too short for AES-CBC with HMAC');
+    }
+    const authenticated = payload.subarray(0, payload.length - HMAC_LENGTH);
+    const mac = payload.subarray(payload.length - HMAC_LENGTH);
+    if (!await crypto.subtle.verify('HMAC', keys.hmac, mac, authenticated)) {
+        throw new Error('HMAC check failed; the record was altered or encrypted with a different key');
+    }
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-CBC', iv: authenticated.subarray(0, CBC_IV_LENGTH) },
+        keys.cbc,
+        authenticated.subarray(CBC_IV_LENGTH)
+    );
+    return new Uint8Array(plaintext);
+}
+
+// Each chunk gets a fresh data key; only its wrapped form is stored, ahead of every record
+async function createEnvelopeContext(keys) {
+    const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const wrappedKey = new Uint8Array(await crypto.subtle.wrapKey('raw', dataKey, keys.wrap, 'AES-KW'));
+    return { dataKey, wrappedKey };
+}
+
+async function envelopeEncrypt(keys, plaintext, context) {
+    if (!context) {
+        throw new Error('Envelope encryption needs a chunk context with a data key');
+    }
+    return concat(context.wrappedKey, await gcmEncrypt(context.dataKey, plaintext));
+}
+
+// Records from one chunk share a wrapped key, so the last unwrapped key is kept in the context
+async function envelopeDecrypt(keys, payload, context = {}) {
+    if (payload.length <= WRAPPED_KEY_LENGTH + GCM_IV_LENGTH) {
+        throw new Error('Encrypted payload is too short to contain a wrapped key');
+    }
+    const wrappedKey = payload.subarray(0, WRAPPED_KEY_LENGTH);
+    const cacheKey = wrappedKey.join(',');
+
+    if (context.wrappedKey !== cacheKey) {
+        context.dataKey = await crypto.subtle.unwrapKey(
+            'raw', wrappedKey, keys.wrap, 'AES-KW', { name: 'AES-GCM' }, false, ['decrypt']
+        );
+        context.wrappedKey = cacheKey;
+    }
+    return gcmDecrypt(context.dataKey, payload.subarray(WRAPPED_KEY_LENGTH));
+}
+
+// code is the byte written into container frames; overheadBytes is the fixed per-record cost
+// on top of the plaintext (CBC also pads up to one block)
+export const CIPHERS = {
+    'aes-256-gcm': {
+        id: 'aes-256-gcm',
+        code: 1,
+        label: 'AES-256-GCM',
+        description: 'Authenticated encryption with a 256-bit HKDF subkey',
+        ivOffset: 0,
+        ivLength: GCM_IV_LENGTH,
+        overheadBytes: GCM_IV_LENGTH + GCM_TAG_LENGTH,
+        encrypt: (keys, plaintext) => gcmEncrypt(keys.gcm256, plaintext),
+        decrypt: (keys, payload) => gcmDecrypt(keys.gcm256, payload)
+    },
+    'aes-128-gcm': {
+        id: 'aes-128-gcm',
+        code: 2,
+        label: 'AES-128-GCM',
+        description: 'Authenticated encryption with a 128-bit HKDF subkey',
+        ivOffset: 0,
+        ivLength: GCM_IV_LENGTH,
+        overheadBytes: GCM_IV_LENGTH + GCM_TAG_LENGTH,
+        encrypt: (keys, plaintext) => gcmEncrypt(keys.gcm128, plaintext),
+        decrypt: (keys, payload) => gcmDecrypt(keys.gcm128, payload)
+    },
+    'aes-256-cbc-hmac': {
+        id: 'aes-256-cbc-hmac',
+        code: 3,
+        label: 'AES-256-CBC + HMAC-SHA-256',
+        description: 'Encrypt-then-MAC with separate HKDF subkeys; two passes over each record',
+        ivOffset: 0,
+        ivLength: CBC_IV_LENGTH,
+        overheadBytes: CBC_IV_LENGTH + HMAC_LENGTH,
+        encrypt: cbcHmacEncrypt,
+        decrypt: cbcHmacDecrypt
+    },
+    'envelope-aes-256-gcm': {
+        id: 'envelope-aes-256-gcm',
+        code: 4,
+        label: 'Envelope AES-256-GCM',
+        description: 'Random data key per chunk, wrapped with AES-KW and stored with every record',
+        ivOffset: WRAPPED_KEY_LENGTH,
+        ivLength: GCM_IV_LENGTH,
+        overheadBytes: WRAPPED_KEY_LENGTH + GCM_IV_LENGTH + GCM_TAG_LENGTH,
+        createChunkContext: createEnvelopeContext,
+        encrypt: envelopeEncrypt,
+        decrypt: envelopeDecrypt
+    }
+};
+
+export function cipherByCode(code) {
+    return Object.values(CIPHERS).find(cipher => cipher.code === code) || null;
+}
+
+// One PBKDF2 run yields every cipher's key. The PBKDF2 output is only ever HKDF input: each
+// key is expanded from it under its own info string, so a single passphrase unlocks mixed
+// outputs without any key doubling as another's secret. The lookup key
+// only hashes fields for field-level encryption; the manifest key signs run manifests.
+export async function deriveKeySet(password, salt, { iterations, hash }) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash }, material, 256));
+
+    try {
+        const hkdf = await crypto.subtle.importKey('raw', bits, 'HKDF', false, ['deriveKey']);
+        const expand = (purpose, algorithm, usages) => crypto.subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(`mmec:${purpose}`) },
+            hkdf,
+            algorithm,
+            false,
+            usages
+        );
+
+        const [gcm256, gcm128, cbc, hmac, wrap, lookup, manifest] = await Promise.all([
+            expand('gcm256', { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']),
+            expand('aes-128-gcm', { name: 'AES-GCM', length: 128 }, ['encrypt', 'decrypt']),
+            expand('aes-256-cbc', { name: 'AES-CBC', length: 256 }, ['encrypt', 'decrypt']),
+            expand('hmac-sha-256', { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign', 'verify']),
+            expand('aes-kw', { name: 'AES-KW', length: 256 }, ['wrapKey', 'unwrapKey']),
+            expand('field-lookup', { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign']),
+            expand('run-manifest', { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign', 'verify'])
+        ]);
+        return { gcm256, gcm128, cbc, hmac, wrap, lookup, manifest };
+    } finally {
+        bits.fill(0);
+    }
+}
@@ -0,0 +1,24 @@
+// Optional compression of plaintext before it reaches the cipher, shared by the main
+// thread and the encryption workers. Uses the browser's built-in CompressionStream.
+export const COMPRESSION_FORMATS = {
+    none: 'None',
+    gzip: 'gzip',
+    deflate: 'deflate'
+};
+
+export function isCompressionSupported() {
+    return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+}
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export function compressBytes(bytes, format = 'none') {
+    return format === 'none' ? bytes : pipeBytes(bytes, new CompressionStream(format));
+}
+
+export function decompressBytes(bytes, format = 'none') {
+    return format === 'none' ? bytes : pipeBytes(bytes, new DecompressionStream(format));
+}
@@ -0,0 +1,140 @@
+import { CIPHERS, DEFAULT_CIPHER, deriveKeySet } from './ciphers.js';
+import { encryptFields, decryptFields } from './fieldEncryption.js';
+import { compressBytes, decompressBytes } from './compression.js';
+import { base64ToBytes, bytesToBase64 } from './base64.js';
+import { BrowserSupportError, EncryptionError, ValidationError } from './errors.js';
+
+export const KDF_HASHES = ['SHA-256', 'SHA-384', 'SHA-512'];
+export const MIN_KDF_ITERATIONS = 10000;
+
+// Real encryption with the ciphers registered in ciphers.js; AES-256-GCM unless setCipher() picks another
+export class ZeroKnowledgeEncryption {
+    constructor() {
+        this.cipher = DEFAULT_CIPHER;
+        this.iterations = 100000;
+        this.hash = 'SHA-256';
+    }
+
+    get ivLength() {
+        return CIPHERS[this.cipher].ivLength;
+    }
+
+    setCipher(cipherId) {
+        if (!CIPHERS[cipherId]) {
+            throw new ValidationError(`Unknown cipher: ${cipherId}`);
+        }
+        this.cipher = cipherId;
+    }
+
+    // Returns the key set for every registered cipher, all derived from the one passphrase
+    async deriveKeys(password, salt, { iterations = this.iterations, hash = this.hash } = {}) {
+        if (!globalThis.crypto?.subtle) {
+            throw new BrowserSupportError('Web Crypto API is not available; it needs a secure (HTTPS) context');
+        }
+
+        return deriveKeySet(password, salt, { iterations, hash });
+    }
+
+    generateSalt() {
+        return crypto.getRandomValues(new Uint8Array(16));
+    }
+
+    // Per-chunk state such as an envelope data key; null for ciphers that need none
+    async createChunkContext(keys, cipherId = this.cipher) {
+        const cipher = CIPHERS[cipherId];
+        return cipher.createChunkContext ? cipher.createChunkContext(keys) : null;
+    }
+
+    // Compression, when chosen, runs on the JSON bytes before they reach the cipher
+    async encrypt(data, keys, { cipher: cipherId = this.cipher, context = null, compression = 'none' } = {}) {
+        const cipher = CIPHERS[cipherId];
+        const raw = new TextEncoder().encode(JSON.stringify(data));
+        const plaintext = await compressBytes(raw, compression);
+        const combined = await cipher.encrypt(keys, plaintext, context);
+
+        return {
+            data: combined,
+            iv: Array.from(combined.subarray(cipher.ivOffset, cipher.ivOffset + cipher.ivLength)),
+            algorithm: cipherId,
+            rawBytes: raw.length,
+            compressedBytes: plaintext.length
+        };
+    }
+
+    // The context caches per-chunk keys (e.g. unwrapped envelope keys) across calls
+    async decrypt(payload, keys, { algorithm = DEFAULT_CIPHER, context = {}, compression = 'none' } = {}) {
+        const cipher = CIPHERS[algorithm];
+        if (!cipher) {
+            throw new EncryptionError(`Unknown cipher: ${algorithm}`);
+        }
+
+        try {
+            // Accept either the raw payload bytes or their base64 form; malformed input and
+            // plaintext that is not JSON fail here too
+            const combined = typeof payload === 'string'
+                ? this.base64ToBuffer(payload)
+                : new Uint8Array(payload);
+            const decrypted = await decompressBytes(await cipher.decrypt(keys, combined, context), compression);
+            return JSON.parse(new TextDecoder().decode(decrypted));
+        } catch (error) {
+            throw new EncryptionError(`${cipher.label} decryption failed: ${error.message || error.name}`, { cause: error });
+        }
+    }
+
+    // Keeps the record's shape and only replaces the fields the schema selects
+    async encryptFields(record, schema, keys, { cipher: cipherId = this.cipher, context = null, compression = 'none' } = {}) {
+        return encryptFields(record, schema, keys, CIPHERS[cipherId], context, compression);
+    }
+
+    async decryptFields(record, keys, { algorithm = DEFAULT_CIPHER, context = {}, compression = 'none' } = {}) {
+        const cipher = CIPHERS[algorithm];
+        if (!cipher) {
+            throw new EncryptionError(`Unknown cipher: ${algorithm}`);
+        }
+
+        try {
+            return await decryptFields(record, keys, cipher, context, compression);
+        } catch (error) {
+            throw new EncryptionError(`${cipher.label} field decryption failed: ${error.message || error.name}`, { cause: error });
+        }
+    }
+
+    bufferToBase64(buffer) {
+        return bytesToBase64(buffer);
+    }
+
+    base64ToBuffer(base64) {
+        return base64ToBytes(base64);
+    }
+
+    // Everything except the passphrase needed to derive the same key in a later session
+    exportKeyParams(salt, { iterations = this.iterations, hash = this.hash } = {}) {
+        return {
+            version: 1,
+            kdf: 'PBKDF2',
+            hash,
+            iterations,
+            salt: this.bufferToBase64(salt),
+            // Informational: the key set covers every cipher, so any of them can be decrypted
+            algorithm: this.cipher
+        };
+    }
+
+    importKeyParams(params) {
+        if (!params || params.kdf !== 'PBKDF2' || typeof params.salt !== 'string') {
+            throw new ValidationError('Invalid key parameters file');
+        }
+        if (!KDF_HASHES.includes(params.hash)) {
+            throw new ValidationError(`Unsupported PBKDF2 hash: ${params.hash}`);
+        }
+        if (!Number.isInteger(params.iterations) || params.iterations < MIN_KDF_ITERATIONS) {
+            throw new ValidationError(`PBKDF2 iterations must be an integer of at least ${MIN_KDF_ITERATIONS}`);
+        }
+
+        return {
+            salt: this.base64ToBuffer(params.salt),
+            iterations: params.iterations,
+            hash: params.hash
+        };
+    }
+}
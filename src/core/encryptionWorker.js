@@ -0,0 +1,46 @@
+// Dedicated encryption worker used by EncryptionWorkerPool.
+// The keys arrive as non-extractable CryptoKeys and never leave the worker.
+import { CIPHERS } from './ciphers.js';
+import { sealRecord } from './records.js';
+
+// keys, cipher, schema and compression from the init message
+let settings = null;
+
+self.onmessage = async (event) => {
+    const { type, jobId } = event.data;
+
+    try {
+        if (type === 'init') {
+            settings = {
+                keys: event.data.keys,
+                cipher: CIPHERS[event.data.cipher],
+                schema: event.data.schema,
+                compression: event.data.compression
+            };
+            self.postMessage({ type: 'ready', jobId });
+            return;
+        }
+
+        if (type === 'encrypt') {
+            if (!settings) {
+                throw new Error('Encryption key not initialized in worker');
+            }
+
+            const results = [];
+            for (const item of event.data.items) {
+                try {
+                    results.push(await sealRecord(item.data, item.index, { ...settings, context: event.data.context }));
+                } catch (error) {
+                    // Report the record and keep going; the pool decides whether to skip or stop
+                    results.push({ id: item.index, error: { name: error.name, message: error.message || String(error) } });
+                }
+            }
+
+            // Hand the ciphertext buffers over instead of copying them
+            const buffers = results.filter(result => result.payload).map(result => result.payload.buffer);
+            self.postMessage({ type: 'result', jobId, results }, buffers);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, message: error.message || String(error) });
+    }
+};
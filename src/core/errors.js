@@ -0,0 +1,123 @@
+// Typed errors shared by the core classes, plus helpers that turn any error into the
+// { type, message, suggestion } details a UI can show.
+export const ERROR_TYPES = {
+    VALIDATION: 'validation',
+    ENCRYPTION: 'encryption',
+    MEMORY: 'memory',
+    BROWSER_SUPPORT: 'browser_support',
+    STORAGE: 'storage',
+    CANCELLED: 'cancelled'
+};
+
+export const ERROR_SUGGESTIONS = {
+    [ERROR_TYPES.VALIDATION]: 'Please check the input and try again.',
+    [ERROR_TYPES.ENCRYPTION]: 'Please check your input data and try again. If the problem persists, try refreshing the page.',
+    [ERROR_TYPES.MEMORY]: 'Try reducing the dataset size or chunk size, or close other browser tabs to free up memory.',
+    [ERROR_TYPES.BROWSER_SUPPORT]: 'Please use a modern browser with Web Crypto API support (Chrome, Firefox, Safari, Edge).',
+    [ERROR_TYPES.STORAGE]: 'Free up storage space or clear stored results, then resume the run.',
+    [ERROR_TYPES.CANCELLED]: 'Start again when ready.'
+};
+
+// DOMException names that usually clear up on a second attempt
+export const TRANSIENT_ERROR_NAMES = new Set(['UnknownError', 'TimeoutError', 'NetworkError', 'TransactionInactiveError']);
+
+// Base class for the typed errors below; `transient` marks failures worth retrying.
+// Names are set explicitly because minification renames the classes.
+export class DemoError extends Error {
+    constructor(type, message, { suggestion = null, cause, transient = TRANSIENT_ERROR_NAMES.has(cause?.name) } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = 'DemoError';
+        this.type = type;
+        this.suggestion = suggestion;
+        this.transient = transient;
+    }
+}
+
+export class ValidationError extends DemoError {
+    constructor(message, options) {
+        super(ERROR_TYPES.VALIDATION, message, options);
+        this.name = 'ValidationError';
+    }
+}
+
+export class EncryptionError extends DemoError {
+    constructor(message, options) {
+        super(ERROR_TYPES.ENCRYPTION, message, options);
+        this.name = 'EncryptionError';
+    }
+}
+
+export class MemoryPressureError extends DemoError {
+    constructor(message, options) {
+        super(ERROR_TYPES.MEMORY, message, options);
+        this.name = 'MemoryPressureError';
+    }
+}
+
+export class BrowserSupportError extends DemoError {
+    constructor(message, options) {
+        super(ERROR_TYPES.BROWSER_SUPPORT, message, options);
+        this.name = 'BrowserSupportError';
+    }
+}
+
+export class StorageError extends DemoError {
+    constructor(message, options) {
+        super(ERROR_TYPES.STORAGE, message, options);
+        this.name = 'StorageError';
+    }
+}
+
+export class CancelledError extends DemoError {
+    constructor(message = 'Operation cancelled', options) {
+        super(ERROR_TYPES.CANCELLED, message, options);
+        this.name = 'CancelledError';
+    }
+}
+
+export function isTransientError(error) {
+    return error instanceof DemoError ? error.transient : TRANSIENT_ERROR_NAMES.has(error?.name);
+}
+
+export function createError(type, message, suggestion = null) {
+    return { type, message, suggestion };
+}
+
+// Maps typed errors straight to their category; platform errors are classified by name
+export function getErrorDetails(error) {
+    if (error instanceof DemoError) {
+        return createError(error.type, error.message, error.suggestion ?? ERROR_SUGGESTIONS[error.type]);
+    }
+
+    switch (error?.name) {
+        case 'AbortError':
+            return getErrorDetails(new CancelledError());
+        case 'QuotaExceededError':
+            return getErrorDetails(new StorageError('Browser storage quota exceeded'));
+        case 'NotSupportedError':
+            return getErrorDetails(new BrowserSupportError('Browser does not support required cryptographic features'));
+        case 'OperationError':
+        case 'InvalidAccessError':
+        case 'DataError':
+            return getErrorDetails(new EncryptionError('Failed to encrypt data'));
+        default:
+            // Default error
+            return createError(
+                ERROR_TYPES.ENCRYPTION,
+                'An unexpected error occurred during processing',
+                'Please try again with a smaller dataset. If the problem persists, refresh the page.'
+            );
+    }
+}
+
+// Plain, serialisable summary of a failed record for the failure report
+export function describeFailure(error, index, attempts) {
+    return {
+        index,
+        attempts,
+        type: getErrorDetails(error).type,
+        name: error?.name || 'Error',
+        message: error?.message || String(error),
+        cause: error?.cause ? (error.cause.message || String(error.cause)) : null
+    };
+}
@@ -0,0 +1,43 @@
+// Minimal event emitter for the core classes, so they work the same under any UI framework
+// (or none). Every event is one object that carries its type; '*' listens to all types.
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    // Returns an unsubscribe function
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    once(type, listener) {
+        const unsubscribe = this.on(type, (event) => {
+            unsubscribe();
+            listener(event);
+        });
+        return unsubscribe;
+    }
+
+    // Listeners run synchronously, in the order they were added; one that throws is
+    // reported without stopping the others or the emitter
+    emit(type, detail = {}) {
+        const event = { ...detail, type };
+        const listeners = [...(this.listeners.get(type) || []), ...(this.listeners.get('*') || [])];
+        for (const listener of listeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Listener for "${type}" failed:`, error);
+            }
+        }
+        return event;
+    }
+}
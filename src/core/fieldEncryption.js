@@ -0,0 +1,91 @@
+// Field-level encryption shared by the main thread and the encryption workers. A schema
+// lists dot-separated JSON paths and what to do with each; the record keeps its shape and
+// only the selected values are replaced by { $enc } ciphertext or { $hmac } lookup hashes.
+import { compressBytes, decompressBytes } from './compression.js';
+import { base64ToBytes, bytesToBase64 } from './base64.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export const FIELD_ACTIONS = {
+    encrypt: 'Encrypt',
+    hash: 'HMAC hash',
+    plain: 'Leave plain'
+};
+
+// Arrays along the path apply the rest of the path to every element; missing fields are skipped
+async function transformPath(target, segments, transform) {
+    if (target === null || typeof target !== 'object') return;
+
+    if (Array.isArray(target)) {
+        for (const item of target) {
+            await transformPath(item, segments, transform);
+        }
+        return;
+    }
+
+    const [head, ...rest] = segments;
+    if (!Object.hasOwn(target, head)) return;
+
+    if (rest.length === 0) {
+        target[head] = await transform(target[head]);
+    } else {
+        await transformPath(target[head], rest, transform);
+    }
+}
+
+// Deterministic for a given key set, so equal values can be matched without decrypting
+export async function hashFieldValue(keys, value) {
+    const mac = await crypto.subtle.sign('HMAC', keys.lookup, encoder.encode(JSON.stringify(value)));
+    return bytesToBase64(new Uint8Array(mac));
+}
+
+// Returns a copy of the record, where each encrypted field is its own cipher payload, with
+// the encrypted fields' size before and after compression
+export async function encryptFields(record, schema, keys, cipher, context, compression = 'none') {
+    const output = structuredClone(record);
+    let plainBytes = 0;
+    let cipherBytes = 0;
+
+    const encryptValue = async (value) => {
+        const raw = encoder.encode(JSON.stringify(value));
+        const plaintext = await compressBytes(raw, compression);
+        plainBytes += raw.length;
+        cipherBytes += plaintext.length;
+        return { $enc: bytesToBase64(await cipher.encrypt(keys, plaintext, context)) };
+    };
+
+    for (const { path, action } of schema) {
+        if (action === 'plain') continue;
+
+        await transformPath(output, path.split('.'), async (value) => (action === 'encrypt'
+            ? encryptValue(value)
+            : { $hmac: await hashFieldValue(keys, value) }));
+    }
+    return { record: output, plainBytes, cipherBytes };
+}
+
+// Restores every { $enc } value in place of its marker; { $hmac } values are one-way and stay
+export async function decryptFields(record, keys, cipher, context, compression = 'none') {
+    let decrypted = 0;
+
+    const walk = async (value) => {
+        if (value === null || typeof value !== 'object') return value;
+        if (Array.isArray(value)) {
+            return Promise.all(value.map(walk));
+        }
+        if (typeof value.$enc === 'string') {
+            decrypted++;
+            const plaintext = await cipher.decrypt(keys, base64ToBytes(value.$enc), context);
+            return JSON.parse(decoder.decode(await decompressBytes(plaintext, compression)));
+        }
+
+        const output = {};
+        for (const [key, field] of Object.entries(value)) {
+            output[key] = await walk(field);
+        }
+        return output;
+    };
+
+    return { record: await walk(record), decrypted };
+}
@@ -0,0 +1,579 @@
+// Type declarations for the headless core (src/core/index.js).
+
+// ---- Events ----------------------------------------------------------------------------
+
+export type Unsubscribe = () => void;
+
+export class EventEmitter<Events extends Record<string, object> = Record<string, object>> {
+    /** Listens to one event type, or to every type with '*'; returns an unsubscribe function */
+    on<K extends keyof Events & string>(type: K, listener: (event: Events[K] & { type: K }) => void): Unsubscribe;
+    on(type: '*', listener: (event: Events[keyof Events] & { type: string }) => void): Unsubscribe;
+    off(type: string, listener: (event: never) => void): void;
+    once<K extends keyof Events & string>(type: K, listener: (event: Events[K] & { type: K }) => void): Unsubscribe;
+    emit<K extends keyof Events & string>(type: K, detail?: Events[K]): Events[K] & { type: K };
+}
+
+// ---- Errors ----------------------------------------------------------------------------
+
+export const ERROR_TYPES: {
+    readonly VALIDATION: 'validation';
+    readonly ENCRYPTION: 'encryption';
+    readonly MEMORY: 'memory';
+    readonly BROWSER_SUPPORT: 'browser_support';
+    readonly STORAGE: 'storage';
+    readonly CANCELLED: 'cancelled';
+};
+export type ErrorType = typeof ERROR_TYPES[keyof typeof ERROR_TYPES];
+export const ERROR_SUGGESTIONS: Record<ErrorType, string>;
+
+export interface ErrorOptions {
+    suggestion?: string | null;
+    cause?: unknown;
+    /** Marks failures worth retrying; defaults from the cause's DOMException name */
+    transient?: boolean;
+}
+
+export class DemoError extends Error {
+    constructor(type: ErrorType, message: string, options?: ErrorOptions);
+    type: ErrorType;
+    suggestion: string | null;
+    transient: boolean;
+}
+export class ValidationError extends DemoError {
+    constructor(message: string, options?: ErrorOptions);
+}
+export class EncryptionError extends DemoError {
+    constructor(message: string, options?: ErrorOptions);
+}
+export class MemoryPressureError extends DemoError {
+    constructor(message: string, options?: ErrorOptions);
+}
+export class BrowserSupportError extends DemoError {
+    constructor(message: string, options?: ErrorOptions);
+}
+export class StorageError extends DemoError {
+    constructor(message: string, options?: ErrorOptions);
+}
+export class CancelledError extends DemoError {
+    constructor(message?: string, options?: ErrorOptions);
+}
+
+export interface ErrorDetails {
+    type: ErrorType;
+    message: string;
+    suggestion: string | null;
+}
+
+export interface FailureReport {
+    index: number;
+    attempts: number;
+    type: ErrorType;
+    name: string;
+    message: string;
+    cause: string | null;
+    /** Set by StreamProcessor */
+    chunkIndex?: number;
+    /** Records lost with a failed worker chunk */
+    count?: number;
+}
+
+export function isTransientError(error: unknown): boolean;
+export function createError(type: ErrorType, message: string, suggestion?: string | null): ErrorDetails;
+export function getErrorDetails(error: unknown): ErrorDetails;
+export function describeFailure(error: unknown, index: number, attempts: number): FailureReport;
+
+// ---- Retry -----------------------------------------------------------------------------
+
+export interface FailurePolicy {
+    /** 'skip' reports failed records and carries on; 'fail-fast' stops at the first */
+    mode?: 'skip' | 'fail-fast';
+    retries?: number;
+    backoffMs?: number;
+    onFailure?: ((failure: FailureReport) => void) | null;
+}
+
+export const DEFAULT_FAILURE_POLICY: Required<FailurePolicy>;
+export function delay(ms: number, signal?: AbortSignal | null): Promise<void>;
+export function withRetry<T>(
+    task: (attempt: number) => Promise<T>,
+    options?: { retries?: number; backoffMs?: number; signal?: AbortSignal | null }
+): Promise<T>;
+
+// ---- Memory ----------------------------------------------------------------------------
+
+export type PressureLevel = 'normal' | 'warn' | 'throttle' | 'pause' | 'abort';
+
+export interface PressurePolicy {
+    /** Percentages of the memory limit at which each level engages */
+    warn: number;
+    throttle: number;
+    pause: number;
+    abort: number;
+    /** Points below a threshold that usage must fall before its level is left */
+    hysteresis: number;
+    throttleDelayMs: number;
+}
+
+export interface MemoryReading {
+    used: number;
+    limit: number;
+    limitIsBudget: boolean;
+}
+
+export interface MemoryBackend {
+    name: string;
+    label: string;
+    precision: string;
+    read(): MemoryReading | null;
+    refresh?(): Promise<void>;
+}
+
+export interface MemoryUsage {
+    used: number;
+    limit: number;
+    percentage: number;
+    usedMB: number;
+    limitMB: number;
+    limitIsBudget: boolean;
+    backend: string;
+}
+
+export interface CleanupRelease {
+    name: string;
+    bytes: number;
+    error?: string;
+}
+
+export interface MemoryManagerEvents {
+    usage: { usage: MemoryUsage; timestamp: number };
+    pressure: { level: PressureLevel; previous: PressureLevel; percentage: number; timestamp: number };
+    cleanup: { reason: PressureLevel | 'manual'; released: CleanupRelease[]; totalBytes: number; timestamp: number };
+}
+
+export const DEFAULT_MEMORY_BUDGET: number;
+export const DEFAULT_PRESSURE_POLICY: PressurePolicy;
+export const PRESSURE_LEVELS: PressureLevel[];
+export const MEMORY_BACKENDS: Record<'ua-specific' | 'performance-memory' | 'estimate', {
+    isAvailable(): boolean;
+    new (budget: number, ledger: Map<string, number>): MemoryBackend;
+}>;
+export function estimateBytes(value: unknown): number;
+export function pressureRank(level: PressureLevel): number;
+/** Share of the concurrency limit allowed at each pressure level */
+export const CONCURRENCY_BY_PRESSURE: Record<PressureLevel, number>;
+
+export interface ConcurrencyChange {
+    limit: number;
+    /** The limit scaled down for the pressure level, never below one */
+    effective: number;
+    level: PressureLevel;
+}
+
+export type RecordProcessor<In = unknown, Out = unknown> = ((item: In, index: number) => Promise<Out>) & {
+    /** Called before each chunk, e.g. to create an envelope data key */
+    startChunk?(chunkIndex: number): Promise<void>;
+};
+
+export class MemoryManager extends EventEmitter<MemoryManagerEvents> {
+    constructor(options?: { backend?: string | MemoryBackend; budget?: number; policy?: Partial<PressurePolicy> });
+    backend: MemoryBackend;
+    budget: number;
+    policy: PressurePolicy;
+    pressureLevel: PressureLevel;
+    isMonitoring: boolean;
+
+    static availableBackends(): string[];
+    /** Same as on('*', listener) */
+    subscribe(listener: (event: MemoryManagerEvents[keyof MemoryManagerEvents] & { type: string }) => void): Unsubscribe;
+    startMonitoring(intervalMs?: number): void;
+    stopMonitoring(): void;
+    sample(): MemoryUsage | null;
+    setBackend(backend: string | MemoryBackend): void;
+    refresh(): Promise<void>;
+    account(holder: string, bytes: number): void;
+    resetAccounting(): void;
+    checkMemoryUsage(): MemoryUsage | null;
+    setPolicy(policy: Partial<PressurePolicy>): void;
+    levelFor(percentage: number): PressureLevel;
+    checkPressure(): Promise<PressureLevel>;
+    applyPressurePolicy(options?: { signal?: AbortSignal | null; allowPause?: boolean }): Promise<PressureLevel>;
+    /** The handler returns the bytes it released (0 if unknown); returns an unregister function */
+    registerCleanup(
+        name: string,
+        handler: () => number | void | Promise<number | void>,
+        options?: { level?: PressureLevel }
+    ): Unsubscribe;
+    forceCleanup(reason?: PressureLevel | 'manual'): Promise<CleanupRelease[]>;
+    concurrencyFor(limit: number): number;
+    /** Results keep input order; failed records are left out */
+    processWithMemoryCheck<In, Out>(
+        items: In[],
+        processor: RecordProcessor<In, Out>,
+        onProgress?: ((progress: { processed: number; total: number; percentage: number }) => void) | null,
+        indexOffset?: number,
+        signal?: AbortSignal | null,
+        failurePolicy?: FailurePolicy,
+        options?: { concurrency?: number; onConcurrency?: ((change: ConcurrencyChange) => void) | null }
+    ): Promise<Out[]>;
+}
+
+// ---- Stream processing -----------------------------------------------------------------
+
+export type DataSource<T> = T[] | Iterable<T> | AsyncIterable<T> | ReadableStream<T>;
+
+/** Processors with processChunk (e.g. a worker pool) receive whole chunks */
+export interface ChunkProcessor<In = unknown, Out = unknown> {
+    processChunk(chunk: In[], indexOffset: number): Promise<Array<Out | { id: number; error: Error }>>;
+    startChunk?(chunkIndex: number): Promise<void>;
+}
+
+export interface StreamCursor {
+    nextIndex: number;
+    completedChunks: number;
+    totalChunks: number | null;
+}
+
+export interface StreamProgress {
+    processed: number;
+    total: number | null;
+    percentage: number | null;
+    currentChunk: number;
+    totalChunks: number | null;
+}
+
+export interface ChunkResult<Out> {
+    results: Out[];
+    chunkIndex: number;
+    totalChunks: number | null;
+    nextIndex: number;
+}
+
+export interface ChunkResize {
+    size: number;
+    previousSize: number;
+    reason: string;
+    chunkIndex: number;
+    latencyMs: number;
+}
+
+export interface ProcessOptions {
+    signal?: AbortSignal | null;
+    onProgress?: ((progress: StreamProgress) => void) | null;
+    chunkSizer?: AdaptiveChunkSizer | null;
+    onResize?: ((resize: ChunkResize) => void) | null;
+    /** Continues record indexes from an earlier, interrupted run */
+    startIndex?: number;
+    failurePolicy?: FailurePolicy;
+    /** Records of a chunk in flight at once; ignored by chunk processors such as worker pools */
+    concurrency?: number;
+    onConcurrency?: ((change: ConcurrencyChange & { chunkIndex: number }) => void) | null;
+}
+
+export interface StreamProcessorEvents {
+    chunk: ChunkResult<unknown>;
+    progress: StreamProgress;
+    resize: ChunkResize;
+    failure: { failure: FailureReport };
+    concurrency: ConcurrencyChange & { chunkIndex: number };
+    pause: { cursor: StreamCursor };
+    resume: { cursor: StreamCursor };
+}
+
+export class StreamProcessor extends EventEmitter<StreamProcessorEvents> {
+    constructor(chunkSize?: number, memoryManager?: MemoryManager);
+    chunkSize: number;
+    memoryManager: MemoryManager;
+    cursor: StreamCursor;
+    readonly isPaused: boolean;
+
+    /** Takes effect at the next chunk boundary */
+    pause(): void;
+    resume(): void;
+    chunks<T>(data: DataSource<T>): AsyncGenerator<T[]>;
+    processChunks<In, Out>(
+        data: DataSource<In>,
+        processor: RecordProcessor<In, Out> | ChunkProcessor<In, Out>,
+        options?: ProcessOptions
+    ): AsyncGenerator<ChunkResult<Out>>;
+    records<In, Out>(
+        data: DataSource<In>,
+        processor: RecordProcessor<In, Out> | ChunkProcessor<In, Out>,
+        options?: ProcessOptions
+    ): AsyncGenerator<Out>;
+    toReadableStream<In, Out>(
+        data: DataSource<In>,
+        processor: RecordProcessor<In, Out> | ChunkProcessor<In, Out>,
+        options?: ProcessOptions
+    ): ReadableStream<Out>;
+    /** With collectResults: false chunks only reach onChunk and the returned array stays empty */
+    processStream<In, Out>(
+        data: DataSource<In>,
+        processor: RecordProcessor<In, Out> | ChunkProcessor<In, Out>,
+        onChunk?: ((results: Out[], chunkIndex: number, totalChunks: number | null, nextIndex: number) => void | Promise<void>) | null,
+        onProgress?: ((progress: StreamProgress) => void) | null,
+        options?: ProcessOptions & { collectResults?: boolean }
+    ): Promise<Out[]>;
+    releaseResults(): void;
+}
+
+export class AdaptiveChunkSizer {
+    constructor(options?: {
+        mode?: 'heap' | 'latency';
+        targetHeapPercentage?: number;
+        targetLatencyMs?: number;
+        minChunkSize?: number;
+        maxChunkSize?: number;
+    });
+    next(currentSize: number, sample: { heapPercentage: number | null; latencyMs: number }): { size: number; reason: string };
+}
+
+export function iterateReadableStream<T>(stream: ReadableStream<T>): AsyncGenerator<T>;
+
+// ---- Leak checks -----------------------------------------------------------------------
+
+export const DEFAULT_LEAK_CHECK: { cycles: number; settleMs: number; maxGrowthPerCycle: number };
+
+export class LeakProbe {
+    static isSupported(): boolean;
+    probes: Array<{ ref: WeakRef<object>; label: string; cycle: number | null }>;
+    /** Targets the FinalizationRegistry has reported collected */
+    finalized: number;
+    track(target: object, label: string, cycle?: number | null): void;
+    alive(filter?: (probe: { label: string; cycle: number | null }) => boolean): Array<{ label: string; cycle: number | null }>;
+}
+
+export interface LeakSample {
+    cycle: number;
+    /** Bytes in use after the cycle's clear */
+    used: number;
+    /** used minus the baseline */
+    retained: number;
+    /** Change since the previous sample */
+    growth: number;
+    /** Probed objects from this and earlier cycles still alive */
+    alive: number;
+}
+
+export interface LeakCheckOptions {
+    memoryManager: MemoryManager;
+    runCycle(cycle: { cycle: number; track(target: object, label: string): void }): Promise<void>;
+    clear(): Promise<void>;
+    cycles?: number;
+    settleMs?: number;
+    /** Bytes per cycle */
+    maxGrowthPerCycle?: number;
+    signal?: AbortSignal | null;
+    onSample?: ((sample: LeakSample) => void) | null;
+}
+
+export interface LeakCheckReport {
+    verdict: 'pass' | 'fail';
+    reasons: string[];
+    /** Caveats that did not affect the verdict */
+    notes: string[];
+    baseline: number;
+    samples: LeakSample[];
+    /** Least-squares slope of the samples, in bytes */
+    growthPerCycle: number;
+    maxGrowthPerCycle: number;
+    tracked: number;
+    finalized: number;
+    /** Objects from cycles before the last that are still alive */
+    leaked: Array<{ label: string; cycle: number }>;
+    backend: string;
+    /** Whether a collection could be forced with gc() */
+    gcExposed: boolean;
+}
+
+export function runLeakCheck(options: LeakCheckOptions): Promise<LeakCheckReport>;
+
+// ---- Ciphers and encryption ------------------------------------------------------------
+
+export type CipherId = 'aes-256-gcm' | 'aes-128-gcm' | 'aes-256-cbc-hmac' | 'envelope-aes-256-gcm';
+export type CompressionFormat = 'none' | 'gzip' | 'deflate';
+export type KdfHash = 'SHA-256' | 'SHA-384' | 'SHA-512';
+
+/** One PBKDF2 derivation yields a key for every cipher plus the lookup and manifest HMAC keys */
+export interface KeySet {
+    gcm256: CryptoKey;
+    gcm128: CryptoKey;
+    cbc: CryptoKey;
+    hmac: CryptoKey;
+    wrap: CryptoKey;
+    lookup: CryptoKey;
+    manifest: CryptoKey;
+}
+
+/** Per-chunk state such as an envelope data key; opaque to callers */
+export type ChunkContext = object | null;
+
+export interface Cipher {
+    id: CipherId;
+    /** Byte written into container frames */
+    code: number;
+    label: string;
+    description: string;
+    ivOffset: number;
+    ivLength: number;
+    /** Fixed per-record cost on top of the plaintext */
+    overheadBytes: number;
+    createChunkContext?(keys: KeySet): Promise<ChunkContext>;
+    encrypt(keys: KeySet, plaintext: Uint8Array, context?: ChunkContext): Promise<Uint8Array>;
+    decrypt(keys: KeySet, payload: Uint8Array, context?: ChunkContext): Promise<Uint8Array>;
+}
+
+export const CIPHERS: Record<CipherId, Cipher>;
+export const DEFAULT_CIPHER: 'aes-256-gcm';
+export function cipherByCode(code: number): Cipher | null;
+export function deriveKeySet(password: string, salt: Uint8Array, options: { iterations: number; hash: KdfHash }): Promise<KeySet>;
+
+export type FieldAction = 'encrypt' | 'hash' | 'plain';
+/** Dot-separated path into the record; arrays along it apply to every element */
+export interface FieldRule {
+    path: string;
+    action: FieldAction;
+}
+
+export const FIELD_ACTIONS: Record<FieldAction, string>;
+export function hashFieldValue(keys: KeySet, value: unknown): Promise<string>;
+export function encryptFields<T>(
+    record: T,
+    schema: FieldRule[],
+    keys: KeySet,
+    cipher: Cipher,
+    context?: ChunkContext,
+    compression?: CompressionFormat
+): Promise<{ record: unknown; plainBytes: number; cipherBytes: number }>;
+export function decryptFields(
+    record: unknown,
+    keys: KeySet,
+    cipher: Cipher,
+    context?: ChunkContext,
+    compression?: CompressionFormat
+): Promise<{ record: unknown; decrypted: number }>;
+
+export const COMPRESSION_FORMATS: Record<CompressionFormat, string>;
+export function isCompressionSupported(): boolean;
+export function compressBytes(bytes: Uint8Array, format?: CompressionFormat): Uint8Array | Promise<Uint8Array>;
+export function decompressBytes(bytes: Uint8Array, format?: CompressionFormat): Uint8Array | Promise<Uint8Array>;
+
+export function bytesToBase64(bytes: Uint8Array | ArrayBuffer): string;
+export function base64ToBytes(base64: string): Uint8Array;
+
+export interface KeyParams {
+    version: 1;
+    kdf: 'PBKDF2';
+    hash: KdfHash;
+    iterations: number;
+    /** base64 */
+    salt: string;
+    algorithm: CipherId;
+}
+
+export const KDF_HASHES: KdfHash[];
+export const MIN_KDF_ITERATIONS: number;
+
+export class ZeroKnowledgeEncryption {
+    cipher: CipherId;
+    iterations: number;
+    hash: KdfHash;
+    readonly ivLength: number;
+
+    setCipher(cipherId: CipherId): void;
+    deriveKeys(password: string, salt: Uint8Array, options?: { iterations?: number; hash?: KdfHash }): Promise<KeySet>;
+    generateSalt(): Uint8Array;
+    createChunkContext(keys: KeySet, cipherId?: CipherId): Promise<ChunkContext>;
+    encrypt(data: unknown, keys: KeySet, options?: { cipher?: CipherId; context?: ChunkContext; compression?: CompressionFormat }): Promise<{
+        data: Uint8Array;
+        iv: number[];
+        algorithm: CipherId;
+        rawBytes: number;
+        compressedBytes: number;
+    }>;
+    /** Accepts the payload bytes or their base64 form */
+    decrypt<T = unknown>(
+        payload: string | Uint8Array | ArrayBuffer,
+        keys: KeySet,
+        options?: { algorithm?: CipherId; context?: ChunkContext; compression?: CompressionFormat }
+    ): Promise<T>;
+    encryptFields<T>(
+        record: T,
+        schema: FieldRule[],
+        keys: KeySet,
+        options?: { cipher?: CipherId; context?: ChunkContext; compression?: CompressionFormat }
+    ): Promise<{ record: unknown; plainBytes: number; cipherBytes: number }>;
+    decryptFields(
+        record: unknown,
+        keys: KeySet,
+        options?: { algorithm?: CipherId; context?: ChunkContext; compression?: CompressionFormat }
+    ): Promise<{ record: unknown; decrypted: number }>;
+    bufferToBase64(buffer: Uint8Array | ArrayBuffer): string;
+    base64ToBuffer(base64: string): Uint8Array;
+    exportKeyParams(salt: Uint8Array, options?: { iterations?: number; hash?: KdfHash }): KeyParams;
+    importKeyParams(params: KeyParams): { salt: Uint8Array; iterations: number; hash: KdfHash };
+}
+
+// ---- Records ---------------------------------------------------------------------------
+
+export interface RecordSizes {
+    /** Plaintext JSON bytes */
+    raw: number;
+    /** Bytes after compression (equal to raw without compression) */
+    compressed: number;
+    /** Stored bytes: the base64 payload or the field JSON */
+    encrypted: number;
+}
+
+export interface EncryptedRecord {
+    id: number;
+    originalSize: number;
+    timestamp: number;
+    processed: true;
+    algorithm: CipherId;
+    encryptionType: string;
+    compression: CompressionFormat;
+    sizes: RecordSizes;
+    /** base64 payload of a whole-record encryption */
+    encrypted?: string;
+    iv?: number[];
+    /** The record with its selected fields replaced by { $enc } or { $hmac } markers */
+    fields?: unknown;
+    fieldLevel?: true;
+}
+
+export interface RecordEncryptionOptions {
+    cipher?: CipherId;
+    context?: ChunkContext;
+    /** Encrypts only the listed fields instead of the whole record */
+    schema?: FieldRule[] | null;
+    compression?: CompressionFormat;
+}
+
+export function encryptRecord(
+    data: unknown,
+    index: number,
+    cryptoInstance: ZeroKnowledgeEncryption,
+    keys: KeySet,
+    options?: RecordEncryptionOptions
+): Promise<EncryptedRecord>;
+export function createEncryptionProcessor(
+    cryptoInstance: ZeroKnowledgeEncryption,
+    keys: KeySet,
+    options?: Omit<RecordEncryptionOptions, 'context'>
+): RecordProcessor<unknown, EncryptedRecord>;
+export function verifyRecord(
+    record: EncryptedRecord,
+    index: number,
+    cryptoInstance: ZeroKnowledgeEncryption,
+    keys: KeySet,
+    context?: object
+): Promise<{ id: number; verified: boolean; decrypted?: boolean; reason?: string }>;
+
+export class EncryptionWorkerPool implements ChunkProcessor<unknown, EncryptedRecord> {
+    constructor(size: number, cryptoInstance: ZeroKnowledgeEncryption, cipher?: CipherId);
+    size: number;
+    cipher: CipherId;
+    init(keys: KeySet, options?: { schema?: FieldRule[] | null; compression?: CompressionFormat }): Promise<void>;
+    processChunk(chunk: unknown[], indexOffset?: number): Promise<Array<EncryptedRecord | { id: number; error: EncryptionError }>>;
+    terminate(): void;
+}
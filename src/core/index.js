@@ -0,0 +1,39 @@
+// Public API of the headless core: memory management, chunked stream processing and
+// Web Crypto encryption with no UI framework attached. React bindings live in
+// useStreamEncryption.js so this entry point never pulls React in.
+export { EventEmitter } from './events.js';
+export {
+    ERROR_TYPES,
+    ERROR_SUGGESTIONS,
+    DemoError,
+    ValidationError,
+    EncryptionError,
+    MemoryPressureError,
+    BrowserSupportError,
+    StorageError,
+    CancelledError,
+    isTransientError,
+    createError,
+    getErrorDetails,
+    describeFailure
+} from './errors.js';
+export { DEFAULT_FAILURE_POLICY, delay, withRetry } from './retry.js';
+export {
+    DEFAULT_MEMORY_BUDGET,
+    DEFAULT_PRESSURE_POLICY,
+    PRESSURE_LEVELS,
+    MEMORY_BACKENDS,
+    estimateBytes,
+    pressureRank,
+    CONCURRENCY_BY_PRESSURE,
+    MemoryManager
+} from './memory.js';
+export { StreamProcessor, AdaptiveChunkSizer, iterateReadableStream } from './stream.js';
+export { DEFAULT_LEAK_CHECK, LeakProbe, runLeakCheck } from './leakCheck.js';
+export { KDF_HASHES, MIN_KDF_ITERATIONS, ZeroKnowledgeEncryption } from './encryption.js';
+export { CIPHERS, DEFAULT_CIPHER, cipherByCode, deriveKeySet } from './ciphers.js';
+export { FIELD_ACTIONS, hashFieldValue, encryptFields, decryptFields } from './fieldEncryption.js';
+export { COMPRESSION_FORMATS, isCompressionSupported, compressBytes, decompressBytes } from './compression.js';
+export { bytesToBase64, base64ToBytes } from './base64.js';
+export { encryptRecord, createEncryptionProcessor, verifyRecord } from './records.js';
+export { EncryptionWorkerPool } from './workerPool.js';
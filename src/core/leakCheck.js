@@ -0,0 +1,148 @@
+// Leak checks: repeats a process/clear cycle, samples memory after every clear and watches
+// what each cycle produced through WeakRef/FinalizationRegistry probes. Memory that keeps
+// growing across cycles, or probed objects that are never collected, fail the check.
+import { BrowserSupportError, ValidationError } from './errors.js';
+import { delay } from './retry.js';
+
+export const DEFAULT_LEAK_CHECK = {
+    cycles: 5,
+    // Time given to the garbage collector (and React) after each clear before sampling
+    settleMs: 1000,
+    // Retained growth per cycle above this fails the check
+    maxGrowthPerCycle: 1024 * 1024
+};
+
+// Tracks objects without keeping them alive. Counts come from the FinalizationRegistry;
+// alive() asks the WeakRefs, which can report collection before the callback has run.
+export class LeakProbe {
+    static isSupported() {
+        return typeof WeakRef === 'function' && typeof FinalizationRegistry === 'function';
+    }
+
+    constructor() {
+        this.probes = [];
+        this.finalized = 0;
+        this.registry = new FinalizationRegistry(() => {
+            this.finalized++;
+        });
+    }
+
+    track(target, label, cycle = null) {
+        this.probes.push({ ref: new WeakRef(target), label, cycle });
+        this.registry.register(target, label);
+    }
+
+    // Probes whose target still exists, optionally only those from the given cycles
+    alive(filter = () => true) {
+        return this.probes.filter(probe => filter(probe) && probe.ref.deref() !== undefined);
+    }
+}
+
+// Least-squares slope of the readings, i.e. bytes retained per cycle
+function growthPerCycle(samples) {
+    const n = samples.length;
+    if (n < 2) return 0;
+
+    const meanX = (n - 1) / 2;
+    const meanY = samples.reduce((sum, sample) => sum + sample.used, 0) / n;
+    let covariance = 0;
+    let variance = 0;
+    samples.forEach((sample, i) => {
+        covariance += (i - meanX) * (sample.used - meanY);
+        variance += (i - meanX) ** 2;
+    });
+    return covariance / variance;
+}
+
+// Resolves once pending work and (where exposed) a forced collection have had a chance to run
+async function settle(memoryManager, settleMs, signal) {
+    await delay(settleMs, signal);
+    // Only present when the browser was started with --js-flags=--expose-gc
+    if (typeof globalThis.gc === 'function') {
+        globalThis.gc();
+    }
+    await memoryManager.refresh();
+    return memoryManager.checkMemoryUsage();
+}
+
+// runCycle({ cycle, track }) does one round of work and registers what it produced with
+// track(target, label); clear() then drops it. onSample receives each reading as it is taken.
+// Only objects from cycles before the last are judged: later cycles give the collector time to
+// reach them, while the last cycle's may legitimately be waiting on a collection.
+export async function runLeakCheck({
+    memoryManager,
+    runCycle,
+    clear,
+    cycles = DEFAULT_LEAK_CHECK.cycles,
+    settleMs = DEFAULT_LEAK_CHECK.settleMs,
+    maxGrowthPerCycle = DEFAULT_LEAK_CHECK.maxGrowthPerCycle,
+    signal = null,
+    onSample = null
+}) {
+    if (!LeakProbe.isSupported()) {
+        throw new BrowserSupportError('Leak checks need WeakRef and FinalizationRegistry');
+    }
+    if (!Number.isInteger(cycles) || cycles < 2) {
+        throw new ValidationError('A leak check needs at least two cycles');
+    }
+
+    const probe = new LeakProbe();
+    const baseline = await settle(memoryManager, settleMs, signal);
+    if (!baseline) {
+        throw new BrowserSupportError('The memory backend has no reading yet', {
+            suggestion: 'Wait for the first memory sample or pick another memory backend.'
+        });
+    }
+
+    const samples = [];
+    for (let cycle = 1; cycle <= cycles; cycle++) {
+        signal?.throwIfAborted();
+        await runCycle({ cycle, track: (target, label) => probe.track(target, label, cycle) });
+        await clear();
+
+        const usage = await settle(memoryManager, settleMs, signal);
+        const previous = samples.length > 0 ? samples[samples.length - 1].used : baseline.used;
+        // An asynchronous backend may not have a fresh reading; the last one stands in
+        const used = usage ? usage.used : previous;
+        const sample = {
+            cycle,
+            used,
+            retained: used - baseline.used,
+            growth: used - previous,
+            alive: probe.alive(entry => entry.cycle <= cycle).length
+        };
+        samples.push(sample);
+        onSample?.(sample);
+    }
+
+    const growth = growthPerCycle(samples);
+    const leaked = probe.alive(entry => entry.cycle < cycles);
+    const gcExposed = typeof globalThis.gc === 'function';
+    // Without gc() nothing forces a collection, so surviving probes only count once one has run
+    const collectorRan = gcExposed || probe.alive().length < probe.probes.length;
+    const reasons = [];
+    const notes = [];
+    if (growth > maxGrowthPerCycle) {
+        reasons.push(`memory grew by ${Math.round(growth / 1024)}KB per cycle`);
+    }
+    if (leaked.length > 0 && collectorRan) {
+        reasons.push(`${leaked.length} objects from earlier cycles were never collected`);
+    } else if (leaked.length > 0) {
+        notes.push('No garbage collection ran during the check, so object probes were not judged');
+    }
+
+    return {
+        verdict: reasons.length === 0 ? 'pass' : 'fail',
+        reasons,
+        notes,
+        baseline: baseline.used,
+        samples,
+        growthPerCycle: growth,
+        maxGrowthPerCycle,
+        tracked: probe.probes.length,
+        finalized: probe.finalized,
+        leaked: leaked.map(({ label, cycle }) => ({ label, cycle })),
+        backend: memoryManager.backend.name,
+        gcExposed
+    };
+}
@@ -0,0 +1,449 @@
+// Memory measurement, accounting and the pressure policy that runs slow down, pause or
+// abort under. Backends are swappable; the estimate backend works in any browser.
+import { EventEmitter } from './events.js';
+import { BrowserSupportError, MemoryPressureError, ValidationError, describeFailure } from './errors.js';
+import { DEFAULT_FAILURE_POLICY, delay, withRetry } from './retry.js';
+
+// Used as the limit when a backend cannot report the real heap limit
+export const DEFAULT_MEMORY_BUDGET = 1024 * 1024 * 1024;
+
+// Rough in-memory size of a value: UTF-16 strings, 8-byte numbers and slots
+export function estimateBytes(value) {
+    if (typeof value === 'string') return value.length * 2;
+    if (typeof value === 'number') return 8;
+    if (typeof value === 'boolean') return 4;
+    if (value === null || value === undefined) return 0;
+    if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return value.byteLength;
+
+    let bytes = 0;
+    if (Array.isArray(value)) {
+        for (const item of value) {
+            bytes += 8 + estimateBytes(item);
+        }
+        return bytes;
+    }
+    for (const key in value) {
+        bytes += key.length * 2 + 8 + estimateBytes(value[key]);
+    }
+    return bytes;
+}
+
+// Whole-page measurement including workers; needs cross-origin isolation
+class UserAgentMemoryBackend {
+    static isAvailable() {
+        return typeof performance.measureUserAgentSpecificMemory === 'function' && globalThis.crossOriginIsolated === true;
+    }
+
+    constructor(budget) {
+        this.name = 'ua-specific';
+        this.label = 'measureUserAgentSpecificMemory()';
+        this.precision = 'Whole page including workers; refreshes every few seconds';
+        this.budget = budget;
+        this.latest = null;
+        this.pending = null;
+    }
+
+    // Measurements are slow, so only one runs at a time and read() returns the last result
+    refresh() {
+        if (!this.pending) {
+            this.pending = performance.measureUserAgentSpecificMemory()
+                .then(result => {
+                    this.latest = result.bytes;
+                })
+                .catch(error => console.warn('Memory measurement failed:', error))
+                .finally(() => {
+                    this.pending = null;
+                });
+        }
+        return this.pending;
+    }
+
+    read() {
+        if (this.latest === null) return null;
+        const limit = performance.memory ? performance.memory.jsHeapSizeLimit : this.budget;
+        return { used: this.latest, limit, limitIsBudget: !performance.memory };
+    }
+}
+
+class PerformanceMemoryBackend {
+    static isAvailable() {
+        return Boolean(performance.memory);
+    }
+
+    constructor() {
+        this.name = 'performance-memory';
+        this.label = 'performance.memory';
+        this.precision = 'Main-thread JS heap only; coarse, Chromium only';
+    }
+
+    read() {
+        return {
+            used: performance.memory.usedJSHeapSize,
+            limit: performance.memory.jsHeapSizeLimit,
+            limitIsBudget: false
+        };
+    }
+}
+
+// Works everywhere by adding up what the processors report holding
+class EstimatedMemoryBackend {
+    static isAvailable() {
+        return true;
+    }
+
+    constructor(budget, ledger) {
+        this.name = 'estimate';
+        this.label = 'Processor estimate';
+        this.precision = 'Approximate bytes held by the processor only (chunks and results)';
+        this.budget = budget;
+        this.ledger = ledger;
+    }
+
+    read() {
+        let used = 0;
+        for (const bytes of this.ledger.values()) {
+            used += bytes;
+        }
+        return { used, limit: this.budget, limitIsBudget: true };
+    }
+}
+
+// In order of preference for 'auto'
+export const MEMORY_BACKENDS = {
+    'ua-specific': UserAgentMemoryBackend,
+    'performance-memory': PerformanceMemoryBackend,
+    estimate: EstimatedMemoryBackend
+};
+
+// Percentages of the memory limit at which each pressure level engages. A level is only
+// left once usage falls `hysteresis` points below its threshold, so a reading that hovers
+// around a boundary doesn't flap between levels.
+export const DEFAULT_PRESSURE_POLICY = {
+    warn: 60,
+    throttle: 70,
+    pause: 80,
+    abort: 95,
+    hysteresis: 5,
+    throttleDelayMs: 100
+};
+
+// Ordered from least to most severe
+export const PRESSURE_LEVELS = ['normal', 'warn', 'throttle', 'pause', 'abort'];
+const PRESSURE_POLL_MS = 250;
+
+export function pressureRank(level) {
+    return PRESSURE_LEVELS.indexOf(level);
+}
+
+// Share of the concurrency limit allowed at each pressure level; in-flight records each hold
+// their plaintext and ciphertext, so fewer of them means less memory held at once
+export const CONCURRENCY_BY_PRESSURE = {
+    normal: 1,
+    warn: 0.5,
+    throttle: 0.25,
+    pause: 0,
+    abort: 0
+};
+
+// Events: 'usage' { usage, timestamp } for every monitoring sample, 'pressure' { level,
+// previous, percentage, timestamp } when the pressure level changes and 'cleanup' { reason,
+// released, totalBytes, timestamp } after cleanup handlers run
+export class MemoryManager extends EventEmitter {
+    constructor({ backend = 'auto', budget = DEFAULT_MEMORY_BUDGET, policy = {} } = {}) {
+        super();
+        this.memoryThreshold = 50 * 1024 * 1024; // 50MB threshold
+        this.cleanupHandlers = new Map();
+        this.isMonitoring = false;
+        this.monitorTimer = null;
+        this.budget = budget;
+        this.ledger = new Map();
+        this.pressureLevel = 'normal';
+        this.setPolicy(policy);
+        this.setBackend(backend);
+    }
+
+    // Listens to every event type; same as on('*', listener)
+    subscribe(listener) {
+        return this.on('*', listener);
+    }
+
+    // Samples usage every intervalMs until stopMonitoring(); calling it again changes the interval
+    startMonitoring(intervalMs = 1000) {
+        this.stopMonitoring();
+        this.isMonitoring = true;
+        this.monitorTimer = setInterval(() => this.sample(), intervalMs);
+    }
+
+    stopMonitoring() {
+        clearInterval(this.monitorTimer);
+        this.monitorTimer = null;
+        this.isMonitoring = false;
+    }
+
+    // One monitoring tick: emits the reading and keeps the pressure level current between
+    // runs (runs also check it at every item and chunk)
+    sample() {
+        // Asynchronous backends report their result on a later tick
+        this.refresh();
+        const usage = this.checkMemoryUsage();
+        if (usage) {
+            this.emit('usage', { usage, timestamp: Date.now() });
+            this.checkPressure();
+        }
+        return usage;
+    }
+
+    static availableBackends() {
+        return Object.keys(MEMORY_BACKENDS).filter(name => MEMORY_BACKENDS[name].isAvailable());
+    }
+
+    // Accepts a backend name, 'auto', or any object with a read() method
+    setBackend(backend) {
+        if (typeof backend === 'object') {
+            this.backend = backend;
+            return;
+        }
+
+        const name = backend === 'auto' ? MemoryManager.availableBackends()[0] : backend;
+        const Backend = MEMORY_BACKENDS[name];
+        if (!Backend || !Backend.isAvailable()) {
+            throw new BrowserSupportError(`Memory backend not available: ${backend}`);
+        }
+        this.backend = new Backend(this.budget, this.ledger);
+    }
+
+    // Lets asynchronous backends take a fresh measurement; checkMemoryUsage stays synchronous
+    refresh() {
+        return this.backend.refresh ? this.backend.refresh() : Promise.resolve();
+    }
+
+    // Records how many bytes a holder currently keeps; 0 removes it
+    account(holder, bytes) {
+        if (bytes > 0) {
+            this.ledger.set(holder, bytes);
+        } else {
+            this.ledger.delete(holder);
+        }
+    }
+
+    // Forgets everything recorded with account(), e.g. once all results are dropped
+    resetAccounting() {
+        this.ledger.clear();
+    }
+
+    checkMemoryUsage() {
+        const reading = this.backend.read();
+        if (!reading) return null;
+
+        const { used, limit, limitIsBudget } = reading;
+        return {
+            used,
+            limit,
+            percentage: (used / limit) * 100,
+            usedMB: Math.round(used / 1024 / 1024),
+            limitMB: Math.round(limit / 1024 / 1024),
+            limitIsBudget,
+            backend: this.backend.name
+        };
+    }
+
+    // Merges over the current policy; thresholds must rise from warn to abort
+    setPolicy(policy) {
+        const merged = { ...DEFAULT_PRESSURE_POLICY, ...this.policy, ...policy };
+        const thresholds = PRESSURE_LEVELS.slice(1).map(level => merged[level]);
+
+        if (thresholds.some(value => !Number.isFinite(value) || value <= 0)
+            || thresholds.some((value, i) => i > 0 && value <= thresholds[i - 1])) {
+            throw new ValidationError('Pressure thresholds must increase from warn to abort');
+        }
+        if (!(merged.hysteresis >= 0) || !(merged.throttleDelayMs >= 0)) {
+            throw new ValidationError('Hysteresis and throttle delay cannot be negative');
+        }
+
+        this.policy = merged;
+    }
+
+    levelFor(percentage) {
+        const { hysteresis } = this.policy;
+        const currentRank = pressureRank(this.pressureLevel);
+        let level = 'normal';
+
+        PRESSURE_LEVELS.slice(1).forEach((name, i) => {
+            const threshold = this.policy[name];
+            // Levels at or below the current one are held until usage clears the hysteresis band
+            const reached = i + 1 <= currentRank ? threshold - hysteresis : threshold;
+            if (percentage >= reached) {
+                level = name;
+            }
+        });
+
+        return level;
+    }
+
+    // Re-evaluates the pressure level; rising into throttle or above runs the cleanup handlers
+    async checkPressure() {
+        const usage = this.checkMemoryUsage();
+        if (!usage) return this.pressureLevel;
+
+        const previous = this.pressureLevel;
+        const level = this.levelFor(usage.percentage);
+        if (level === previous) return level;
+
+        this.pressureLevel = level;
+        this.emit('pressure', { level, previous, percentage: usage.percentage, timestamp: Date.now() });
+
+        if (pressureRank(level) > pressureRank(previous) && pressureRank(level) >= pressureRank('throttle')) {
+            await this.forceCleanup(level);
+        }
+        return level;
+    }
+
+    // Applies the policy between units of work: throttle delays, pause waits for the level
+    // to drop (only where allowPause is set, i.e. at chunk boundaries) and abort throws
+    async applyPressurePolicy({ signal = null, allowPause = true } = {}) {
+        let level = await this.checkPressure();
+
+        while (level === 'pause' && allowPause) {
+            await delay(PRESSURE_POLL_MS, signal);
+            await this.refresh();
+            level = await this.checkPressure();
+        }
+
+        if (level === 'abort') {
+            throw new MemoryPressureError(`Memory usage passed the abort threshold of ${this.policy.abort}%`);
+        }
+        if (level === 'throttle' || level === 'pause') {
+            await delay(this.policy.throttleDelayMs, signal);
+        }
+        return level;
+    }
+
+    // Handlers run from the lowest level they are registered for and return the bytes they
+    // released (0 if unknown); returns an unregister function
+    registerCleanup(name, handler, { level = 'throttle' } = {}) {
+        this.cleanupHandlers.set(name, { handler, level });
+        return () => this.cleanupHandlers.delete(name);
+    }
+
+    async forceCleanup(reason = 'manual') {
+        const released = [];
+
+        for (const [name, { handler, level }] of this.cleanupHandlers) {
+            // A manual cleanup runs every handler
+            if (reason !== 'manual' && pressureRank(reason) < pressureRank(level)) continue;
+
+            try {
+                released.push({ name, bytes: (await handler()) || 0 });
+            } catch (error) {
+                console.warn(`Cleanup handler ${name} failed:`, error);
+                released.push({ name, bytes: 0, error: error.message });
+            }
+        }
+
+        // Only present when the browser was started with --js-flags=--expose-gc
+        if (typeof globalThis.gc === 'function') {
+            globalThis.gc();
+        }
+
+        this.emit('cleanup', {
+            reason,
+            released,
+            totalBytes: released.reduce((sum, entry) => sum + entry.bytes, 0),
+            timestamp: Date.now()
+        });
+        return released;
+    }
+
+    // The concurrency limit scaled down for the current pressure level, never below one
+    concurrencyFor(limit) {
+        return Math.max(1, Math.floor(limit * CONCURRENCY_BY_PRESSURE[this.pressureLevel]));
+    }
+
+    // Runs up to `concurrency` records at once (fewer under pressure, see concurrencyFor) and
+    // returns results in input order, without the records that failed. onConcurrency receives
+    // { limit, effective, level } whenever the effective limit changes, starting with the first.
+    async processWithMemoryCheck(items, processor, onProgress, indexOffset = 0, signal = null, failurePolicy = DEFAULT_FAILURE_POLICY, { concurrency = 1, onConcurrency = null } = {}) {
+        const { mode, retries, backoffMs, onFailure } = { ...DEFAULT_FAILURE_POLICY, ...failurePolicy };
+        const results = new Array(items.length);
+        const failed = new Set();
+        const inFlight = new Set();
+        let next = 0;
+        let completed = 0;
+        let effective = null;
+        // The first abort or fail-fast error; in-flight records finish before it is thrown
+        let fatal = null;
+
+        const run = async (i) => {
+            let attempts = 0;
+            try {
+                results[i] = await withRetry(() => {
+                    attempts++;
+                    return processor(items[i], indexOffset + i);
+                }, { retries, backoffMs, signal });
+            } catch (error) {
+                failed.add(i);
+                if (error?.name === 'AbortError') {
+                    fatal ??= error;
+                    return;
+                }
+
+                // Every dropped record is reported so the run can account for it
+                if (onFailure) {
+                    onFailure(describeFailure(error, indexOffset + i, attempts));
+                }
+                if (mode === 'fail-fast') {
+                    fatal ??= error;
+                }
+                return;
+            }
+
+            completed++;
+            if (onProgress && completed % 100 === 1) {
+                onProgress({
+                    processed: completed,
+                    total: items.length,
+                    percentage: (completed / items.length) * 100
+                });
+            }
+        };
+
+        while (next < items.length && !fatal) {
+            try {
+                signal?.throwIfAborted();
+                // Pausing mid-chunk would hold the chunk in memory, so items only throttle or abort
+                await this.applyPressurePolicy({ signal, allowPause: false });
+            } catch (error) {
+                fatal ??= error;
+                break;
+            }
+
+            const limit = this.concurrencyFor(concurrency);
+            if (limit !== effective) {
+                effective = limit;
+                if (onConcurrency) {
+                    onConcurrency({ limit: concurrency, effective, level: this.pressureLevel });
+                }
+            }
+
+            // Records never reject, so a race only waits for the next free slot
+            while (inFlight.size >= effective) {
+                await Promise.race(inFlight);
+            }
+            if (fatal) break;
+
+            const i = next++;
+            const task = run(i).finally(() => inFlight.delete(task));
+            inFlight.add(task);
+
+            if (i % 50 === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        await Promise.all(inFlight);
+        if (fatal) {
+            throw fatal;
+        }
+        return failed.size > 0 ? results.filter((result, i) => !failed.has(i)) : results;
+    }
+}
@@ -0,0 +1,136 @@
+// Record-level encryption shared by the main thread and the encryption workers. With a field
+// schema the record keeps its structure and only selected fields are replaced. sizes holds the
+// plaintext bytes, the bytes after compression and the bytes of the stored output (base64 or
+// field JSON).
+import { CIPHERS } from './ciphers.js';
+import { encryptFields } from './fieldEncryption.js';
+import { compressBytes } from './compression.js';
+import { bytesToBase64 } from './base64.js';
+import { DemoError, EncryptionError } from './errors.js';
+
+const encoder = new TextEncoder();
+
+// Uses only the cipher registry, so workers can run it. Whole records come back with their
+// payload as bytes (sizes.encrypted is added by toStoredRecord once it is base64-encoded);
+// field-level records come back with their fields.
+export async function sealRecord(data, index, { keys, cipher, context = null, schema = null, compression = 'none' }) {
+    const originalSize = JSON.stringify(data).length;
+
+    if (schema) {
+        const { record: fields, plainBytes, cipherBytes } = await encryptFields(data, schema, keys, cipher, context, compression);
+        const rawBytes = encoder.encode(JSON.stringify(data)).length;
+        return {
+            id: index,
+            originalSize,
+            fields,
+            timestamp: Date.now(),
+            sizes: {
+                raw: rawBytes,
+                compressed: rawBytes - plainBytes + cipherBytes,
+                encrypted: encoder.encode(JSON.stringify(fields)).length
+            }
+        };
+    }
+
+    const raw = encoder.encode(JSON.stringify({
+        id: index,
+        originalData: data,
+        timestamp: Date.now(),
+        type: 'sensitive_data'
+    }));
+    const plaintext = await compressBytes(raw, compression);
+    const payload = await cipher.encrypt(keys, plaintext, context);
+
+    return {
+        id: index,
+        originalSize,
+        payload,
+        timestamp: Date.now(),
+        sizes: { raw: raw.length, compressed: plaintext.length }
+    };
+}
+
+// The form results are kept, stored and exported in: every record names its cipher
+export function toStoredRecord(sealed, cipher, compression) {
+    const record = {
+        id: sealed.id,
+        originalSize: sealed.originalSize,
+        timestamp: sealed.timestamp,
+        processed: true,
+        algorithm: cipher.id,
+        encryptionType: cipher.label,
+        compression
+    };
+
+    if (sealed.fields) {
+        return { ...record, fields: sealed.fields, fieldLevel: true, sizes: sealed.sizes };
+    }
+
+    const encrypted = bytesToBase64(sealed.payload);
+    return {
+        ...record,
+        encrypted,
+        iv: Array.from(sealed.payload.subarray(cipher.ivOffset, cipher.ivOffset + cipher.ivLength)),
+        sizes: { ...sealed.sizes, encrypted: encrypted.length }
+    };
+}
+
+// Encrypts one record on the calling thread with the instance's cipher unless another is given
+export async function encryptRecord(data, index, cryptoInstance, keys, { cipher, context = null, schema = null, compression = 'none' } = {}) {
+    const entry = CIPHERS[cipher || cryptoInstance.cipher];
+    try {
+        const sealed = await sealRecord(data, index, { keys, cipher: entry, context, schema, compression });
+        return toStoredRecord(sealed, entry, compression);
+    } catch (error) {
+        if (error instanceof DemoError) {
+            throw error;
+        }
+        throw new EncryptionError(`Encryption failed for record ${index}`, { cause: error });
+    }
+}
+
+// Main-thread record processor; startChunk gives envelope ciphers a fresh data key per chunk
+export function createEncryptionProcessor(cryptoInstance, keys, { cipher = cryptoInstance.cipher, schema = null, compression = 'none' } = {}) {
+    let context = null;
+    const processor = (data, index) => encryptRecord(data, index, cryptoInstance, keys, { cipher, context, schema, compression });
+    processor.startChunk = async () => {
+        context = await cryptoInstance.createChunkContext(keys, cipher);
+    };
+    return processor;
+}
+
+// Decrypts an encrypted record and checks it round-trips to the same id; every record has
+// to name its cipher
+export async function verifyRecord(record, index, cryptoInstance, keys, context = {}) {
+    try {
+        if (!CIPHERS[record.algorithm]) {
+            throw new EncryptionError(`Record names no known cipher: ${record.algorithm}`);
+        }
+
+        // Field-level records carry no wrapped id, so nothing ties their fields to this record:
+        // every encrypted field has to decrypt, but the record only counts as decrypted
+        if (record.fieldLevel) {
+            await cryptoInstance.decryptFields(record.fields, keys, {
+                algorithm: record.algorithm,
+                context,
+                compression: record.compression
+            });
+            return { id: record.id, verified: false, decrypted: true };
+        }
+
+        const decrypted = await cryptoInstance.decrypt(record.encrypted, keys, {
+            algorithm: record.algorithm,
+            context,
+            compression: record.compression
+        });
+
+        if (decrypted.id !== record.id) {
+            throw new EncryptionError(`Record id mismatch: expected ${record.id}, got ${decrypted.id}`);
+        }
+
+        return { id: record.id, verified: true };
+    } catch (error) {
+        // Report the failure instead of throwing so the record is not silently dropped
+        return { id: record.id ?? index, verified: false, reason: error.message || 'Decryption failed' };
+    }
+}
@@ -0,0 +1,45 @@
+// Backoff and retry helpers shared by the memory manager and the stream processor.
+import { isTransientError } from './errors.js';
+
+// Resolves after ms, or rejects with the abort reason if the signal fires first
+export function delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// How a run treats records that still fail after their retries: 'skip' reports them and
+// carries on, 'fail-fast' stops the run at the first one
+export const DEFAULT_FAILURE_POLICY = {
+    mode: 'skip',
+    retries: 0,
+    backoffMs: 100,
+    onFailure: null
+};
+
+// Retries transient failures with exponential backoff; anything else fails on the first attempt
+export async function withRetry(task, { retries = 0, backoffMs = 100, signal = null } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await task(attempt);
+        } catch (error) {
+            if (attempt > retries || !isTransientError(error)) {
+                throw error;
+            }
+            await delay(backoffMs * 2 ** (attempt - 1), signal);
+        }
+    }
+}
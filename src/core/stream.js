@@ -0,0 +1,393 @@
+// Chunked processing of arrays, iterables and ReadableStreams under the memory manager's
+// pressure policy, with pause/resume, retries and adaptive chunk sizes.
+import { EventEmitter } from './events.js';
+import { describeFailure } from './errors.js';
+import { MemoryManager, estimateBytes } from './memory.js';
+import { DEFAULT_FAILURE_POLICY, withRetry } from './retry.js';
+
+// Not every browser makes ReadableStream async-iterable yet, so read it by hand.
+// Stopping early cancels the stream so its source can release resources.
+export async function* iterateReadableStream(stream) {
+    const reader = stream.getReader();
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) return;
+            yield value;
+        }
+    } finally {
+        await reader.cancel();
+    }
+}
+
+let nextStreamProcessorId = 0;
+
+// Events: 'chunk' { results, chunkIndex, totalChunks, nextIndex } for every finished chunk,
+// 'progress' { processed, total, percentage, currentChunk, totalChunks } after it,
+// 'resize' { size, previousSize, reason, chunkIndex, latencyMs } on adaptive runs,
+// 'failure' { failure } for each failed record (or worker chunk), 'concurrency' { limit,
+// effective, level, chunkIndex } when pressure changes how many records run at once,
+// and 'pause' / 'resume' { cursor }
+export class StreamProcessor extends EventEmitter {
+    constructor(chunkSize = 500, memoryManager = new MemoryManager()) {
+        super();
+        this.chunkSize = chunkSize;
+        this.memoryManager = memoryManager;
+        this.ledgerKey = `stream-${nextStreamProcessorId++}`;
+        this.pauseGate = null;
+        this.cursor = { nextIndex: 0, completedChunks: 0, totalChunks: 0 };
+    }
+
+    get isPaused() {
+        return this.pauseGate !== null;
+    }
+
+    // Takes effect at the next chunk boundary; the cursor is kept so the run resumes in place
+    pause() {
+        if (!this.pauseGate) {
+            let release;
+            const promise = new Promise(resolve => { release = resolve; });
+            this.pauseGate = { promise, release };
+            this.emit('pause', { cursor: this.cursor });
+        }
+    }
+
+    resume() {
+        if (this.pauseGate) {
+            this.pauseGate.release();
+            this.pauseGate = null;
+            this.emit('resume', { cursor: this.cursor });
+        }
+    }
+
+    async waitWhilePaused(signal) {
+        while (this.pauseGate) {
+            // An abort that came first would never fire the listener
+            signal?.throwIfAborted();
+            const gate = this.pauseGate;
+            let onAbort;
+            try {
+                await new Promise((resolve, reject) => {
+                    onAbort = () => reject(signal.reason);
+                    signal?.addEventListener('abort', onAbort, { once: true });
+                    gate.promise.then(resolve);
+                });
+            } finally {
+                signal?.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    // Yields arrays of up to chunkSize items from an array, an (async) iterable or a ReadableStream
+    async *chunks(data) {
+        if (Array.isArray(data)) {
+            // chunkSize is read per chunk because adaptive runs resize it between chunks
+            let i = 0;
+            while (i < data.length) {
+                const chunk = data.slice(i, i + this.chunkSize);
+                i += chunk.length;
+                yield chunk;
+            }
+            return;
+        }
+
+        const items = typeof data.getReader === 'function' ? iterateReadableStream(data) : data;
+        let chunk = [];
+        for await (const item of items) {
+            chunk.push(item);
+            if (chunk.length >= this.chunkSize) {
+                yield chunk;
+                chunk = [];
+            }
+        }
+        if (chunk.length > 0) {
+            yield chunk;
+        }
+    }
+
+    // Core pipeline. Chunks are pulled from the source only when the consumer asks
+    // for the next one, so a slow consumer holds back reading and encryption.
+    // startIndex continues record ids from an earlier, interrupted run; failurePolicy
+    // decides whether failed records are skipped or stop the run. concurrency is how many
+    // records of a chunk are in flight at once; results keep their input order either way.
+    async *processChunks(data, processor, {
+        signal = null,
+        onProgress = null,
+        chunkSizer = null,
+        onResize = null,
+        startIndex = 0,
+        failurePolicy = DEFAULT_FAILURE_POLICY,
+        concurrency = 1,
+        onConcurrency = null
+    } = {}) {
+        const { mode, retries, backoffMs } = { ...DEFAULT_FAILURE_POLICY, ...failurePolicy };
+        // Arrays and sized iterables (e.g. a synthetic dataset) report a length; other
+        // iterable sources have no known length until they are exhausted
+        const length = Array.isArray(data) || Number.isInteger(data.length) ? data.length : null;
+        const total = length !== null ? startIndex + length : null;
+        let totalChunks = length !== null ? Math.ceil(length / this.chunkSize) : null;
+        const initialChunkSize = this.chunkSize;
+        const chunks = this.chunks(data);
+        let processed = startIndex;
+        let chunkIndex = 0;
+        let effectiveConcurrency = null;
+        this.cursor = { nextIndex: startIndex, completedChunks: 0, totalChunks };
+
+        try {
+            while (true) {
+                // Pausing before each pull also stops the source from being read ahead
+                await this.waitWhilePaused(signal);
+                signal?.throwIfAborted();
+
+                const { value: chunk, done } = await chunks.next();
+                if (done) break;
+
+                this.memoryManager.account(`${this.ledgerKey}:chunk`, estimateBytes(chunk));
+                const chunkStart = performance.now();
+
+                // Processors with a startChunk method set up per-chunk state (e.g. an envelope data key)
+                if (typeof processor.startChunk === 'function') {
+                    await processor.startChunk(chunkIndex);
+                }
+
+                const currentChunk = chunkIndex;
+                const reportFailure = (failure) => {
+                    const report = { ...failure, chunkIndex: currentChunk };
+                    this.emit('failure', { failure: report });
+                    if (failurePolicy.onFailure) {
+                        failurePolicy.onFailure(report);
+                    }
+                };
+
+                // Each chunk starts from scratch, so only changes across the run are reported
+                const reportConcurrency = (change) => {
+                    if (change.effective === effectiveConcurrency) return;
+                    effectiveConcurrency = change.effective;
+                    const event = { ...change, chunkIndex: currentChunk };
+                    this.emit('concurrency', event);
+                    if (onConcurrency) {
+                        onConcurrency(event);
+                    }
+                };
+
+                // Processors with a processChunk method (e.g. a worker pool) take the whole chunk
+                const chunkResults = typeof processor.processChunk === 'function'
+                    ? await this.processWholeChunk(chunk, processor, processed, { mode, retries, backoffMs, signal, reportFailure })
+                    : await this.memoryManager.processWithMemoryCheck(
+                        chunk,
+                        processor,
+                        onProgress,
+                        processed,
+                        signal,
+                        { mode, retries, backoffMs, onFailure: reportFailure },
+                        { concurrency, onConcurrency: reportConcurrency }
+                    );
+
+                const latencyMs = performance.now() - chunkStart;
+                processed += chunk.length;
+
+                // Clear chunk data explicitly
+                chunk.length = 0;
+                this.memoryManager.account(`${this.ledgerKey}:chunk`, 0);
+
+                const chunkEvent = { results: chunkResults, chunkIndex, totalChunks, nextIndex: processed };
+                // The chunk counts as done once it is handed out, so a pause, cancel or pressure
+                // abort after this point still leaves the cursor past it
+                this.cursor = { nextIndex: processed, completedChunks: chunkIndex + 1, totalChunks };
+                this.emit('chunk', chunkEvent);
+                yield chunkEvent;
+
+                const memInfo = this.memoryManager.checkMemoryUsage();
+                await this.memoryManager.applyPressurePolicy({ signal });
+
+                if (chunkSizer) {
+                    const previousSize = this.chunkSize;
+                    const decision = chunkSizer.next(previousSize, {
+                        heapPercentage: memInfo ? memInfo.percentage : null,
+                        latencyMs
+                    });
+                    this.chunkSize = decision.size;
+
+                    if (total !== null) {
+                        totalChunks = chunkIndex + 1 + Math.ceil((total - processed) / this.chunkSize);
+                        this.cursor = { ...this.cursor, totalChunks };
+                    }
+                    const resize = { ...decision, previousSize, chunkIndex, latencyMs };
+                    this.emit('resize', resize);
+                    if (onResize) {
+                        onResize(resize);
+                    }
+                }
+
+                // Progress for overall stream
+                const streamProgress = {
+                    processed,
+                    total,
+                    percentage: total ? (processed / total) * 100 : null,
+                    currentChunk: chunkIndex + 1,
+                    totalChunks
+                };
+                this.emit('progress', streamProgress);
+                if (onProgress) {
+                    onProgress(streamProgress);
+                }
+
+                chunkIndex++;
+            }
+        } finally {
+            this.resume();
+            this.memoryManager.account(`${this.ledgerKey}:chunk`, 0);
+            // Adaptive sizes only apply to the run that found them
+            this.chunkSize = initialChunkSize;
+            // Closes the underlying source (e.g. a file reader) if the run stopped early
+            await chunks.return();
+        }
+    }
+
+    // Retries cover the whole chunk (e.g. a crashed worker); records that failed inside it
+    // come back with an error and are reported one by one
+    async processWholeChunk(chunk, processor, indexOffset, { mode, retries, backoffMs, signal, reportFailure }) {
+        let attempts = 0;
+        let outcomes;
+        try {
+            outcomes = await withRetry(() => {
+                attempts++;
+                return processor.processChunk(chunk, indexOffset);
+            }, { retries, backoffMs, signal });
+        } catch (error) {
+            if (error?.name === 'AbortError' || mode === 'fail-fast') {
+                throw error;
+            }
+            reportFailure({ ...describeFailure(error, indexOffset, attempts), count: chunk.length });
+            return [];
+        }
+
+        const results = [];
+        for (const outcome of outcomes) {
+            if (!outcome.error) {
+                results.push(outcome);
+                continue;
+            }
+
+            reportFailure(describeFailure(outcome.error, outcome.id, attempts));
+            if (mode === 'fail-fast') {
+                throw outcome.error;
+            }
+        }
+        return results;
+    }
+
+    // Yields processed records one at a time
+    async *records(data, processor, options = {}) {
+        for await (const { results } of this.processChunks(data, processor, options)) {
+            yield* results;
+        }
+    }
+
+    // Exposes processed records as a ReadableStream that buffers at most one chunk ahead
+    toReadableStream(data, processor, options = {}) {
+        const iterator = this.processChunks(data, processor, options);
+
+        return new ReadableStream({
+            async pull(controller) {
+                const { value, done } = await iterator.next();
+                if (done) {
+                    controller.close();
+                    return;
+                }
+                for (const record of value.results) {
+                    controller.enqueue(record);
+                }
+            },
+            async cancel() {
+                await iterator.return();
+            }
+        }, { highWaterMark: this.chunkSize });
+    }
+
+    // Array/callback adapter over processChunks. With collectResults: false each chunk
+    // is only handed to onChunk (e.g. to persist it) and the returned array stays empty.
+    async processStream(data, processor, onChunk, onProgress, { collectResults = true, ...options } = {}) {
+        const results = [];
+        let resultBytes = 0;
+        this.releaseResults();
+
+        try {
+            for await (const chunk of this.processChunks(data, processor, { ...options, onProgress })) {
+                if (onChunk) {
+                    await onChunk(chunk.results, chunk.chunkIndex, chunk.totalChunks, chunk.nextIndex);
+                }
+
+                if (collectResults) {
+                    resultBytes += estimateBytes(chunk.results);
+                    this.memoryManager.account(`${this.ledgerKey}:results`, resultBytes);
+                    results.push(...chunk.results);
+                }
+            }
+        } catch (error) {
+            // Release partial results; the cursor still records how far the run got
+            results.length = 0;
+            this.releaseResults();
+            throw error;
+        }
+
+        return results;
+    }
+
+    // Call once the caller no longer holds the array processStream returned
+    releaseResults() {
+        this.memoryManager.account(`${this.ledgerKey}:results`, 0);
+    }
+}
+
+// Picks the next chunk size from the last chunk's heap usage or latency
+export class AdaptiveChunkSizer {
+    constructor({
+        mode = 'heap',
+        targetHeapPercentage = 60,
+        targetLatencyMs = 250,
+        minChunkSize = 100,
+        maxChunkSize = 5000
+    } = {}) {
+        this.mode = mode;
+        this.targetHeapPercentage = targetHeapPercentage;
+        this.targetLatencyMs = targetLatencyMs;
+        this.minChunkSize = minChunkSize;
+        this.maxChunkSize = maxChunkSize;
+        // Heap readings within this many percentage points of the target leave the size alone
+        this.heapBand = 5;
+    }
+
+    next(currentSize, { heapPercentage, latencyMs }) {
+        let factor = 1;
+        let reason;
+
+        if (this.mode === 'heap') {
+            if (heapPercentage === null) {
+                return { size: currentSize, reason: 'heap usage unavailable' };
+            }
+
+            const heap = `heap ${heapPercentage.toFixed(1)}%`;
+            if (heapPercentage > this.targetHeapPercentage + this.heapBand) {
+                factor = 0.5;
+                reason = `${heap} above target ${this.targetHeapPercentage}%`;
+            } else if (heapPercentage < this.targetHeapPercentage - this.heapBand) {
+                factor = 1.5;
+                reason = `${heap} below target ${this.targetHeapPercentage}%`;
+            } else {
+                reason = `${heap} near target ${this.targetHeapPercentage}%`;
+            }
+        } else {
+            // Scale towards the target latency, at most halving or doubling per step
+            const ratio = this.targetLatencyMs / Math.max(latencyMs, 1);
+            if (ratio > 1.15 || ratio < 0.85) {
+                factor = Math.min(2, Math.max(0.5, ratio));
+            }
+            reason = `chunk took ${Math.round(latencyMs)}ms vs target ${this.targetLatencyMs}ms`;
+        }
+
+        const size = Math.round(Math.min(this.maxChunkSize, Math.max(this.minChunkSize, currentSize * factor)));
+        return { size, reason };
+    }
+}
@@ -0,0 +1,43 @@
+// Type declarations for the React bindings (src/core/useStreamEncryption.js).
+import type {
+    MemoryManager,
+    MemoryUsage,
+    PressureLevel,
+    StreamCursor,
+    StreamProcessor,
+    ZeroKnowledgeEncryption
+} from './index.js';
+
+export interface StreamEncryptionOptions {
+    chunkSize?: number;
+    /** A MemoryManager backend name or 'auto' */
+    memoryBackend?: string;
+    /** Memory sampling interval between runs */
+    idleIntervalMs?: number;
+    /** Memory sampling interval while a run is active */
+    activeIntervalMs?: number;
+}
+
+export interface StreamEncryption {
+    memoryManager: MemoryManager;
+    cryptoInstance: ZeroKnowledgeEncryption;
+    /** The processor for the current chunk size */
+    processor: StreamProcessor;
+    memoryInfo: MemoryUsage | null;
+    backendInfo: { name: string; label: string; precision: string } | null;
+    pressureLevel: PressureLevel;
+    isRunning: boolean;
+    isPaused: boolean;
+    /** Registers a run and returns the AbortSignal to pass to processChunks() */
+    startRun(processor?: StreamProcessor | null): AbortSignal;
+    finishRun(): void;
+    /** Points pause/resume at another processor, e.g. one per benchmark job */
+    setActiveProcessor(processor: StreamProcessor | null): void;
+    /** Both return the active processor's cursor, or null when no run is active */
+    pause(): StreamCursor | null;
+    resume(): StreamCursor | null;
+    /** Returns false when there was no run to cancel */
+    cancel(): boolean;
+}
+
+export function useStreamEncryption(options?: StreamEncryptionOptions): StreamEncryption;
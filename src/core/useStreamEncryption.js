@@ -0,0 +1,126 @@
+// React bindings for the core. The hook keeps one MemoryManager and ZeroKnowledgeEncryption
+// for the component's lifetime and a StreamProcessor per chunk size, and turns their events
+// into state. Runs register through startRun() so pause, resume and cancel can reach them.
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { MemoryManager } from './memory.js';
+import { StreamProcessor } from './stream.js';
+import { ZeroKnowledgeEncryption } from './encryption.js';
+
+export function useStreamEncryption({
+    chunkSize = 500,
+    memoryBackend = 'auto',
+    idleIntervalMs = 1000,
+    activeIntervalMs = 200
+} = {}) {
+    const [memoryManager] = useState(() => new MemoryManager());
+    const [cryptoInstance] = useState(() => new ZeroKnowledgeEncryption());
+    const processor = useMemo(() => new StreamProcessor(chunkSize, memoryManager), [chunkSize, memoryManager]);
+    const [memoryInfo, setMemoryInfo] = useState(null);
+    const [backendInfo, setBackendInfo] = useState(null);
+    const [pressureLevel, setPressureLevel] = useState(memoryManager.pressureLevel);
+    const [isRunning, setIsRunning] = useState(false);
+    const [isPaused, setIsPaused] = useState(false);
+    // The processor pause/resume act on, its event subscriptions and the run's abort controller
+    const activeRef = useRef({ processor: null, unsubscribe: null, controller: null });
+
+    useEffect(() => {
+        memoryManager.setBackend(memoryBackend);
+        setBackendInfo({
+            name: memoryManager.backend.name,
+            label: memoryManager.backend.label,
+            precision: memoryManager.backend.precision
+        });
+        setMemoryInfo(null);
+        memoryManager.refresh();
+    }, [memoryManager, memoryBackend]);
+
+    useEffect(() => {
+        const unsubscribe = [
+            memoryManager.on('usage', event => setMemoryInfo(event.usage)),
+            memoryManager.on('pressure', event => setPressureLevel(event.level))
+        ];
+        return () => unsubscribe.forEach(off => off());
+    }, [memoryManager]);
+
+    // Sampled more often while a run is active
+    useEffect(() => {
+        memoryManager.startMonitoring(isRunning ? activeIntervalMs : idleIntervalMs);
+        return () => memoryManager.stopMonitoring();
+    }, [memoryManager, isRunning, idleIntervalMs, activeIntervalMs]);
+
+    // A run still going when the component unmounts is cancelled
+    useEffect(() => {
+        const active = activeRef.current;
+        return () => active.controller?.abort();
+    }, []);
+
+    // Points pause/resume at another processor, e.g. one per benchmark job
+    const setActiveProcessor = useCallback((target) => {
+        const active = activeRef.current;
+        active.unsubscribe?.();
+        active.processor = target;
+        active.unsubscribe = null;
+
+        if (target) {
+            const unsubscribe = [
+                target.on('pause', () => setIsPaused(true)),
+                target.on('resume', () => setIsPaused(false))
+            ];
+            active.unsubscribe = () => unsubscribe.forEach(off => off());
+        }
+        setIsPaused(target ? target.isPaused : false);
+    }, []);
+
+    // Returns the AbortSignal the run passes to processChunks(); pass null when the run
+    // creates its processors later and registers them with setActiveProcessor()
+    const startRun = useCallback((target = processor) => {
+        activeRef.current.controller = new AbortController();
+        setActiveProcessor(target);
+        setIsRunning(true);
+        return activeRef.current.controller.signal;
+    }, [processor, setActiveProcessor]);
+
+    const finishRun = useCallback(() => {
+        setActiveProcessor(null);
+        activeRef.current.controller = null;
+        setIsRunning(false);
+    }, [setActiveProcessor]);
+
+    // Pausing takes effect at the next chunk boundary. Both return the processor's cursor,
+    // or null when no run is active.
+    const pause = useCallback(() => {
+        const target = activeRef.current.processor;
+        target?.pause();
+        return target ? target.cursor : null;
+    }, []);
+
+    const resume = useCallback(() => {
+        const target = activeRef.current.processor;
+        target?.resume();
+        return target ? target.cursor : null;
+    }, []);
+
+    // Returns false when there was no run to cancel
+    const cancel = useCallback(() => {
+        const { controller } = activeRef.current;
+        controller?.abort();
+        return Boolean(controller);
+    }, []);
+
+    return {
+        memoryManager,
+        cryptoInstance,
+        processor,
+        memoryInfo,
+        backendInfo,
+        pressureLevel,
+        isRunning,
+        isPaused,
+        startRun,
+        finishRun,
+        setActiveProcessor,
+        pause,
+        resume,
+        cancel
+    };
+}
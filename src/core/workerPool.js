@@ -0,0 +1,105 @@
+import { CIPHERS } from './ciphers.js';
+import { EncryptionError, TRANSIENT_ERROR_NAMES } from './errors.js';
+import { toStoredRecord } from './records.js';
+
+// Spreads each chunk across dedicated encryption workers
+export class EncryptionWorkerPool {
+    constructor(size, cryptoInstance, cipher = cryptoInstance.cipher) {
+        this.size = size;
+        this.cryptoInstance = cryptoInstance;
+        this.cipher = cipher;
+        this.keys = null;
+        this.compression = 'none';
+        this.workers = [];
+        this.pending = new Map();
+        this.nextJobId = 0;
+    }
+
+    async init(keys, { schema = null, compression = 'none' } = {}) {
+        this.keys = keys;
+        this.compression = compression;
+        for (let i = 0; i < this.size; i++) {
+            const worker = new Worker(new URL('./encryptionWorker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = (event) => this.handleMessage(event.data);
+            worker.onerror = (event) => this.rejectAll(new EncryptionError(event.message || 'Encryption worker crashed', { transient: true }));
+            this.workers.push(worker);
+        }
+
+        // CryptoKeys are structured-cloneable, so each worker gets the non-extractable keys as-is
+        await Promise.all(this.workers.map(worker => this.post(worker, {
+            type: 'init',
+            keys,
+            cipher: this.cipher,
+            schema,
+            compression
+        })));
+    }
+
+    post(worker, message) {
+        return new Promise((resolve, reject) => {
+            const jobId = this.nextJobId++;
+            this.pending.set(jobId, { resolve, reject });
+            worker.postMessage({ ...message, jobId });
+        });
+    }
+
+    handleMessage({ type, jobId, results, message }) {
+        const job = this.pending.get(jobId);
+        if (!job) return;
+
+        this.pending.delete(jobId);
+        if (type === 'error') {
+            job.reject(new EncryptionError(`Worker encryption failed: ${message}`));
+        } else {
+            job.resolve(results);
+        }
+    }
+
+    rejectAll(error) {
+        for (const job of this.pending.values()) {
+            job.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    async processChunk(chunk, indexOffset = 0) {
+        if (this.workers.length === 0) {
+            throw new EncryptionError('Worker pool is not initialized');
+        }
+
+        // Every worker encrypts its share of the chunk under the same chunk context
+        const context = await this.cryptoInstance.createChunkContext(this.keys, this.cipher);
+        const sliceSize = Math.ceil(chunk.length / this.workers.length);
+        const batches = await Promise.all(this.workers.map((worker, w) => {
+            const start = w * sliceSize;
+            const items = chunk
+                .slice(start, start + sliceSize)
+                .map((data, j) => ({ index: indexOffset + start + j, data }));
+
+            return items.length > 0 ? this.post(worker, { type: 'encrypt', items, context }) : [];
+        }));
+
+        const cipher = CIPHERS[this.cipher];
+        return batches.flat().map(result => {
+            // The worker reports records it could not encrypt instead of failing the batch
+            if (result.error) {
+                return {
+                    id: result.id,
+                    error: new EncryptionError(`Encryption failed for record ${result.id}`, {
+                        cause: result.error,
+                        transient: TRANSIENT_ERROR_NAMES.has(result.error.name)
+                    })
+                };
+            }
+            return toStoredRecord(result, cipher, this.compression);
+        });
+    }
+
+    terminate() {
+        for (const worker of this.workers) {
+            worker.terminate();
+        }
+        this.workers = [];
+        this.rejectAll(new EncryptionError('Worker pool terminated'));
+    }
+}
@@ -0,0 +1,380 @@
+// Seeded synthetic data. Every preset is a JSON template, and custom templates use the same
+// { "$gen": ... } specs. Record i draws from its own PRNG stream seeded by (seed, i), so a
+// record is identical no matter where generation starts (resumed runs, benchmarks, re-runs).
+import { bytesToBase64 } from './core/base64.js';
+import { ValidationError } from './core/index.js';
+
+// Relative timestamps count back from a fixed point instead of Date.now() to stay reproducible
+const GENERATOR_EPOCH = Date.UTC(2024, 0, 1);
+const TOKEN_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+const WORDS = [
+    'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do',
+    'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua', 'enim',
+    'minim', 'veniam', 'quis', 'nostrud', 'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip',
+    'commodo', 'consequat', 'duis', 'aute', 'irure', 'reprehenderit', 'voluptate', 'velit', 'esse'
+];
+// Largest size a template may ask for, per size and per record; also caps a distribution's
+// tail so one unlucky draw can't build a huge record
+export const MAX_GENERATED_SIZE = 1024 * 1024;
+
+// mulberry32: small, fast and good enough for test data (not for anything secret)
+function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Mixes the run seed with the record index so neighbouring records get unrelated streams
+function recordSeed(seed, index) {
+    let h = Math.imul((seed >>> 0) ^ 0x9E3779B9, 0x85EBCA6B) ^ Math.imul(index + 1, 0xC2B2AE35);
+    h = Math.imul(h ^ (h >>> 16), 0x7FEB352D);
+    h = Math.imul(h ^ (h >>> 15), 0x846CA68B);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+export function randomSeed() {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+function gaussian(rng) {
+    // Box-Muller; 1 - rng() keeps log() away from zero
+    return Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+}
+
+function integerBetween(rng, min, max) {
+    return min + Math.floor(rng() * (max - min + 1));
+}
+
+// Size distributions: a fixed number or { dist: uniform | normal | lognormal | exponential, ..., max }
+export const SIZE_DISTRIBUTIONS = {
+    uniform: ['min', 'max'],
+    normal: ['mean', 'stddev'],
+    lognormal: ['median', 'sigma'],
+    exponential: ['mean']
+};
+
+// Compiled sizes and nodes carry maxSize: the most units (characters, words, bytes or array
+// items) they can generate, so compileTemplate can bound a whole record
+function withMaxSize(generate, maxSize) {
+    generate.maxSize = maxSize;
+    return generate;
+}
+
+function compileSize(spec, path) {
+    if (typeof spec === 'number') {
+        if (!Number.isInteger(spec) || spec < 0) {
+            throw new ValidationError(`${path}: sizes must be non-negative integers`);
+        }
+        if (spec > MAX_GENERATED_SIZE) {
+            throw new ValidationError(`${path}: sizes cannot be larger than ${MAX_GENERATED_SIZE}`);
+        }
+        return withMaxSize(() => spec, spec);
+    }
+    if (!spec || typeof spec !== 'object' || !SIZE_DISTRIBUTIONS[spec.dist]) {
+        throw new ValidationError(`${path}: expected a number or { "dist": ${Object.keys(SIZE_DISTRIBUTIONS).join(' | ')} }`);
+    }
+    for (const param of SIZE_DISTRIBUTIONS[spec.dist]) {
+        if (!Number.isFinite(spec[param]) || spec[param] < 0) {
+            throw new ValidationError(`${path}: ${spec.dist} needs a non-negative "${param}"`);
+        }
+    }
+    if (spec.max !== undefined && (!Number.isInteger(spec.max) || spec.max < 0)) {
+        throw new ValidationError(`${path}: "max" must be a non-negative integer`);
+    }
+    if (spec.max > MAX_GENERATED_SIZE) {
+        throw new ValidationError(`${path}: "max" cannot be larger than ${MAX_GENERATED_SIZE}`);
+    }
+    const cap = spec.max ?? MAX_GENERATED_SIZE;
+    const clamp = value => Math.max(0, Math.min(cap, Math.round(value)));
+
+    switch (spec.dist) {
+        case 'uniform':
+            if (!Number.isInteger(spec.min)) {
+                throw new ValidationError(`${path}: uniform "min" must be an integer`);
+            }
+            if (spec.min > spec.max) {
+                throw new ValidationError(`${path}: uniform "min" is larger than "max"`);
+            }
+            return withMaxSize(rng => integerBetween(rng, spec.min, spec.max), spec.max);
+        case 'normal':
+            return withMaxSize(rng => clamp(spec.mean + gaussian(rng) * spec.stddev), cap);
+        case 'lognormal':
+            return withMaxSize(rng => clamp(spec.median * Math.exp(gaussian(rng) * spec.sigma)), cap);
+        default:
+            return withMaxSize(rng => clamp(-Math.log(1 - rng()) * spec.mean), cap);
+    }
+}
+
+function requireNumber(value, path, generator, name) {
+    if (!Number.isFinite(value)) {
+        throw new ValidationError(`${path}: ${generator} "${name}" must be a number`);
+    }
+}
+
+function token(rng, length) {
+    let value = '';
+    for (let i = 0; i < length; i++) {
+        value += TOKEN_ALPHABET[Math.floor(rng() * TOKEN_ALPHABET.length)];
+    }
+    return value;
+}
+
+function blob(rng, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        bytes[i] = Math.floor(rng() * 256);
+    }
+    return bytesToBase64(bytes);
+}
+
+// Generator specs, keyed by their "$gen" name. Each compiles its options once and returns
+// (rng, index) => value.
+const GENERATORS = {
+    id: () => (rng, index) => index,
+    int: (spec, path) => {
+        const { min = 0, max = 1000 } = spec;
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+            throw new ValidationError(`${path}: int needs integer "min" <= "max"`);
+        }
+        return rng => integerBetween(rng, min, max);
+    },
+    float: (spec, path) => {
+        const { min = 0, max = 1, decimals = 2 } = spec;
+        requireNumber(min, path, 'float', 'min');
+        requireNumber(max, path, 'float', 'max');
+        if (min > max) {
+            throw new ValidationError(`${path}: float "min" is larger than "max"`);
+        }
+        // Doubles carry about 15 significant digits
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > 15) {
+            throw new ValidationError(`${path}: float "decimals" must be an integer from 0 to 15`);
+        }
+        const factor = 10 ** decimals;
+        return rng => Math.round((min + rng() * (max - min)) * factor) / factor;
+    },
+    bool: (spec, path) => {
+        const probability = spec.probability ?? 0.5;
+        requireNumber(probability, path, 'bool', 'probability');
+        if (probability < 0 || probability > 1) {
+            throw new ValidationError(`${path}: bool "probability" must be between 0 and 1`);
+        }
+        return rng => rng() < probability;
+    },
+    pick: (spec, path) => {
+        if (!Array.isArray(spec.from) || spec.from.length === 0) {
+            throw new ValidationError(`${path}: pick needs a non-empty "from" array`);
+        }
+        return rng => spec.from[Math.floor(rng() * spec.from.length)];
+    },
+    // "{id}" in the text is replaced with the record index
+    format: (spec, path) => {
+        if (typeof spec.text !== 'string') {
+            throw new ValidationError(`${path}: format needs a "text" string`);
+        }
+        return (rng, index) => spec.text.replaceAll('{id}', index);
+    },
+    token: (spec, path) => {
+        const length = compileSize(spec.length ?? 8, `${path}.length`);
+        return withMaxSize(rng => token(rng, length(rng)), length.maxSize);
+    },
+    words: (spec, path) => {
+        const count = compileSize(spec.count ?? 10, `${path}.count`);
+        return withMaxSize((rng) => {
+            const words = [];
+            for (let i = count(rng); i > 0; i--) {
+                words.push(WORDS[Math.floor(rng() * WORDS.length)]);
+            }
+            return words.join(' ');
+        }, count.maxSize);
+    },
+    // Random bytes, base64-encoded: incompressible payloads
+    blob: (spec, path) => {
+        const bytes = compileSize(spec.bytes ?? 1024, `${path}.bytes`);
+        return withMaxSize(rng => blob(rng, bytes(rng)), bytes.maxSize);
+    },
+    // Milliseconds up to withinMs before the generator epoch
+    timestamp: (spec, path) => {
+        const withinMs = spec.withinMs ?? 1000000;
+        requireNumber(withinMs, path, 'timestamp', 'withinMs');
+        if (withinMs < 0) {
+            throw new ValidationError(`${path}: timestamp "withinMs" cannot be negative`);
+        }
+        return rng => Math.floor(GENERATOR_EPOCH - rng() * withinMs);
+    },
+    ipv4: (spec, path) => {
+        const prefix = spec.prefix ?? '192.168.1';
+        if (typeof prefix !== 'string') {
+            throw new ValidationError(`${path}: ipv4 "prefix" must be a string`);
+        }
+        return rng => `${prefix}.${Math.floor(rng() * 255)}`;
+    },
+    array: (spec, path) => {
+        if (spec.of === undefined) {
+            throw new ValidationError(`${path}: array needs an "of" template`);
+        }
+        const length = compileSize(spec.length ?? 5, `${path}.length`);
+        const item = compileNode(spec.of, `${path}[]`);
+        // Every item counts, so arrays of scalars are bounded too
+        return withMaxSize(
+            (rng, index) => Array.from({ length: length(rng) }, () => item(rng, index)),
+            length.maxSize * (item.maxSize + 1)
+        );
+    }
+};
+
+function compileNode(node, path) {
+    if (Array.isArray(node)) {
+        const items = node.map((item, i) => compileNode(item, `${path}[${i}]`));
+        return withMaxSize((rng, index) => items.map(item => item(rng, index)), sumMaxSizes(items));
+    }
+    if (node === null || typeof node !== 'object') {
+        return withMaxSize(() => node, 0);
+    }
+    if (Object.hasOwn(node, '$gen')) {
+        if (!Object.hasOwn(GENERATORS, node.$gen)) {
+            throw new ValidationError(`${path}: unknown generator "${node.$gen}" (use ${Object.keys(GENERATORS).join(', ')})`);
+        }
+        const generate = GENERATORS[node.$gen](node, path);
+        return withMaxSize(generate, generate.maxSize ?? 0);
+    }
+
+    const fields = Object.entries(node).map(([key, value]) => [key, compileNode(value, path ? `${path}.${key}` : key)]);
+    return withMaxSize((rng, index) => {
+        const record = {};
+        for (const [key, field] of fields) {
+            record[key] = field(rng, index);
+        }
+        return record;
+    }, sumMaxSizes(fields.map(([, field]) => field)));
+}
+
+function sumMaxSizes(nodes) {
+    return nodes.reduce((sum, node) => sum + node.maxSize, 0);
+}
+
+// Throws a ValidationError naming the offending path when the template is malformed. The size
+// cap applies to the record as a whole, so nested arrays cannot multiply their way past it.
+export function compileTemplate(template) {
+    if (template === null || typeof template !== 'object' || Array.isArray(template)) {
+        throw new ValidationError('The template must be a JSON object describing one record');
+    }
+    const generate = compileNode(template, '');
+    if (generate.maxSize > MAX_GENERATED_SIZE) {
+        throw new ValidationError(
+            `The template can generate up to ${generate.maxSize} units per record; the limit is ${MAX_GENERATED_SIZE}. Lower the sizes or give distributions a "max".`
+        );
+    }
+    return generate;
+}
+
+// Nested documents are built as a template too, one level per depth
+function nestedTemplate(depth) {
+    if (depth === 0) {
+        return { value: { $gen: 'int', min: 0, max: 100000 }, label: { $gen: 'token', length: 6 } };
+    }
+    return {
+        name: { $gen: 'token', length: 8 },
+        weight: { $gen: 'float', min: 0, max: 1 },
+        children: { $gen: 'array', length: { dist: 'uniform', min: 1, max: 3 }, of: nestedTemplate(depth - 1) }
+    };
+}
+
+export const DATA_PRESETS = {
+    users: {
+        label: 'User profiles',
+        description: 'The original demo shape: email, preferences and a login history (~2 KB)',
+        template: {
+            id: { $gen: 'id' },
+            email: { $gen: 'format', text: 'user{id}@example.com' },
+            userData: {
+                name: { $gen: 'format', text: 'User {id}' },
+                preferences: { $gen: 'array', length: 10, of: { $gen: 'token', length: 11 } },
+                history: {
+                    $gen: 'array',
+                    length: 20,
+                    of: { action: 'login', timestamp: { $gen: 'timestamp' }, ip: { $gen: 'ipv4' } }
+                }
+            },
+            metadata: {
+                created: { $gen: 'timestamp' },
+                lastUpdated: { $gen: 'timestamp', withinMs: 0 },
+                tags: { $gen: 'array', length: 5, of: { $gen: 'token', length: 8 } }
+            }
+        }
+    },
+    flat: {
+        label: 'Small flat records',
+        description: 'A handful of scalar fields (~120 bytes); per-record overhead dominates',
+        template: {
+            id: { $gen: 'id' },
+            sku: { $gen: 'token', length: 10 },
+            category: { $gen: 'pick', from: ['books', 'games', 'garden', 'kitchen', 'music', 'toys'] },
+            price: { $gen: 'float', min: 1, max: 500 },
+            quantity: { $gen: 'int', min: 0, max: 250 },
+            active: { $gen: 'bool', probability: 0.8 },
+            updated: { $gen: 'timestamp' }
+        }
+    },
+    nested: {
+        label: 'Deeply nested documents',
+        description: 'Five levels of 1–3 children each; many small values and long paths',
+        template: { id: { $gen: 'id' }, document: nestedTemplate(5) }
+    },
+    blobs: {
+        label: 'Large binary blobs',
+        description: 'Random bytes as base64, log-normal around 4 KB (capped at 64 KB); does not compress',
+        template: {
+            id: { $gen: 'id' },
+            contentType: { $gen: 'pick', from: ['image/png', 'application/pdf', 'application/octet-stream'] },
+            payload: { $gen: 'blob', bytes: { dist: 'lognormal', median: 4096, sigma: 0.6, max: 65536 } }
+        }
+    },
+    text: {
+        label: 'Variable-length text',
+        description: 'Log-normal word counts from a few words to several thousand; compresses well',
+        template: {
+            id: { $gen: 'id' },
+            title: { $gen: 'words', count: { dist: 'uniform', min: 3, max: 8 } },
+            body: { $gen: 'words', count: { dist: 'lognormal', median: 150, sigma: 1, max: 5000 } },
+            author: { $gen: 'format', text: 'author-{id}' }
+        }
+    }
+};
+
+export const DEFAULT_DATA_PRESET = 'users';
+
+// Lazy dataset of size records starting at startIndex. It has a length (so progress can show
+// a total) but builds each record only when the iterator reaches it.
+export function createSyntheticDataset(template, { seed, size, startIndex = 0 }) {
+    const generate = compileTemplate(template);
+    const recordAt = index => generate(createRng(recordSeed(seed, index)), index);
+
+    return {
+        length: size,
+        seed,
+        recordAt,
+        *[Symbol.iterator]() {
+            for (let index = startIndex; index < startIndex + size; index++) {
+                yield recordAt(index);
+            }
+        }
+    };
+}
+
+// Average serialized size over the first few records, for logs and estimates
+export function estimateRecordBytes(dataset, samples = 8) {
+    const count = Math.min(samples, dataset.length);
+    if (count === 0) return 0;
+
+    const iterator = dataset[Symbol.iterator]();
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        total += JSON.stringify(iterator.next().value).length;
+    }
+    return Math.round(total / count);
+}
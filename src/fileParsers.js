@@ -0,0 +1,235 @@
+// Streaming readers for user-selected files. Each format is parsed incrementally from
+// File.stream(), so a file's records reach the pipeline one at a time and the whole file is
+// never held in memory.
+import { ValidationError, iterateReadableStream } from './core/index.js';
+
+export const FILE_FORMATS = {
+    auto: 'Auto-detect',
+    json: 'JSON array',
+    ndjson: 'NDJSON',
+    csv: 'CSV',
+    binary: 'Raw binary'
+};
+const BINARY_BLOCK_SIZE = 16 * 1024;
+
+export function detectFileFormat(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (extension === 'json') return 'json';
+    if (extension === 'ndjson' || extension === 'jsonl') return 'ndjson';
+    if (extension === 'csv') return 'csv';
+    return 'binary';
+}
+
+// Reads through File.stream() so only one read buffer is held at a time
+export async function* readFileBytes(file, onBytesRead) {
+    let bytesRead = 0;
+
+    for await (const value of iterateReadableStream(file.stream())) {
+        bytesRead += value.byteLength;
+        if (onBytesRead) {
+            onBytesRead(bytesRead);
+        }
+        yield value;
+    }
+}
+
+async function* readFileText(file, onBytesRead) {
+    const decoder = new TextDecoder();
+    for await (const bytes of readFileBytes(file, onBytesRead)) {
+        yield decoder.decode(bytes, { stream: true });
+    }
+
+    const rest = decoder.decode();
+    if (rest) {
+        yield rest;
+    }
+}
+
+export async function* parseNdjson(textChunks) {
+    let buffer = '';
+    for await (const text of textChunks) {
+        buffer += text;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line.trim()) {
+                yield JSON.parse(line);
+            }
+        }
+    }
+
+    if (buffer.trim()) {
+        yield JSON.parse(buffer);
+    }
+}
+
+// Splits a top-level JSON array into its elements without parsing the whole document
+export async function* parseJsonArray(textChunks) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let started = false;
+    let element = '';
+
+    for await (const text of textChunks) {
+        let start = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === '[' || char === '{') {
+                depth++;
+                if (depth === 1) {
+                    if (char !== '[') {
+                        throw new ValidationError('JSON file must contain a top-level array of records');
+                    }
+                    started = true;
+                    start = i + 1;
+                }
+            } else if (char === ']' || char === '}') {
+                depth--;
+                if (depth === 0) {
+                    element += text.slice(start, i);
+                    if (element.trim()) {
+                        yield JSON.parse(element);
+                    }
+                    element = '';
+                }
+            } else if (char === ',' && depth === 1) {
+                element += text.slice(start, i);
+                yield JSON.parse(element);
+                element = '';
+                start = i + 1;
+            }
+        }
+
+        if (depth >= 1) {
+            element += text.slice(start);
+        }
+    }
+
+    if (!started || depth !== 0) {
+        throw new ValidationError('JSON file ended before the top-level array was closed');
+    }
+}
+
+// Parses CSV with a header row into objects; quoted fields may contain commas and newlines
+export async function* parseCsv(textChunks) {
+    let headers = null;
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let previousChar = '';
+
+    const toRecord = (values) => Object.fromEntries(headers.map((header, i) => [header, values[i] ?? '']));
+
+    for await (const text of textChunks) {
+        const rows = [];
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                // A doubled quote inside a quoted field is a literal quote
+                if (previousChar === '"') {
+                    field += '"';
+                }
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n') {
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else if (char !== '\r') {
+                field += char;
+            }
+
+            previousChar = char;
+        }
+
+        for (const values of rows) {
+            if (values.length === 1 && values[0] === '') continue;
+
+            if (!headers) {
+                headers = values;
+            } else {
+                yield toRecord(values);
+            }
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        if (headers) {
+            yield toRecord(row);
+        }
+    }
+}
+
+async function* readBinaryBlocks(file, cryptoInstance, onBytesRead) {
+    let offset = 0;
+    for await (const bytes of readFileBytes(file, onBytesRead)) {
+        for (let i = 0; i < bytes.length; i += BINARY_BLOCK_SIZE) {
+            const block = bytes.subarray(i, i + BINARY_BLOCK_SIZE);
+            yield { offset, length: block.length, data: cryptoInstance.bufferToBase64(block) };
+            offset += block.length;
+        }
+    }
+}
+
+// Yields one record at a time from a user-selected file
+export function readFileRecords(file, format, cryptoInstance, onBytesRead) {
+    switch (format) {
+        case 'json':
+            return parseJsonArray(readFileText(file, onBytesRead));
+        case 'ndjson':
+            return parseNdjson(readFileText(file, onBytesRead));
+        case 'csv':
+            return parseCsv(readFileText(file, onBytesRead));
+        default:
+            return readBinaryBlocks(file, cryptoInstance, onBytesRead);
+    }
+}
+
+// Passes records through once the first `count` have been read, e.g. when resuming a file run
+export async function* skipRecords(records, count) {
+    let skipped = 0;
+    for await (const record of records) {
+        if (skipped < count) {
+            skipped++;
+            continue;
+        }
+        yield record;
+    }
+}
+
+// Lets a check see every record, in order, as a consumer pulls it through
+export async function* tapRecords(records, onRecord) {
+    for await (const record of records) {
+        await onRecord(record);
+        yield record;
+    }
+}
@@ -0,0 +1,7 @@
+// IndexedDB helpers shared by the stores that keep results and run history
+export function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
@@ -0,0 +1,124 @@
+// Structured processing log. Entries carry a level, the part of the pipeline they came from,
+// the chunk they concern and an optional JSON payload. Ids come from a counter, so entries
+// added within the same millisecond stay distinct. Nothing is capped here; the log-buffers
+// cleanup handler trims it under memory pressure.
+import { EventEmitter } from './core/index.js';
+
+export const LOG_LEVELS = {
+    debug: 'Debug',
+    info: 'Info',
+    warn: 'Warning',
+    error: 'Error'
+};
+
+export const LOG_SOURCES = {
+    app: 'App',
+    MemoryManager: 'MemoryManager',
+    StreamProcessor: 'StreamProcessor',
+    encryption: 'Encryption',
+    storage: 'Storage'
+};
+
+const LEVEL_RANK = Object.fromEntries(Object.keys(LOG_LEVELS).map((level, i) => [level, i]));
+
+// Emits 'append' { entry } and 'change' { entries } whenever entries are dropped
+export class ProcessingLog extends EventEmitter {
+    constructor() {
+        super();
+        this.entries = [];
+        this.nextId = 1;
+        // Replaced on every change so React can read the log as an external store;
+        // the entries array itself is shared, never copied
+        this.snapshot = { entries: this.entries, version: 0 };
+    }
+
+    getSnapshot() {
+        return this.snapshot;
+    }
+
+    // Replaces the snapshot so subscribers see a new value
+    changed() {
+        this.snapshot = { entries: this.entries, version: this.snapshot.version + 1 };
+    }
+
+    append(message, { level = 'info', source = 'app', chunkIndex = null, payload = null } = {}) {
+        const entry = { id: this.nextId++, time: Date.now(), level, source, message, chunkIndex, payload };
+        this.entries.push(entry);
+        this.changed();
+        this.emit('append', { entry });
+        return entry;
+    }
+
+    // Drops all but the newest `keep` entries and returns the dropped ones
+    trim(keep) {
+        const dropped = this.entries.splice(0, Math.max(0, this.entries.length - keep));
+        if (dropped.length > 0) {
+            this.changed();
+            this.emit('change', { entries: this.entries });
+        }
+        return dropped;
+    }
+
+    clear() {
+        return this.trim(0);
+    }
+}
+
+// minLevel keeps that level and above; search matches the message and the payload JSON
+function createLogMatcher({ minLevel = 'debug', source = 'all', search = '' } = {}) {
+    const needle = search.trim().toLowerCase();
+    return entry => LEVEL_RANK[entry.level] >= LEVEL_RANK[minLevel]
+        && (source === 'all' || entry.source === source)
+        && (!needle
+            || entry.message.toLowerCase().includes(needle)
+            || (entry.payload !== null && JSON.stringify(entry.payload).toLowerCase().includes(needle)));
+}
+
+// The entries matching one filter, kept up to date as the log grows: each update only looks at
+// entries appended since the last one and drops matches the log has trimmed. Like the log, it
+// replaces its snapshot when the matches change and shares the entries array.
+export class FilteredLogView {
+    constructor(filter) {
+        this.matchEntry = createLogMatcher(filter);
+        this.entries = [];
+        this.lastId = 0;
+        this.snapshot = { entries: this.entries, version: 0 };
+    }
+
+    update(entries) {
+        let changed = false;
+
+        // Trims only ever remove the oldest entries
+        const firstId = entries.length > 0 ? entries[0].id : this.lastId + 1;
+        let dropped = 0;
+        while (dropped < this.entries.length && this.entries[dropped].id < firstId) dropped++;
+        if (dropped > 0) {
+            this.entries.splice(0, dropped);
+            changed = true;
+        }
+
+        let start = entries.length;
+        while (start > 0 && entries[start - 1].id > this.lastId) start--;
+        for (let i = start; i < entries.length; i++) {
+            if (this.matchEntry(entries[i])) {
+                this.entries.push(entries[i]);
+                changed = true;
+            }
+        }
+        if (start < entries.length) {
+            this.lastId = entries[entries.length - 1].id;
+        }
+
+        if (changed) {
+            this.snapshot = { entries: this.entries, version: this.snapshot.version + 1 };
+        }
+        return this.snapshot;
+    }
+}
+
+// One JSON object per line, with ISO timestamps
+export function toNDJSON(entries) {
+    return entries
+        .map(({ id, time, ...entry }) => JSON.stringify({ id, time: new Date(time).toISOString(), ...entry }))
+        .join('\n') + (entries.length > 0 ? '\n' : '');
+}
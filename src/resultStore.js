@@ -0,0 +1,122 @@
+// Encrypted results kept in IndexedDB, so a run's output never has to fit in memory and an
+// interrupted run can be resumed from what it stored.
+import { StorageError } from './core/index.js';
+import { requestToPromise } from './idb.js';
+
+const RESULT_DB_NAME = 'memory-management-demo';
+const RESULT_DB_VERSION = 1;
+const RESULT_RECORD_STORE = 'records';
+const RESULT_META_STORE = 'meta';
+const RESULT_META_KEY = 'run';
+export const RESULT_SAMPLE_SIZE = 3;
+
+// Keeps encrypted records in IndexedDB so a run's output never has to fit in memory.
+// Each chunk is written in the same transaction as the run metadata, so the stored
+// record count always matches how far an interrupted run got.
+export class EncryptedResultStore {
+    constructor(dbName = RESULT_DB_NAME) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(this.dbName, RESULT_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(RESULT_RECORD_STORE, { keyPath: 'id' });
+                request.result.createObjectStore(RESULT_META_STORE);
+            };
+            this.dbPromise = requestToPromise(request).catch(error => {
+                // Let the next call try again, e.g. after another tab released a version lock
+                this.dbPromise = null;
+                throw new StorageError('Could not open the IndexedDB result store', { cause: error });
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Settles once the transaction commits, with the result of the request work() returned
+    async transact(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([RESULT_RECORD_STORE, RESULT_META_STORE], mode);
+            let result;
+            transaction.oncomplete = () => resolve(result);
+            // onerror is followed by onabort, and only the first rejection counts
+            const fail = () => reject(transaction.error?.name === 'QuotaExceededError'
+                ? new StorageError('Browser storage quota exceeded', { cause: transaction.error })
+                : new StorageError('IndexedDB transaction failed', { cause: transaction.error }));
+            transaction.onerror = fail;
+            transaction.onabort = fail;
+
+            const request = work(
+                transaction.objectStore(RESULT_RECORD_STORE),
+                transaction.objectStore(RESULT_META_STORE)
+            );
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+        });
+    }
+
+    putRecords(records, meta) {
+        return this.transact('readwrite', (recordStore, metaStore) => {
+            for (const record of records) {
+                recordStore.put(record);
+            }
+            metaStore.put(meta, RESULT_META_KEY);
+        });
+    }
+
+    putMeta(meta) {
+        return this.transact('readwrite', (recordStore, metaStore) => metaStore.put(meta, RESULT_META_KEY));
+    }
+
+    async getMeta() {
+        return (await this.transact('readonly', (recordStore, metaStore) => metaStore.get(RESULT_META_KEY))) ?? null;
+    }
+
+    count() {
+        return this.transact('readonly', recordStore => recordStore.count());
+    }
+
+    getSample(limit = RESULT_SAMPLE_SIZE) {
+        return this.transact('readonly', recordStore => recordStore.getAll(null, limit));
+    }
+
+    // Reads records back in id order, one short transaction per batch
+    async *records(batchSize) {
+        let lastId = null;
+        while (true) {
+            const range = lastId === null ? null : IDBKeyRange.lowerBound(lastId, true);
+            const batch = await this.transact('readonly', recordStore => recordStore.getAll(range, batchSize));
+            if (batch.length === 0) return;
+
+            lastId = batch[batch.length - 1].id;
+            yield* batch;
+            if (batch.length < batchSize) return;
+        }
+    }
+
+    clear() {
+        return this.transact('readwrite', (recordStore, metaStore) => {
+            recordStore.clear();
+            metaStore.clear();
+        });
+    }
+}
+
+// Usage and quota for this origin, or null where the Storage API is missing
+export async function estimateStorage() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+        return null;
+    }
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+}
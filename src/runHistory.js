@@ -0,0 +1,188 @@
+// Past encryption runs, kept in their own IndexedDB database so clearing stored results
+// leaves the history alone. Summaries (parameters and stats) and details (the full log and
+// memory samples) sit in separate stores, so listing runs never reads the bulky part.
+import { StorageError } from './core/index.js';
+import { requestToPromise } from './idb.js';
+
+const HISTORY_DB_NAME = 'memory-management-demo-history';
+const HISTORY_DB_VERSION = 1;
+const SUMMARY_STORE = 'runs';
+const DETAIL_STORE = 'details';
+
+// Oldest runs are dropped beyond this
+export const RUN_HISTORY_LIMIT = 50;
+// Memory samples kept per run; longer runs are thinned out evenly
+export const RUN_SAMPLE_LIMIT = 600;
+
+export class RunHistoryStore {
+    constructor(dbName = HISTORY_DB_NAME) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(this.dbName, HISTORY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(SUMMARY_STORE, { keyPath: 'id', autoIncrement: true });
+                request.result.createObjectStore(DETAIL_STORE);
+            };
+            this.dbPromise = requestToPromise(request).catch(error => {
+                this.dbPromise = null;
+                throw new StorageError('Could not open the run history database', { cause: error });
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Settles once the transaction commits, with whatever work() stored through setResult
+    async transact(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([SUMMARY_STORE, DETAIL_STORE], mode);
+            let result;
+            transaction.oncomplete = () => resolve(result);
+            const fail = () => reject(transaction.error?.name === 'QuotaExceededError'
+                ? new StorageError('Browser storage quota exceeded', { cause: transaction.error })
+                : new StorageError('Run history transaction failed', { cause: transaction.error }));
+            transaction.onerror = fail;
+            transaction.onabort = fail;
+
+            work(
+                transaction.objectStore(SUMMARY_STORE),
+                transaction.objectStore(DETAIL_STORE),
+                (value) => {
+                    result = value;
+                }
+            );
+        });
+    }
+
+    // Saves a run and returns its id; log and samples go to the detail store
+    add({ log = [], samples = [], ...summary }) {
+        return this.transact('readwrite', (summaryStore, detailStore, setResult) => {
+            const request = summaryStore.add(summary);
+            request.onsuccess = () => {
+                const id = request.result;
+                setResult(id);
+                detailStore.put({ log, samples }, id);
+
+                // Keys are increasing, so the first ones are the oldest
+                summaryStore.getAllKeys().onsuccess = (event) => {
+                    for (const staleId of event.target.result.slice(0, -RUN_HISTORY_LIMIT)) {
+                        summaryStore.delete(staleId);
+                        detailStore.delete(staleId);
+                    }
+                };
+            };
+        });
+    }
+
+    // Summaries only, newest first
+    async list() {
+        const summaries = await this.transact('readonly', (summaryStore, detailStore, setResult) => {
+            summaryStore.getAll().onsuccess = (event) => setResult(event.target.result);
+        });
+        return summaries.reverse();
+    }
+
+    // One run with its log and samples, or null if it was deleted
+    async get(id) {
+        const [summary, details] = await this.transact('readonly', (summaryStore, detailStore, setResult) => {
+            const found = [];
+            summaryStore.get(id).onsuccess = (event) => {
+                found[0] = event.target.result;
+            };
+            detailStore.get(id).onsuccess = (event) => {
+                found[1] = event.target.result;
+                setResult(found);
+            };
+        });
+        return summary ? { ...summary, log: details?.log ?? [], samples: details?.samples ?? [] } : null;
+    }
+
+    delete(id) {
+        return this.transact('readwrite', (summaryStore, detailStore) => {
+            summaryStore.delete(id);
+            detailStore.delete(id);
+        });
+    }
+
+    clear() {
+        return this.transact('readwrite', (summaryStore, detailStore) => {
+            summaryStore.clear();
+            detailStore.clear();
+        });
+    }
+}
+
+// Keeps every nth sample so a long run's curve survives at a bounded size
+export function thinSamples(samples, limit = RUN_SAMPLE_LIMIT) {
+    if (samples.length <= limit) {
+        return samples;
+    }
+    const step = samples.length / limit;
+    return Array.from({ length: limit }, (_, i) => samples[Math.floor(i * step)]);
+}
+
+// Collects the log entries and memory samples of the run in progress for its history entry.
+// Nothing is collected between start() and finish(), so runs kept out of the history hold nothing.
+export class RunRecorder {
+    constructor() {
+        this.record = null;
+    }
+
+    start() {
+        this.record = { log: [], samples: [] };
+    }
+
+    addEntry(entry) {
+        this.record?.log.push(entry);
+    }
+
+    addSample(sample) {
+        const record = this.record;
+        if (!record) return;
+        record.samples.push(sample);
+        if (record.samples.length > RUN_SAMPLE_LIMIT * 2) {
+            record.samples = thinSamples(record.samples);
+        }
+    }
+
+    // Hands over the record, samples thinned to RUN_SAMPLE_LIMIT, and stops collecting
+    finish() {
+        const record = this.record;
+        this.record = null;
+        return record && { log: record.log, samples: thinSamples(record.samples) };
+    }
+}
+
+// One row per metric with both values, the change from a to b and which run did better.
+// Metrics are { key, lowerIsBetter }; lowerIsBetter: null marks a metric with no better side.
+export function compareRuns(a, b, metrics) {
+    return metrics.map(metric => {
+        const valueA = a.stats[metric.key] ?? null;
+        const valueB = b.stats[metric.key] ?? null;
+        if (valueA === null || valueB === null) {
+            return { ...metric, a: valueA, b: valueB, delta: null, change: null, better: null };
+        }
+
+        const delta = valueB - valueA;
+        let better = null;
+        if (delta !== 0 && metric.lowerIsBetter !== null) {
+            better = (delta < 0) === metric.lowerIsBetter ? 'b' : 'a';
+        }
+        return {
+            ...metric,
+            a: valueA,
+            b: valueB,
+            delta,
+            change: valueA !== 0 ? (delta / valueA) * 100 : null,
+            better
+        };
+    });
+}
@@ -0,0 +1,234 @@
+// Signed run manifests: a chained HMAC over per-chunk digests of a run's output, built as the
+// run goes and checked as records stream back, so tampering is pinned to a chunk and record ids.
+import { ValidationError } from './core/index.js';
+import { concatBytes, recordPayloadBytes } from './container.js';
+
+const MANIFEST_VERSION = 1;
+export const MANIFEST_FILENAME = 'encrypted-output.manifest.json';
+const MANIFEST_HASH_LENGTH = 32;
+
+// Folds one record into a chunk's running hash: SHA-256(running || uint32 id || SHA-256(payload)).
+// Only the running hash is kept, so building or checking a chunk takes constant memory.
+async function foldManifestRecord(running, id, payload) {
+    const payloadHash = new Uint8Array(await crypto.subtle.digest('SHA-256', payload));
+    const input = new Uint8Array(MANIFEST_HASH_LENGTH + 4 + MANIFEST_HASH_LENGTH);
+    input.set(running);
+    new DataView(input.buffer).setUint32(MANIFEST_HASH_LENGTH, id);
+    input.set(payloadHash, MANIFEST_HASH_LENGTH + 4);
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+}
+
+// Keyed digest of a finished chunk; the index stops chunks being swapped around
+async function manifestChunkDigest(key, index, running) {
+    const input = new Uint8Array(4 + MANIFEST_HASH_LENGTH);
+    new DataView(input.buffer).setUint32(0, index);
+    input.set(running, 4);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, input));
+}
+
+// The root chains every chunk digest in order: chain = HMAC(chain || digest)
+async function chainManifestDigest(key, chain, digest) {
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, concatBytes(chain, digest)));
+}
+
+// Compact id list: runs of consecutive ids become [first, last] pairs
+function toIdRanges(ids) {
+    const ranges = [];
+    for (const id of ids) {
+        const last = ranges[ranges.length - 1];
+        if (last && id === last[1] + 1) {
+            last[1] = id;
+        } else {
+            ranges.push([id, id]);
+        }
+    }
+    return ranges;
+}
+
+function formatIdRanges(ids) {
+    return toIdRanges([...ids].sort((a, b) => a - b))
+        .map(([first, last]) => (first === last ? `${first}` : `${first}–${last}`))
+        .join(', ');
+}
+
+function manifestBody(manifest) {
+    const { version, createdAt, recordCount, chunks, root } = manifest;
+    return new TextEncoder().encode(JSON.stringify({ version, createdAt, recordCount, chunks, root }));
+}
+
+// Built chunk by chunk as a run completes, so the manifest never needs the whole output.
+// snapshot() is stored with an interrupted run and passed back in to carry on from it.
+export class RunManifestBuilder {
+    constructor(key, cryptoInstance, snapshot = null) {
+        this.key = key;
+        this.cryptoInstance = cryptoInstance;
+        this.createdAt = snapshot ? snapshot.createdAt : new Date().toISOString();
+        this.recordCount = snapshot ? snapshot.recordCount : 0;
+        this.chunks = snapshot ? [...snapshot.chunks] : [];
+        this.chain = snapshot
+            ? cryptoInstance.base64ToBuffer(snapshot.chain)
+            : new Uint8Array(MANIFEST_HASH_LENGTH);
+    }
+
+    async addChunk(records) {
+        if (records.length === 0) return;
+
+        let running = new Uint8Array(MANIFEST_HASH_LENGTH);
+        for (const record of records) {
+            running = await foldManifestRecord(running, record.id, recordPayloadBytes(record, this.cryptoInstance));
+        }
+
+        const index = this.chunks.length;
+        const digest = await manifestChunkDigest(this.key, index, running);
+        this.chain = await chainManifestDigest(this.key, this.chain, digest);
+        this.chunks.push({
+            index,
+            count: records.length,
+            ids: toIdRanges(records.map(record => record.id)),
+            digest: this.cryptoInstance.bufferToBase64(digest)
+        });
+        this.recordCount += records.length;
+    }
+
+    snapshot() {
+        return {
+            createdAt: this.createdAt,
+            recordCount: this.recordCount,
+            chunks: this.chunks,
+            chain: this.cryptoInstance.bufferToBase64(this.chain)
+        };
+    }
+
+    async finish() {
+        const manifest = {
+            version: MANIFEST_VERSION,
+            createdAt: this.createdAt,
+            recordCount: this.recordCount,
+            chunks: this.chunks,
+            root: this.cryptoInstance.bufferToBase64(this.chain)
+        };
+        const signature = await crypto.subtle.sign('HMAC', this.key, manifestBody(manifest));
+        return { ...manifest, signature: this.cryptoInstance.bufferToBase64(signature) };
+    }
+}
+
+// Checks records against a manifest as they stream past. Records are grouped by the chunk
+// the manifest puts their id in, so a dropped record only affects its own chunk.
+export class RunManifestVerifier {
+    constructor(manifest, key, cryptoInstance) {
+        if (!manifest || manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.chunks)) {
+            throw new ValidationError('Unsupported or malformed run manifest');
+        }
+
+        this.manifest = manifest;
+        this.key = key;
+        this.cryptoInstance = cryptoInstance;
+        // Sorted id ranges for a binary search from record id to manifest chunk
+        this.ranges = manifest.chunks
+            .flatMap(chunk => chunk.ids.map(([first, last]) => ({ first, last, chunk: chunk.index })))
+            .sort((a, b) => a.first - b.first);
+        this.states = new Map();
+        this.unexpected = [];
+        this.outOfOrder = [];
+        this.lastChunk = -1;
+    }
+
+    chunkFor(id) {
+        let low = 0;
+        let high = this.ranges.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const range = this.ranges[mid];
+            if (id < range.first) {
+                high = mid - 1;
+            } else if (id > range.last) {
+                low = mid + 1;
+            } else {
+                return range.chunk;
+            }
+        }
+        return null;
+    }
+
+    async addRecord(record) {
+        const chunk = this.chunkFor(record.id);
+        if (chunk === null) {
+            this.unexpected.push(record.id);
+            return;
+        }
+        // A record from an earlier chunk turning up later means the output was reordered
+        if (chunk < this.lastChunk) {
+            this.outOfOrder.push(record.id);
+        }
+        this.lastChunk = Math.max(this.lastChunk, chunk);
+
+        if (!this.states.has(chunk)) {
+            this.states.set(chunk, { ids: [], running: new Uint8Array(MANIFEST_HASH_LENGTH) });
+        }
+        const state = this.states.get(chunk);
+        state.ids.push(record.id);
+        state.running = await foldManifestRecord(state.running, record.id, recordPayloadBytes(record, this.cryptoInstance));
+    }
+
+    // Returns every problem found, each naming the chunk and, where known, the record ids
+    async finish() {
+        const { manifest, key, cryptoInstance } = this;
+        const issues = [];
+
+        const signatureValid = await crypto.subtle.verify(
+            'HMAC', key, cryptoInstance.base64ToBuffer(manifest.signature || ''), manifestBody(manifest)
+        );
+        if (!signatureValid) {
+            issues.push({ kind: 'signature', message: 'Manifest signature does not match; it was edited or made with a different key' });
+        }
+
+        let chain = new Uint8Array(MANIFEST_HASH_LENGTH);
+        for (const chunk of manifest.chunks) {
+            chain = await chainManifestDigest(key, chain, cryptoInstance.base64ToBuffer(chunk.digest));
+
+            const state = this.states.get(chunk.index);
+            const expected = chunk.ids.flatMap(([first, last]) => Array.from({ length: last - first + 1 }, (_, i) => first + i));
+            if (!state) {
+                issues.push({ kind: 'missing', chunk: chunk.index, ids: expected, message: `Chunk ${chunk.index + 1} is missing entirely` });
+                continue;
+            }
+
+            const counts = new Map();
+            for (const id of state.ids) {
+                counts.set(id, (counts.get(id) || 0) + 1);
+            }
+            const missing = expected.filter(id => !counts.has(id));
+            const duplicated = [...counts].filter(([, count]) => count > 1).map(([id]) => id);
+            if (missing.length > 0) {
+                issues.push({ kind: 'missing', chunk: chunk.index, ids: missing, message: `Chunk ${chunk.index + 1} is missing records ${formatIdRanges(missing)}` });
+            }
+            if (duplicated.length > 0) {
+                issues.push({ kind: 'duplicated', chunk: chunk.index, ids: duplicated, message: `Chunk ${chunk.index + 1} has duplicated records ${formatIdRanges(duplicated)}` });
+            }
+            if (missing.length > 0 || duplicated.length > 0) continue;
+
+            if (state.ids.some((id, i) => id !== expected[i])) {
+                issues.push({ kind: 'reordered', chunk: chunk.index, message: `Records in chunk ${chunk.index + 1} are out of order` });
+                continue;
+            }
+
+            const digest = await manifestChunkDigest(key, chunk.index, state.running);
+            if (cryptoInstance.bufferToBase64(digest) !== chunk.digest) {
+                issues.push({ kind: 'altered', chunk: chunk.index, ids: expected, message: `Chunk ${chunk.index + 1} (records ${formatIdRanges(expected)}) was altered` });
+            }
+        }
+
+        const rootValid = cryptoInstance.bufferToBase64(chain) === manifest.root;
+        if (!rootValid) {
+            issues.push({ kind: 'root', message: 'Chunk digests do not chain to the manifest root' });
+        }
+        if (this.unexpected.length > 0) {
+            issues.push({ kind: 'unexpected', ids: this.unexpected, message: `Records ${formatIdRanges(this.unexpected)} are not in the manifest` });
+        }
+        if (this.outOfOrder.length > 0) {
+            issues.push({ kind: 'reordered', ids: this.outOfOrder, message: `Records ${formatIdRanges(this.outOfOrder)} appear after a later chunk` });
+        }
+
+        return { intact: issues.length === 0, signatureValid, rootValid, chunks: manifest.chunks.length, issues };
+    }
+}
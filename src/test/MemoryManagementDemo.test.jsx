@@ -0,0 +1,92 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import MemoryManagementDemo from '../MemoryManagementDemo.jsx';
+
+// Keeps hold of the component's run recorder so tests can look at what it collected
+const recorders = vi.hoisted(() => []);
+vi.mock('../runHistory.js', async (importOriginal) => {
+    const actual = await importOriginal();
+    class TrackedRunRecorder extends actual.RunRecorder {
+        constructor() {
+            super();
+            recorders.push(this);
+        }
+    }
+    return { ...actual, RunRecorder: TrackedRunRecorder };
+});
+
+function setSlider(id, value) {
+    fireEvent.change(document.getElementById(id), { target: { value: String(value) } });
+}
+
+// The sliders clamp to their own min and max, so out-of-range sizes are entered as if the
+// field were a number input to reach the checks behind them
+function setOutOfRange(id, value) {
+    const input = document.getElementById(id);
+    input.type = 'number';
+    fireEvent.change(input, { target: { value: String(value) } });
+}
+
+function startEncryption() {
+    fireEvent.click(screen.getByRole('button', { name: 'Start Encryption' }));
+}
+
+describe('MemoryManagementDemo validation', () => {
+    afterEach(cleanup);
+
+    it('rejects datasets under 500 records', async () => {
+        render(<MemoryManagementDemo />);
+        setOutOfRange('dataSize', 100);
+        startEncryption();
+
+        expect(await screen.findByText('Dataset size is too small')).toBeTruthy();
+        expect(screen.getByText(/at least 500 records/)).toBeTruthy();
+    });
+
+    it('rejects datasets over 100,000 records', async () => {
+        render(<MemoryManagementDemo />);
+        setOutOfRange('dataSize', 150000);
+        startEncryption();
+
+        expect(await screen.findByText('Dataset size is too large')).toBeTruthy();
+    });
+
+    it('rejects a chunk size larger than the dataset', async () => {
+        render(<MemoryManagementDemo />);
+        setSlider('dataSize', 500);
+        setSlider('chunkSize', 1000);
+        startEncryption();
+
+        expect(await screen.findByText('Chunk size cannot be larger than dataset size')).toBeTruthy();
+    });
+
+    it('asks for a key once the sizes are valid', async () => {
+        render(<MemoryManagementDemo />);
+        setSlider('dataSize', 1000);
+        setSlider('chunkSize', 500);
+        startEncryption();
+
+        expect(await screen.findByText('No encryption key has been set')).toBeTruthy();
+        expect(screen.getByRole('button', { name: 'Start Encryption' }).disabled).toBe(false);
+    });
+});
+
+describe('MemoryManagementDemo leak check', () => {
+    afterEach(cleanup);
+
+    it('leaves nothing in the run record after its cycles', async () => {
+        render(<MemoryManagementDemo />);
+        setSlider('dataSize', 500);
+        setSlider('chunkSize', 500);
+        fireEvent.change(document.getElementById('passphrase'), { target: { value: 'correct horse battery staple' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Apply Passphrase' }));
+        await screen.findByRole('button', { name: 'Re-key' }, { timeout: 10000 });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Run Leak Check' }));
+        await screen.findByRole('button', { name: 'Checking...' });
+        await screen.findByText('Verdict:', {}, { timeout: 30000 });
+
+        expect(recorders.at(-1).record).toBeNull();
+    }, 60000);
+});
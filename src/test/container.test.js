@@ -0,0 +1,87 @@
+import { beforeAll, describe, expect, it } from 'vitest';
+import { MIN_KDF_ITERATIONS, ValidationError, ZeroKnowledgeEncryption, createEncryptionProcessor, verifyRecord } from '../core/index.js';
+import { ContainerWriter, readContainerEntries, recordFromEntry } from '../container.js';
+
+function createMemorySink() {
+    const parts = [];
+    return {
+        parts,
+        write: async (bytes) => {
+            parts.push(bytes);
+        },
+        close: async () => {},
+        abort: async () => {
+            parts.length = 0;
+        }
+    };
+}
+
+async function collect(entries) {
+    const items = [];
+    for await (const entry of entries) {
+        items.push(entry);
+    }
+    return items;
+}
+
+describe('container files', () => {
+    const cryptoInstance = new ZeroKnowledgeEncryption();
+    let keys;
+    let records;
+
+    beforeAll(async () => {
+        keys = await cryptoInstance.deriveKeys('correct horse battery staple', cryptoInstance.generateSalt(), {
+            iterations: MIN_KDF_ITERATIONS,
+            hash: 'SHA-256'
+        });
+        const whole = createEncryptionProcessor(cryptoInstance, keys, { cipher: 'aes-128-gcm' });
+        const fieldLevel = createEncryptionProcessor(cryptoInstance, keys, { schema: [{ path: 'name', action: 'encrypt' }] });
+        records = [
+            await whole({ name: 'Ada' }, 0),
+            await whole({ name: 'Bob' }, 1),
+            await fieldLevel({ name: 'Cy', age: 3 }, 2)
+        ];
+    });
+
+    async function writeContainer(manifest = { version: 1, chunks: [] }) {
+        const sink = createMemorySink();
+        const writer = new ContainerWriter(sink, cryptoInstance);
+        await writer.writeHeader({ keyParams: { iterations: MIN_KDF_ITERATIONS } });
+        await writer.writeRecords(records.slice(0, 2));
+        await writer.writeRecords(records.slice(2));
+        await writer.writeManifest(manifest);
+        await writer.close();
+        return { writer, file: new File(sink.parts, 'output.mmec') };
+    }
+
+    it('reads back the header, every record and the manifest it was written with', async () => {
+        const manifest = { version: 1, chunks: [{ index: 0 }] };
+        const { writer, file } = await writeContainer(manifest);
+        const entries = await collect(readContainerEntries(file));
+
+        expect(writer.recordCount).toBe(3);
+        expect(writer.bytesWritten).toBe(file.size);
+        expect(entries.map(entry => entry.type)).toEqual(['header', 'record', 'record', 'record', 'manifest']);
+        expect(entries[0].header).toEqual({ version: 1, keyParams: { iterations: MIN_KDF_ITERATIONS } });
+        expect(entries.at(-1).manifest).toEqual(manifest);
+
+        const restored = entries.filter(entry => entry.type === 'record').map(entry => recordFromEntry(entry, cryptoInstance));
+        for (const [i, record] of restored.entries()) {
+            const { id, algorithm, compression, encrypted, fields, fieldLevel } = records[i];
+            expect(record).toMatchObject({ id, algorithm, compression, ...(fieldLevel ? { fields, fieldLevel } : { encrypted }) });
+        }
+        expect(await verifyRecord(restored[1], 1, cryptoInstance, keys)).toEqual({ id: 1, verified: true });
+    });
+
+    it('rejects files that are not containers', async () => {
+        await expect(collect(readContainerEntries(new File(['not a container'], 'x.mmec'))))
+            .rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('rejects a container cut off mid-record', async () => {
+        const { file } = await writeContainer();
+        const truncated = new File([file.slice(0, file.size - 20)], 'output.mmec');
+
+        await expect(collect(readContainerEntries(truncated))).rejects.toThrow('Container file is truncated');
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { ValidationError } from '../core/index.js';
+import { DATA_PRESETS, MAX_GENERATED_SIZE, compileTemplate, createSyntheticDataset } from '../dataGenerator.js';
+
+const compile = field => () => compileTemplate({ field });
+
+describe('compileTemplate', () => {
+    it('compiles every preset', () => {
+        for (const preset of Object.values(DATA_PRESETS)) {
+            expect(() => compileTemplate(preset.template)).not.toThrow();
+        }
+    });
+
+    it.each([
+        ['a fixed size over the cap', { $gen: 'token', length: MAX_GENERATED_SIZE + 1 }],
+        ['a uniform max over the cap', { $gen: 'blob', bytes: { dist: 'uniform', min: 0, max: MAX_GENERATED_SIZE + 1 } }],
+        ['a fractional uniform bound', { $gen: 'blob', bytes: { dist: 'uniform', min: 1.5, max: 4 } }],
+        ['a non-numeric float bound', { $gen: 'float', min: 'low' }],
+        ['non-integer float decimals', { $gen: 'float', decimals: 'two' }],
+        ['a non-numeric timestamp range', { $gen: 'timestamp', withinMs: 'soon' }],
+        ['a bool probability above one', { $gen: 'bool', probability: 2 }]
+    ])('rejects %s', (_, field) => {
+        expect(compile(field)).toThrow(ValidationError);
+    });
+
+    it('caps the record as a whole, not each array level', () => {
+        const inner = { $gen: 'array', length: 1000, of: { $gen: 'token', length: 10 } };
+
+        expect(compile(inner)).not.toThrow();
+        expect(compile({ $gen: 'array', length: 1000, of: inner })).toThrow(ValidationError);
+    });
+});
+
+describe('createSyntheticDataset', () => {
+    it('generates the same record for the same seed and index', () => {
+        const template = DATA_PRESETS.flat.template;
+        const first = createSyntheticDataset(template, { seed: 42, size: 10 });
+        const resumed = createSyntheticDataset(template, { seed: 42, size: 5, startIndex: 5 });
+
+        expect([...resumed]).toEqual([...first].slice(5));
+    });
+});
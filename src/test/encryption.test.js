@@ -0,0 +1,130 @@
+import { beforeAll, describe, expect, it } from 'vitest';
+import {
+    CIPHERS,
+    EncryptionError,
+    MIN_KDF_ITERATIONS,
+    ValidationError,
+    ZeroKnowledgeEncryption,
+    createEncryptionProcessor,
+    isCompressionSupported,
+    verifyRecord
+} from '../core/index.js';
+
+const RECORD = { id: 7, name: 'Ada', tags: ['a', 'b'], nested: { balance: 12.5, active: true } };
+// Low iterations keep the derivation fast; the key set is the same shape at any count
+const KDF = { iterations: MIN_KDF_ITERATIONS, hash: 'SHA-256' };
+
+describe('ZeroKnowledgeEncryption', () => {
+    const cryptoInstance = new ZeroKnowledgeEncryption();
+    let keys;
+
+    beforeAll(async () => {
+        keys = await cryptoInstance.deriveKeys('correct horse battery staple', cryptoInstance.generateSalt(), KDF);
+    });
+
+    it.each(Object.keys(CIPHERS))('round-trips a record with %s', async (cipher) => {
+        const context = await cryptoInstance.createChunkContext(keys, cipher);
+        const { data, algorithm, rawBytes } = await cryptoInstance.encrypt(RECORD, keys, { cipher, context });
+
+        expect(algorithm).toBe(cipher);
+        expect(rawBytes).toBe(JSON.stringify(RECORD).length);
+        expect(await cryptoInstance.decrypt(data, keys, { algorithm })).toEqual(RECORD);
+    });
+
+    it('decrypts the base64 form of a payload', async () => {
+        const { data } = await cryptoInstance.encrypt(RECORD, keys);
+
+        expect(await cryptoInstance.decrypt(cryptoInstance.bufferToBase64(data), keys)).toEqual(RECORD);
+    });
+
+    it.skipIf(!isCompressionSupported())('round-trips with compression', async () => {
+        const repetitive = { text: 'memory '.repeat(200) };
+        const { data, rawBytes, compressedBytes } = await cryptoInstance.encrypt(repetitive, keys, { compression: 'gzip' });
+
+        expect(compressedBytes).toBeLessThan(rawBytes);
+        expect(await cryptoInstance.decrypt(data, keys, { compression: 'gzip' })).toEqual(repetitive);
+    });
+
+    it('uses a fresh IV for every encryption', async () => {
+        const first = await cryptoInstance.encrypt(RECORD, keys);
+        const second = await cryptoInstance.encrypt(RECORD, keys);
+
+        expect(first.iv).toHaveLength(cryptoInstance.ivLength);
+        expect(first.iv).not.toEqual(second.iv);
+    });
+
+    it('rejects a tampered payload', async () => {
+        const { data } = await cryptoInstance.encrypt(RECORD, keys);
+        data[data.length - 1] ^= 0xff;
+
+        await expect(cryptoInstance.decrypt(data, keys)).rejects.toBeInstanceOf(EncryptionError);
+    });
+
+    it('rejects a payload that is not valid base64', async () => {
+        await expect(cryptoInstance.decrypt('not base64!', keys)).rejects.toBeInstanceOf(EncryptionError);
+    });
+
+    it('rejects a payload that does not decrypt to JSON', async () => {
+        const payload = await CIPHERS['aes-256-gcm'].encrypt(keys, new TextEncoder().encode('not json'));
+
+        await expect(cryptoInstance.decrypt(payload, keys)).rejects.toBeInstanceOf(EncryptionError);
+    });
+
+    it('rejects a payload under a different passphrase', async () => {
+        const otherKeys = await cryptoInstance.deriveKeys('a different passphrase', cryptoInstance.generateSalt(), KDF);
+        const { data } = await cryptoInstance.encrypt(RECORD, keys);
+
+        await expect(cryptoInstance.decrypt(data, otherKeys)).rejects.toBeInstanceOf(EncryptionError);
+    });
+
+    it('encrypts and hashes only the fields in the schema', async () => {
+        const schema = [
+            { path: 'name', action: 'encrypt' },
+            { path: 'nested.balance', action: 'hash' }
+        ];
+        const { record } = await cryptoInstance.encryptFields(RECORD, schema, keys);
+
+        expect(record.id).toBe(7);
+        expect(record.name).toHaveProperty('$enc');
+        expect(record.nested.balance).toHaveProperty('$hmac');
+
+        const { record: restored, decrypted } = await cryptoInstance.decryptFields(record, keys);
+        expect(decrypted).toBe(1);
+        expect(restored.name).toBe('Ada');
+        expect(restored.nested.balance).toEqual(record.nested.balance);
+    });
+
+    it('encrypts records that verifyRecord can check', async () => {
+        const processor = createEncryptionProcessor(cryptoInstance, keys, { cipher: 'envelope-aes-256-gcm' });
+        await processor.startChunk(0);
+        const records = await Promise.all([RECORD, { id: 8 }].map((data, index) => processor(data, index)));
+
+        const context = {};
+        for (const [index, record] of records.entries()) {
+            expect(await verifyRecord(record, index, cryptoInstance, keys, context)).toEqual({ id: index, verified: true });
+        }
+    });
+
+    it('reports field-level records as decrypted rather than verified', async () => {
+        const schema = [{ path: 'name', action: 'encrypt' }];
+        const record = await createEncryptionProcessor(cryptoInstance, keys, { schema })(RECORD, 0);
+
+        expect(await verifyRecord(record, 0, cryptoInstance, keys)).toEqual({ id: 0, verified: false, decrypted: true });
+    });
+
+    it('fails verification for a record that names no cipher', async () => {
+        const record = await createEncryptionProcessor(cryptoInstance, keys)(RECORD, 0);
+        delete record.algorithm;
+
+        expect(await verifyRecord(record, 0, cryptoInstance, keys)).toMatchObject({ id: 0, verified: false });
+    });
+
+    it('round-trips key parameters and rejects invalid ones', () => {
+        const salt = cryptoInstance.generateSalt();
+        const params = cryptoInstance.exportKeyParams(salt, KDF);
+
+        expect(cryptoInstance.importKeyParams(params)).toEqual({ salt, ...KDF });
+        expect(() => cryptoInstance.importKeyParams({ ...params, hash: 'MD5' })).toThrow(ValidationError);
+        expect(() => cryptoInstance.importKeyParams({ ...params, iterations: 10 })).toThrow(ValidationError);
+    });
+});
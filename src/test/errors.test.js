@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import {
+    ERROR_SUGGESTIONS,
+    ERROR_TYPES,
+    EncryptionError,
+    MemoryPressureError,
+    StorageError,
+    ValidationError,
+    describeFailure,
+    getErrorDetails,
+    isTransientError
+} from '../core/index.js';
+
+describe('getErrorDetails', () => {
+    it('keeps the type and message of typed errors', () => {
+        expect(getErrorDetails(new MemoryPressureError('Heap is full'))).toEqual({
+            type: ERROR_TYPES.MEMORY,
+            message: 'Heap is full',
+            suggestion: ERROR_SUGGESTIONS[ERROR_TYPES.MEMORY]
+        });
+    });
+
+    it('prefers a suggestion given with the error', () => {
+        const details = getErrorDetails(new ValidationError('Bad input', { suggestion: 'Fix the input.' }));
+
+        expect(details.suggestion).toBe('Fix the input.');
+    });
+
+    it.each([
+        ['AbortError', ERROR_TYPES.CANCELLED],
+        ['QuotaExceededError', ERROR_TYPES.STORAGE],
+        ['NotSupportedError', ERROR_TYPES.BROWSER_SUPPORT],
+        ['OperationError', ERROR_TYPES.ENCRYPTION],
+        ['DataError', ERROR_TYPES.ENCRYPTION]
+    ])('classifies a %s DOMException', (name, type) => {
+        expect(getErrorDetails(new DOMException('platform error', name)).type).toBe(type);
+    });
+
+    it('falls back to a generic message for anything else', () => {
+        for (const error of [new TypeError('x is undefined'), 'a string', null]) {
+            expect(getErrorDetails(error)).toMatchObject({
+                type: ERROR_TYPES.ENCRYPTION,
+                message: 'An unexpected error occurred during processing'
+            });
+        }
+    });
+});
+
+describe('isTransientError', () => {
+    it('follows the transient flag of typed errors and the name of platform ones', () => {
+        expect(isTransientError(new DOMException('busy', 'TransactionInactiveError'))).toBe(true);
+        expect(isTransientError(new StorageError('Write failed', { cause: new DOMException('busy', 'UnknownError') }))).toBe(true);
+        expect(isTransientError(new EncryptionError('Bad key'))).toBe(false);
+        expect(isTransientError(new Error('plain'))).toBe(false);
+    });
+});
+
+describe('describeFailure', () => {
+    it('summarises a failed record with its cause', () => {
+        const error = new EncryptionError('Could not encrypt', { cause: new Error('key unusable') });
+
+        expect(describeFailure(error, 42, 3)).toEqual({
+            index: 42,
+            attempts: 3,
+            type: ERROR_TYPES.ENCRYPTION,
+            name: 'EncryptionError',
+            message: 'Could not encrypt',
+            cause: 'key unusable'
+        });
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { ValidationError } from '../core/index.js';
+import { detectFileFormat, parseCsv, parseJsonArray, parseNdjson, readFileRecords, skipRecords } from '../fileParsers.js';
+
+async function collect(records) {
+    const items = [];
+    for await (const record of records) {
+        items.push(record);
+    }
+    return items;
+}
+
+// Text arriving in pieces, the way File.stream() splits it
+async function* pieces(...texts) {
+    yield* texts;
+}
+
+describe('parseJsonArray', () => {
+    it('yields elements split across chunk boundaries', async () => {
+        const records = await collect(parseJsonArray(pieces('[{"a": 1, "s": "x,]"}, {"a"', ': [2, 3]}, 4', ']')));
+
+        expect(records).toEqual([{ a: 1, s: 'x,]' }, { a: [2, 3] }, 4]);
+    });
+
+    it('rejects a document that is not a top-level array', async () => {
+        await expect(collect(parseJsonArray(pieces('{"a": 1}')))).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('rejects an array that is never closed', async () => {
+        await expect(collect(parseJsonArray(pieces('[1, 2')))).rejects.toBeInstanceOf(ValidationError);
+    });
+});
+
+describe('parseNdjson', () => {
+    it('skips blank lines and reads a last line without a newline', async () => {
+        const records = await collect(parseNdjson(pieces('{"a": 1}\n\n{"a"', ': 2}\n{"a": 3}')));
+
+        expect(records).toEqual([{ a: 1 }, { a: 2 }, { a: 3 }]);
+    });
+});
+
+describe('parseCsv', () => {
+    it('maps rows onto the header, including quoted commas, quotes and newlines', async () => {
+        const records = await collect(parseCsv(pieces('name,note\r\nAda,"one, two"\nBob,"say ""hi', '""\nthere"\nCy,')));
+
+        expect(records).toEqual([
+            { name: 'Ada', note: 'one, two' },
+            { name: 'Bob', note: 'say "hi"\nthere' },
+            { name: 'Cy', note: '' }
+        ]);
+    });
+});
+
+describe('readFileRecords', () => {
+    it('picks the parser from the file extension', async () => {
+        const file = new File(['[{"id": 1}, {"id": 2}]'], 'records.json');
+        const format = detectFileFormat(file);
+
+        expect(format).toBe('json');
+        expect(await collect(readFileRecords(file, format))).toEqual([{ id: 1 }, { id: 2 }]);
+    });
+
+    it('reports bytes read as it goes', async () => {
+        const file = new File(['{"id": 1}\n'], 'records.ndjson');
+        const reads = [];
+
+        await collect(readFileRecords(file, detectFileFormat(file), null, bytes => reads.push(bytes)));
+
+        expect(reads.at(-1)).toBe(file.size);
+    });
+});
+
+describe('skipRecords', () => {
+    it('passes records through after the first count', async () => {
+        expect(await collect(skipRecords(pieces(1, 2, 3, 4), 2))).toEqual([3, 4]);
+    });
+});
@@ -0,0 +1,190 @@
+import { describe, expect, it, vi } from 'vitest';
+import { MemoryManager, MemoryPressureError, ValidationError } from '../core/index.js';
+import { createMemorySource } from './memorySource.js';
+
+// Default thresholds: warn 60, throttle 70, pause 80, abort 95, hysteresis 5
+function createManager(percentage = 10, policy = {}) {
+    const source = createMemorySource(percentage);
+    const memoryManager = new MemoryManager({ backend: source, policy: { throttleDelayMs: 0, ...policy } });
+    return { memoryManager, source };
+}
+
+describe('MemoryManager', () => {
+    it('reads usage from an injected backend', () => {
+        const { memoryManager } = createManager(25);
+
+        expect(memoryManager.checkMemoryUsage()).toMatchObject({
+            percentage: 25,
+            usedMB: 25,
+            limitMB: 100,
+            limitIsBudget: true,
+            backend: 'test'
+        });
+    });
+
+    it('adds up accounted bytes on the estimate backend', () => {
+        const memoryManager = new MemoryManager({ backend: 'estimate', budget: 1000 });
+        memoryManager.account('a', 200);
+        memoryManager.account('b', 300);
+        expect(memoryManager.checkMemoryUsage().percentage).toBe(50);
+
+        memoryManager.account('a', 0);
+        expect(memoryManager.checkMemoryUsage().used).toBe(300);
+
+        memoryManager.resetAccounting();
+        expect(memoryManager.checkMemoryUsage().used).toBe(0);
+    });
+
+    it('moves through the pressure levels as usage crosses each threshold', async () => {
+        const { memoryManager, source } = createManager();
+        const levels = [];
+        memoryManager.on('pressure', event => levels.push([event.previous, event.level]));
+
+        for (const percentage of [10, 65, 75, 85, 96]) {
+            source.percentage = percentage;
+            await memoryManager.checkPressure();
+        }
+
+        expect(levels).toEqual([
+            ['normal', 'warn'],
+            ['warn', 'throttle'],
+            ['throttle', 'pause'],
+            ['pause', 'abort']
+        ]);
+    });
+
+    it('holds a level until usage clears the hysteresis band', async () => {
+        const { memoryManager, source } = createManager(65);
+        expect(await memoryManager.checkPressure()).toBe('warn');
+
+        source.percentage = 57;
+        expect(await memoryManager.checkPressure()).toBe('warn');
+
+        source.percentage = 54;
+        expect(await memoryManager.checkPressure()).toBe('normal');
+    });
+
+    it('runs cleanup handlers from the level they are registered for', async () => {
+        const { memoryManager, source } = createManager();
+        const onThrottle = vi.fn(() => 1024);
+        const onPause = vi.fn(() => 2048);
+        memoryManager.registerCleanup('throttle-handler', onThrottle);
+        memoryManager.registerCleanup('pause-handler', onPause, { level: 'pause' });
+        const cleanups = [];
+        memoryManager.on('cleanup', event => cleanups.push(event));
+
+        source.percentage = 75;
+        await memoryManager.checkPressure();
+        expect(onThrottle).toHaveBeenCalledTimes(1);
+        expect(onPause).not.toHaveBeenCalled();
+
+        source.percentage = 85;
+        await memoryManager.checkPressure();
+        expect(onPause).toHaveBeenCalledTimes(1);
+        expect(cleanups.map(event => [event.reason, event.totalBytes])).toEqual([['throttle', 1024], ['pause', 3072]]);
+    });
+
+    it('keeps running cleanups when a handler throws', async () => {
+        const { memoryManager } = createManager();
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        memoryManager.registerCleanup('broken', () => {
+            throw new Error('boom');
+        });
+        memoryManager.registerCleanup('working', () => 10);
+
+        const released = await memoryManager.forceCleanup();
+
+        expect(released).toEqual([
+            { name: 'broken', bytes: 0, error: 'boom' },
+            { name: 'working', bytes: 10 }
+        ]);
+    });
+
+    it('throws a MemoryPressureError past the abort threshold', async () => {
+        const { memoryManager } = createManager(96);
+
+        await expect(memoryManager.applyPressurePolicy()).rejects.toBeInstanceOf(MemoryPressureError);
+    });
+
+    it('waits at pause until usage drops', async () => {
+        const { memoryManager, source } = createManager(85);
+        const settled = memoryManager.applyPressurePolicy();
+        let done = false;
+        settled.then(() => {
+            done = true;
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(done).toBe(false);
+
+        source.percentage = 10;
+        expect(await settled).toBe('normal');
+    });
+
+    it('only throttles at pause where pausing is not allowed', async () => {
+        const { memoryManager } = createManager(85);
+
+        expect(await memoryManager.applyPressurePolicy({ allowPause: false })).toBe('pause');
+    });
+
+    it('scales the concurrency limit down with pressure, never below one', async () => {
+        const { memoryManager, source } = createManager();
+        const limits = {};
+
+        for (const [level, percentage] of [['normal', 10], ['warn', 65], ['throttle', 75], ['pause', 85]]) {
+            source.percentage = percentage;
+            await memoryManager.checkPressure();
+            limits[level] = memoryManager.concurrencyFor(8);
+        }
+
+        expect(limits).toEqual({ normal: 8, warn: 4, throttle: 2, pause: 1 });
+    });
+
+    it('rejects thresholds that do not rise from warn to abort', () => {
+        const { memoryManager } = createManager();
+
+        expect(() => memoryManager.setPolicy({ warn: 80, throttle: 70 })).toThrow(ValidationError);
+        expect(() => memoryManager.setPolicy({ hysteresis: -1 })).toThrow(ValidationError);
+        expect(memoryManager.policy.warn).toBe(60);
+    });
+
+    it('processes records in order, fewer at a time under pressure', async () => {
+        const { memoryManager } = createManager(65);
+        let inFlight = 0;
+        let peak = 0;
+        const processor = async (item) => {
+            inFlight++;
+            peak = Math.max(peak, inFlight);
+            await new Promise(resolve => setTimeout(resolve, 1));
+            inFlight--;
+            return item * 2;
+        };
+        const changes = [];
+
+        const results = await memoryManager.processWithMemoryCheck([1, 2, 3, 4, 5, 6, 7, 8], processor, null, 0, null, undefined, {
+            concurrency: 8,
+            onConcurrency: change => changes.push(change)
+        });
+
+        expect(results).toEqual([2, 4, 6, 8, 10, 12, 14, 16]);
+        expect(changes[0]).toEqual({ limit: 8, effective: 4, level: 'warn' });
+        expect(peak).toBe(4);
+    });
+
+    it('skips failed records and reports them', async () => {
+        const { memoryManager } = createManager();
+        const failures = [];
+        const processor = async (item, index) => {
+            if (index === 12) throw new Error('bad record');
+            return item;
+        };
+
+        const results = await memoryManager.processWithMemoryCheck([1, 2, 3], processor, null, 10, null, {
+            mode: 'skip',
+            onFailure: failure => failures.push(failure)
+        });
+
+        expect(results).toEqual([1, 2]);
+        expect(failures).toEqual([expect.objectContaining({ index: 12, attempts: 1, message: 'bad record' })]);
+    });
+});
@@ -0,0 +1,12 @@
+// A memory backend the test sets directly. MemoryManager accepts any object with read(), so
+// pressure levels can be driven without allocating anything.
+export function createMemorySource(percentage = 10, limit = 100 * 1024 * 1024) {
+    const source = {
+        name: 'test',
+        label: 'Test source',
+        precision: 'Whatever the test sets',
+        percentage,
+        read: () => ({ used: Math.round((source.percentage / 100) * limit), limit, limitIsBudget: true })
+    };
+    return source;
+}
@@ -0,0 +1,47 @@
+import 'fake-indexeddb/auto';
+import { describe, expect, it } from 'vitest';
+import { EncryptedResultStore } from '../resultStore.js';
+
+let nextDb = 0;
+// A fresh database per test so runs never see each other's records
+const createStore = () => new EncryptedResultStore(`result-store-test-${nextDb++}`);
+
+const records = length => Array.from({ length }, (_, id) => ({ id, encrypted: `record-${id}` }));
+
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) {
+        items.push(item);
+    }
+    return items;
+}
+
+describe('EncryptedResultStore', () => {
+    it('stores records together with the run metadata', async () => {
+        const store = createStore();
+        await store.putRecords(records(3), { storedRecords: 3, complete: false });
+        await store.putMeta({ storedRecords: 3, complete: true });
+
+        expect(await store.count()).toBe(3);
+        expect(await store.getMeta()).toEqual({ storedRecords: 3, complete: true });
+        expect(await store.getSample(2)).toEqual(records(2));
+    });
+
+    it('reads records back in id order, batch by batch', async () => {
+        const store = createStore();
+        const stored = records(7);
+        await store.putRecords(stored.slice(4), {});
+        await store.putRecords(stored.slice(0, 4), {});
+
+        expect(await collect(store.records(3))).toEqual(stored);
+    });
+
+    it('clears records and metadata', async () => {
+        const store = createStore();
+        await store.putRecords(records(2), { storedRecords: 2 });
+        await store.clear();
+
+        expect(await store.count()).toBe(0);
+        expect(await store.getMeta()).toBeNull();
+    });
+});
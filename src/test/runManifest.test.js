@@ -0,0 +1,78 @@
+import { beforeAll, describe, expect, it } from 'vitest';
+import { MIN_KDF_ITERATIONS, ZeroKnowledgeEncryption, createEncryptionProcessor } from '../core/index.js';
+import { RunManifestBuilder, RunManifestVerifier } from '../runManifest.js';
+
+describe('run manifests', () => {
+    const cryptoInstance = new ZeroKnowledgeEncryption();
+    let keys;
+    let chunks;
+
+    beforeAll(async () => {
+        keys = await cryptoInstance.deriveKeys('correct horse battery staple', cryptoInstance.generateSalt(), {
+            iterations: MIN_KDF_ITERATIONS,
+            hash: 'SHA-256'
+        });
+        const processor = createEncryptionProcessor(cryptoInstance, keys);
+        const records = await Promise.all(Array.from({ length: 6 }, (_, id) => processor({ value: id }, id)));
+        chunks = [records.slice(0, 3), records.slice(3)];
+    });
+
+    async function buildManifest() {
+        const builder = new RunManifestBuilder(keys.manifest, cryptoInstance);
+        for (const chunk of chunks) {
+            await builder.addChunk(chunk);
+        }
+        return builder.finish();
+    }
+
+    async function verify(manifest, records) {
+        const verifier = new RunManifestVerifier(manifest, keys.manifest, cryptoInstance);
+        for (const record of records) {
+            await verifier.addRecord(record);
+        }
+        return verifier.finish();
+    }
+
+    it('verifies the output it was built from', async () => {
+        const manifest = await buildManifest();
+
+        expect(manifest).toMatchObject({ recordCount: 6, chunks: [{ ids: [[0, 2]] }, { ids: [[3, 5]] }] });
+        expect(await verify(manifest, chunks.flat())).toMatchObject({ intact: true, signatureValid: true, rootValid: true, issues: [] });
+    });
+
+    it('carries on from a snapshot to the same manifest', async () => {
+        const first = new RunManifestBuilder(keys.manifest, cryptoInstance);
+        await first.addChunk(chunks[0]);
+        const resumed = new RunManifestBuilder(keys.manifest, cryptoInstance, first.snapshot());
+        await resumed.addChunk(chunks[1]);
+
+        expect((await resumed.finish()).root).toBe((await buildManifest()).root);
+    });
+
+    it('names the chunk of an altered record', async () => {
+        const manifest = await buildManifest();
+        const records = chunks.flat();
+        records[4] = { ...records[4], encrypted: records[5].encrypted };
+
+        const report = await verify(manifest, records);
+        expect(report.intact).toBe(false);
+        expect(report.issues).toEqual([expect.objectContaining({ kind: 'altered', chunk: 1 })]);
+    });
+
+    it('reports missing and reordered records', async () => {
+        const manifest = await buildManifest();
+        const [a, b, c] = chunks[0];
+
+        const missing = await verify(manifest, [a, c, ...chunks[1]]);
+        expect(missing.issues).toEqual([expect.objectContaining({ kind: 'missing', chunk: 0, ids: [1] })]);
+
+        const reordered = await verify(manifest, [a, c, b, ...chunks[1]]);
+        expect(reordered.issues).toEqual([expect.objectContaining({ kind: 'reordered', chunk: 0 })]);
+    });
+
+    it('rejects a manifest whose signature does not match', async () => {
+        const manifest = { ...(await buildManifest()), recordCount: 7 };
+
+        expect(await verify(manifest, chunks.flat())).toMatchObject({ intact: false, signatureValid: false });
+    });
+});
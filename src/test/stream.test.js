@@ -0,0 +1,194 @@
+import { describe, expect, it } from 'vitest';
+import { AdaptiveChunkSizer, MemoryManager, MemoryPressureError, StreamProcessor } from '../core/index.js';
+import { createMemorySource } from './memorySource.js';
+
+function createProcessor(chunkSize, percentage = 10) {
+    const source = createMemorySource(percentage);
+    const memoryManager = new MemoryManager({ backend: source, policy: { throttleDelayMs: 0 } });
+    return { processor: new StreamProcessor(chunkSize, memoryManager), source };
+}
+
+const range = (length) => Array.from({ length }, (_, i) => i);
+const double = async (item) => item * 2;
+
+async function* generate(length) {
+    for (let i = 0; i < length; i++) {
+        yield i;
+    }
+}
+
+describe('StreamProcessor', () => {
+    it('splits the data at chunk boundaries', async () => {
+        const { processor } = createProcessor(500);
+        const chunks = [];
+
+        for await (const { results, chunkIndex, totalChunks, nextIndex } of processor.processChunks(range(1050), double)) {
+            chunks.push({ size: results.length, chunkIndex, totalChunks, nextIndex });
+        }
+
+        expect(chunks).toEqual([
+            { size: 500, chunkIndex: 0, totalChunks: 3, nextIndex: 500 },
+            { size: 500, chunkIndex: 1, totalChunks: 3, nextIndex: 1000 },
+            { size: 50, chunkIndex: 2, totalChunks: 3, nextIndex: 1050 }
+        ]);
+        expect(processor.cursor).toEqual({ nextIndex: 1050, completedChunks: 3, totalChunks: 3 });
+    });
+
+    it('reports progress after every chunk', async () => {
+        const { processor } = createProcessor(400);
+        const progress = [];
+        processor.on('progress', ({ processed, total, percentage, currentChunk, totalChunks }) => {
+            progress.push({ processed, total, percentage, currentChunk, totalChunks });
+        });
+
+        await processor.processStream(range(1000), double);
+
+        expect(progress).toEqual([
+            { processed: 400, total: 1000, percentage: 40, currentChunk: 1, totalChunks: 3 },
+            { processed: 800, total: 1000, percentage: 80, currentChunk: 2, totalChunks: 3 },
+            { processed: 1000, total: 1000, percentage: 100, currentChunk: 3, totalChunks: 3 }
+        ]);
+    });
+
+    it('hands each chunk to onChunk and keeps results in order', async () => {
+        const { processor } = createProcessor(3);
+        const calls = [];
+
+        const results = await processor.processStream(range(7), double, (chunkResults, chunkIndex, totalChunks, nextIndex) => {
+            calls.push([chunkResults, chunkIndex, totalChunks, nextIndex]);
+        });
+
+        expect(results).toEqual([0, 2, 4, 6, 8, 10, 12]);
+        expect(calls).toEqual([
+            [[0, 2, 4], 0, 3, 3],
+            [[6, 8, 10], 1, 3, 6],
+            [[12], 2, 3, 7]
+        ]);
+    });
+
+    it('passes record indexes on from startIndex', async () => {
+        const { processor } = createProcessor(2);
+        const indexes = [];
+
+        await processor.processStream(['a', 'b', 'c'], async (item, index) => {
+            indexes.push(index);
+            return item;
+        }, null, null, { startIndex: 10 });
+
+        expect(indexes).toEqual([10, 11, 12]);
+        expect(processor.cursor.nextIndex).toBe(13);
+    });
+
+    it('reads async iterables of unknown length', async () => {
+        const { processor } = createProcessor(4);
+        const chunks = [];
+
+        for await (const { results, totalChunks } of processor.processChunks(generate(10), double)) {
+            chunks.push([results.length, totalChunks]);
+        }
+
+        expect(chunks).toEqual([[4, null], [4, null], [2, null]]);
+    });
+
+    it('skips failed records and reports the chunk they were in', async () => {
+        const { processor } = createProcessor(2);
+        const failures = [];
+        processor.on('failure', ({ failure }) => failures.push(failure));
+
+        const results = await processor.processStream(range(4), async (item) => {
+            if (item === 3) throw new Error('bad record');
+            return item;
+        });
+
+        expect(results).toEqual([0, 1, 2]);
+        expect(failures).toEqual([expect.objectContaining({ index: 3, chunkIndex: 1, message: 'bad record' })]);
+    });
+
+    it('stops at the first failure in fail-fast mode', async () => {
+        const { processor } = createProcessor(2);
+
+        await expect(processor.processStream(range(4), async (item) => {
+            if (item === 1) throw new Error('bad record');
+            return item;
+        }, null, null, { failurePolicy: { mode: 'fail-fast' } })).rejects.toThrow('bad record');
+    });
+
+    it('aborts between chunks once usage passes the abort threshold', async () => {
+        const { processor, source } = createProcessor(2);
+        processor.on('chunk', () => {
+            source.percentage = 96;
+        });
+        const chunks = [];
+
+        await expect(processor.processStream(range(6), double, (results) => {
+            chunks.push(results);
+        })).rejects.toBeInstanceOf(MemoryPressureError);
+        expect(chunks).toHaveLength(1);
+        expect(processor.cursor.completedChunks).toBe(1);
+    });
+
+    it('cancels through an AbortSignal and keeps the cursor', async () => {
+        const { processor } = createProcessor(2);
+        const controller = new AbortController();
+
+        await expect(processor.processStream(range(6), double, (results, chunkIndex) => {
+            if (chunkIndex === 1) controller.abort();
+        }, null, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+        expect(processor.cursor.completedChunks).toBe(2);
+    });
+
+    it('rejects a paused run whose signal is already aborted', async () => {
+        const { processor } = createProcessor(2);
+        const controller = new AbortController();
+        processor.pause();
+        controller.abort();
+
+        await expect(processor.processStream(range(6), double, null, null, { signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        processor.resume();
+    });
+
+    it('resumes a paused run where it stopped', async () => {
+        const { processor } = createProcessor(2);
+        const seen = [];
+        processor.on('chunk', ({ chunkIndex }) => {
+            seen.push(chunkIndex);
+            if (chunkIndex === 0) processor.pause();
+        });
+
+        const run = processor.processStream(range(6), double);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(processor.isPaused).toBe(true);
+        expect(seen).toEqual([0]);
+
+        processor.resume();
+        expect(await run).toEqual([0, 2, 4, 6, 8, 10]);
+        expect(seen).toEqual([0, 1, 2]);
+    });
+
+    it('lowers the records in flight under warn pressure', async () => {
+        const { processor } = createProcessor(8, 65);
+        const changes = [];
+        processor.on('concurrency', change => changes.push(change));
+
+        await processor.processStream(range(16), double, null, null, { concurrency: 8 });
+
+        expect(changes).toEqual([{ type: 'concurrency', limit: 8, effective: 4, level: 'warn', chunkIndex: 0 }]);
+    });
+
+    it('resizes chunks on adaptive runs and restores the size afterwards', async () => {
+        const { processor } = createProcessor(100, 10);
+        const sizes = [];
+
+        for await (const { results } of processor.processChunks(range(1000), double, {
+            chunkSizer: new AdaptiveChunkSizer({ mode: 'heap', targetHeapPercentage: 50, minChunkSize: 100, maxChunkSize: 400 })
+        })) {
+            sizes.push(results.length);
+        }
+
+        expect(sizes[0]).toBe(100);
+        expect(Math.max(...sizes)).toBeGreaterThan(100);
+        expect(sizes.reduce((sum, size) => sum + size, 0)).toBe(1000);
+        expect(processor.chunkSize).toBe(100);
+    });
+});